@@ -0,0 +1,251 @@
+// lib/allergenChart.js (ES Module)
+//
+// Menu-wide allergen chart: one row per processed recipe, one column per
+// allergen, each cell saying whether the recipe contains the allergen, may
+// contain it (cross-contact), cannot be vouched for (an ingredient was not
+// recognized or its lookup failed) or is free from it. The chart also
+// counts each allergen across the menu and ranks unrecognized ingredients
+// by how many recipes they leave unresolved. Rendered as JSON for the
+// dashboard, or as HTML / PDF for the in-store chart.
+
+import PDFDocument from 'pdfkit';
+import { HttpError } from './httpError.js';
+import { allergenColumns, inColumn } from './exporter.js';
+import { PATH_SEPARATOR } from './subRecipes.js';
+import { allergenName, labelText } from './languages.js';
+import { MM, capitalize, escapeHtml } from './formatting.js';
+
+const CHART_FORMATS = ['json', 'html', 'pdf'];
+
+// Cell marks; the standard PDF fonts have no circles, so PDFs use letters
+const MARKS = { contains: '●', may_contain: '○', unknown: '?' };
+const PDF_MARKS = { contains: 'X', may_contain: '(X)', unknown: '?' };
+
+// Ingredients that leave a recipe unresolved: unrecognized ones and failed lookups
+function unresolvedOf(recipe) {
+  return [
+    ...(recipe.unrecognized_ingredients || []),
+    ...(recipe.lookup_errors || []).map(e => e.ingredient)
+  ];
+}
+
+function cellFor(recipe, column, unresolved) {
+  if (inColumn(recipe.allergens, column)) return 'contains';
+  if (inColumn(recipe.may_contain, column)) return 'may_contain';
+  return unresolved ? 'unknown' : null;
+}
+
+/**
+ * Chart model for processed recipes (in the given order). Allergen columns
+ * are the region's declarable allergens (or every canonical one), each
+ * filled by any code it covers (wheat under gluten); `lang` names them in
+ * that language.
+ *
+ * Returns `{ allergens: [{ code, name }], recipes: [{ recipe_name, cells,
+ * contains, may_contain, unresolved, approved }], frequency: [{ code, name,
+ * contains, may_contain }], blockers: [{ ingredient, recipes }] }`. A cell
+ * is `contains`, `may_contain`, `unknown` or null (free from).
+ */
+function buildChart(recipes, { region, lang } = {}) {
+  const columns = allergenColumns(recipes, region);
+  const headings = columns.map(c => ({
+    code: c.code,
+    name: lang ? allergenName(c.code, lang) : capitalize(c.name)
+  }));
+
+  const rows = recipes.map(recipe => {
+    const unresolved = unresolvedOf(recipe);
+    const cells = Object.fromEntries(
+      columns.map(c => [c.code, cellFor(recipe, c, unresolved.length > 0)])
+    );
+    const values = Object.values(cells);
+    return {
+      recipe_name: recipe.recipe_name,
+      cells,
+      contains: values.filter(v => v === 'contains').length,
+      may_contain: values.filter(v => v === 'may_contain').length,
+      unresolved,
+      approved: recipe.review?.status === 'approved'
+    };
+  });
+
+  const frequency = headings.map(c => ({
+    ...c,
+    contains: rows.filter(r => r.cells[c.code] === 'contains').length,
+    may_contain: rows.filter(r => r.cells[c.code] === 'may_contain').length
+  }));
+
+  // Ingredients inside sub-recipes count under their own name
+  const blockers = new Map();
+  for (const row of rows) {
+    for (const key of row.unresolved) {
+      const ingredient = key.split(PATH_SEPARATOR).pop();
+      const entry = blockers.get(ingredient.toLowerCase()) || { ingredient, recipes: [] };
+      if (!entry.recipes.includes(row.recipe_name)) entry.recipes.push(row.recipe_name);
+      blockers.set(ingredient.toLowerCase(), entry);
+    }
+  }
+
+  return {
+    region: region || null,
+    lang: lang || null,
+    allergens: headings,
+    recipes: rows,
+    frequency,
+    blockers: [...blockers.values()].sort((a, b) =>
+      b.recipes.length - a.recipes.length || a.ingredient.localeCompare(b.ingredient)
+    )
+  };
+}
+
+// Localized headings for the printed chart
+function chartText(lang) {
+  const text = labelText(lang);
+  return { ...text, title: text.chart_title, dish: text.dish, unknown: text.ask_staff };
+}
+
+// Landscape A4 page: a row per recipe, a column per allergen
+function renderChartHtml(chart) {
+  const text = chartText(chart.lang);
+  const header = chart.allergens.map(a => `<th><span>${escapeHtml(a.name)}</span></th>`).join('');
+  const rows = chart.recipes.map(r => `
+      <tr>
+        <td class="dish">${escapeHtml(r.recipe_name)}</td>
+        ${chart.allergens.map(a => {
+          const cell = r.cells[a.code];
+          return `<td class="${cell || 'free'}">${cell ? MARKS[cell] : ''}</td>`;
+        }).join('')}
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(text.title)}</title>
+  <style>
+    @page { size: A4 landscape; margin: 10mm; }
+    body { margin: 0; font-family: Arial, Helvetica, sans-serif; font-size: 9pt; }
+    h1 { font-size: 16pt; margin: 0 0 4mm; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #444; padding: 1mm; text-align: center; }
+    th { vertical-align: bottom; height: 28mm; }
+    th span { writing-mode: vertical-rl; transform: rotate(180deg); white-space: nowrap; }
+    tr { page-break-inside: avoid; }
+    .dish { text-align: left; font-weight: bold; }
+    .contains { background: #222; color: #fff; }
+    .may_contain { background: #ccc; }
+    .unknown { color: #900; font-weight: bold; }
+    .legend { margin-top: 3mm; }
+    .legend span { margin-right: 6mm; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(text.title)}</h1>
+  <table>
+    <thead>
+      <tr><th class="dish">${escapeHtml(text.dish)}</th>${header}</tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  <p class="legend">
+    <span>${MARKS.contains} ${escapeHtml(text.contains)}</span>
+    <span>${MARKS.may_contain} ${escapeHtml(text.may_contain)}</span>
+    <span>${MARKS.unknown} ${escapeHtml(text.unknown)}</span>
+  </p>
+</body>
+</html>`;
+}
+
+// The same chart as a landscape A4 PDF (Buffer); long menus continue on
+// further pages with the header repeated
+function renderChartPdf(chart) {
+  return new Promise((resolve, reject) => {
+    const text = chartText(chart.lang);
+    const margin = 10 * MM;
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const width = doc.page.width - 2 * margin;
+    const dishWidth = Math.min(60 * MM, width / 3);
+    const cellWidth = (width - dishWidth) / Math.max(chart.allergens.length, 1);
+    const headerHeight = 30 * MM;
+    const rowHeight = 6 * MM;
+    const bottom = doc.page.height - margin - 2 * rowHeight;
+
+    const drawHeader = () => {
+      let y = doc.y;
+      doc.font('Helvetica-Bold').fontSize(9);
+      doc.rect(margin, y, dishWidth, headerHeight).stroke();
+      doc.text(text.dish, margin + 2, y + headerHeight - 12, { width: dishWidth - 4 });
+      chart.allergens.forEach((a, i) => {
+        const x = margin + dishWidth + i * cellWidth;
+        doc.rect(x, y, cellWidth, headerHeight).stroke();
+        // Names run bottom to top; long ones wrap across the column
+        const origin = [x + 2, y + headerHeight - 2];
+        doc.save()
+          .rotate(-90, { origin })
+          .text(a.name, ...origin, { width: headerHeight - 4, height: cellWidth - 4, ellipsis: true })
+          .restore();
+      });
+      y += headerHeight;
+      doc.y = y;
+    };
+
+    doc.font('Helvetica-Bold').fontSize(16).text(text.title);
+    doc.moveDown(0.5);
+    drawHeader();
+
+    for (const row of chart.recipes) {
+      if (doc.y + rowHeight > bottom) {
+        doc.addPage();
+        drawHeader();
+      }
+      const y = doc.y;
+      doc.font('Helvetica-Bold').fontSize(8);
+      doc.rect(margin, y, dishWidth, rowHeight).stroke();
+      doc.text(row.recipe_name, margin + 2, y + 2, { width: dishWidth - 4, height: rowHeight - 2, ellipsis: true, lineBreak: false });
+      chart.allergens.forEach((a, i) => {
+        const x = margin + dishWidth + i * cellWidth;
+        const cell = row.cells[a.code];
+        if (cell === 'contains') doc.rect(x, y, cellWidth, rowHeight).fillAndStroke('#222', '#000');
+        else if (cell === 'may_contain') doc.rect(x, y, cellWidth, rowHeight).fillAndStroke('#ccc', '#000');
+        else doc.rect(x, y, cellWidth, rowHeight).stroke();
+        if (cell) {
+          doc.fillColor(cell === 'contains' ? '#fff' : '#000')
+            .text(PDF_MARKS[cell], x, y + 2, { width: cellWidth, align: 'center', lineBreak: false });
+        }
+        doc.fillColor('#000');
+      });
+      doc.y = y + rowHeight;
+    }
+
+    doc.moveDown(1).font('Helvetica').fontSize(9).text(
+      [
+        `${PDF_MARKS.contains} ${text.contains}`,
+        `${PDF_MARKS.may_contain} ${text.may_contain}`,
+        `${PDF_MARKS.unknown} ${text.unknown}`
+      ].join('      '),
+      margin
+    );
+    doc.end();
+  });
+}
+
+/**
+ * Render the chart in `format` (json, html or pdf).
+ * Returns `{ body, contentType }`.
+ */
+async function renderChart(chart, format = 'json') {
+  if (!CHART_FORMATS.includes(format)) {
+    throw new HttpError(400, `Unknown chart format "${format}". Use ${CHART_FORMATS.join(', ')}`);
+  }
+  if (format === 'html') return { body: renderChartHtml(chart), contentType: 'html' };
+  if (format === 'pdf') return { body: await renderChartPdf(chart), contentType: 'application/pdf' };
+  return { body: chart, contentType: 'json' };
+}
+
+export { buildChart, renderChart, CHART_FORMATS };
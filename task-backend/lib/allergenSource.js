@@ -0,0 +1,93 @@
+// lib/allergenSource.js (ES Module)
+//
+// External allergen lookup for ingredients the knowledge base does not know.
+//
+// A provider is any object of the shape
+//
+//   {
+//     name: 'openfoodfacts',
+//     lookup: async (ingredient, { language }) => result | null,
+//     lookupBarcode: async gtin => result | null   // optional
+//   }
+//
+// where `result` is `{ allergens: string[], may_contain?: string[],
+// product?: { name, code } }` and `language` is the language the ingredient
+// is written in. Returning null means "no answer"; throwing means the lookup
+// failed and may be retried. Providers are asked in order and the first
+// answer wins.
+
+import { createLimiter, retry } from './concurrency.js';
+import { gtinKey } from './gtin.js';
+
+// English keys stay unprefixed so existing cache entries remain valid
+function cacheKey(ingredient, language = 'en') {
+  const key = ingredient.toString().trim().toLowerCase().replace(/\s+/g, ' ');
+  return language === 'en' ? key : `${language}:${key}`;
+}
+
+/**
+ * Wrap providers with caching, request coalescing, a concurrency limit and
+ * retry/backoff. `lookup(ingredient, { language })` and `lookupBarcode(gtin)`
+ * resolve to `{ allergens, provider, cached, product }`, to `null` when no
+ * provider had an answer, or to `{ allergens: null, errors }` when every
+ * provider failed.
+ */
+function createAllergenSource({
+  providers,
+  cache,
+  concurrency = 4,
+  retries = 2,
+  backoffMs = 250
+}) {
+  const limit = createLimiter(concurrency);
+  const inFlight = new Map();
+
+  // `method` is `lookup` or `lookupBarcode`; providers without it are skipped
+  async function ask(method, query, options) {
+    const errors = [];
+
+    for (const provider of providers.filter(p => p[method])) {
+      try {
+        // Each attempt takes a slot; the backoff between attempts does not
+        const result = await retry(
+          () => limit(() => provider[method](query, options)),
+          { retries, backoffMs }
+        );
+        if (result) return { ...result, provider: provider.name };
+      } catch (err) {
+        console.warn(`${provider.name} lookup failed for "${query}":`, err.message);
+        errors.push({ provider: provider.name, message: err.message });
+      }
+    }
+    return errors.length ? { allergens: null, errors } : null;
+  }
+
+  async function cached(key, request) {
+    const hit = cache?.get(key);
+    if (hit) return hit.value && { ...hit.value, cached: true };
+
+    // Concurrent lookups for the same key share one request
+    if (!inFlight.has(key)) {
+      inFlight.set(key, request().finally(() => inFlight.delete(key)));
+    }
+    const result = await inFlight.get(key);
+
+    // Failures are not cached so the next request tries again
+    if (!result?.errors) cache?.set(key, result);
+    return result && { ...result, cached: false };
+  }
+
+  function lookup(ingredient, { language = 'en' } = {}) {
+    return cached(cacheKey(ingredient, language), () => ask('lookup', ingredient, { language }));
+  }
+
+  // Exact product by (normalized) barcode. An EAN-13 and its GTIN-14 form
+  // are one product, so they share a cache entry.
+  function lookupBarcode(gtin) {
+    return cached(`gtin:${gtinKey(gtin)}`, () => ask('lookupBarcode', gtin));
+  }
+
+  return { lookup, lookupBarcode, providers: providers.map(p => p.name) };
+}
+
+export { createAllergenSource };
@@ -0,0 +1,98 @@
+// lib/auditLog.js (ES Module)
+//
+// Append-only audit log of who uploaded, processed, overrode, approved or
+// edited what. Entries are appended to a JSON Lines file and never rewritten.
+// Each entry carries the SHA-256 of the previous entry's hash plus its own
+// content, so an edited or deleted line breaks the chain and `verify` finds it.
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+function entryHash(previousHash, { hash, ...entry }) {
+  return crypto.createHash('sha256').update(previousHash + JSON.stringify(entry)).digest('hex');
+}
+
+function createAuditLog({ file }) {
+  let entries = [];
+  let writing = Promise.resolve();
+
+  async function load() {
+    let text = '';
+    try {
+      text = await fs.readFile(file, 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    entries = text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  /**
+   * Append one entry. `user` is the signed-in account (or null); resolves
+   * once the entry is on disk, so a failed write fails the request.
+   */
+  function record({ user, action, target = null, details = {} }) {
+    const at = new Date().toISOString();
+    // Chained after the previous append, failed or not: an entry joins the
+    // hash chain only once it is on disk, so a failed write leaves no gap
+    const written = writing.catch(() => {}).then(async () => {
+      const previous = entries[entries.length - 1];
+      const entry = {
+        seq: (previous?.seq || 0) + 1,
+        at,
+        user: user?.username ?? null,
+        role: user?.role ?? null,
+        action,
+        target,
+        details
+      };
+      entry.hash = entryHash(previous?.hash || '', entry);
+
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.appendFile(file, `${JSON.stringify(entry)}\n`);
+      entries.push(entry);
+      return entry;
+    });
+    writing = written;
+    return written;
+  }
+
+  /**
+   * Newest first. Filters: `action` (exact, or a prefix ending in "."),
+   * `user`, `target` (substring, case-insensitive), `since` / `until`
+   * (ISO dates); paged with `limit` and `offset`.
+   */
+  function query({ action, user, target, since, until, limit, offset } = {}) {
+    const needle = target?.toLowerCase();
+    const matching = entries.filter(e =>
+      (!action || (action.endsWith('.') ? e.action.startsWith(action) : e.action === action)) &&
+      (!user || e.user === user) &&
+      (!needle || (e.target || '').toLowerCase().includes(needle)) &&
+      (!since || e.at >= since) &&
+      (!until || e.at <= until)
+    ).reverse();
+
+    const size = Math.min(Number(limit) || DEFAULT_LIMIT, MAX_LIMIT);
+    const start = Math.max(Number(offset) || 0, 0);
+    return { entries: matching.slice(start, start + size), total: matching.length };
+  }
+
+  // Recompute the hash chain; reports the first entry that does not match
+  function verify() {
+    let previousHash = '';
+    for (const [i, entry] of entries.entries()) {
+      if (entry.seq !== i + 1 || entry.hash !== entryHash(previousHash, entry)) {
+        return { valid: false, entries: entries.length, broken_at: entry.seq ?? i + 1 };
+      }
+      previousHash = entry.hash;
+    }
+    return { valid: true, entries: entries.length };
+  }
+
+  return { load, record, query, verify };
+}
+
+export { createAuditLog };
@@ -0,0 +1,76 @@
+// lib/auth.js (ES Module)
+//
+// Token sessions for the REST API and the WebSocket handshake. Signing in
+// returns a random bearer token; sessions live in memory (a restart signs
+// everyone out) and expire after `ttlMs`. Every request re-reads the account,
+// so a disabled user or a changed role takes effect at once.
+
+import crypto from 'crypto';
+import { HttpError } from './httpError.js';
+import { hasRole } from './userStore.js';
+
+// "Authorization: Bearer <token>"
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+function createAuth({ users, ttlMs }) {
+  const sessions = new Map();
+
+  // Returns `{ token, user, expires_at }`; wrong credentials are a 401
+  async function login(username, password) {
+    const user = await users.verify(username, password);
+    if (!user) throw new HttpError(401, 'Invalid username or password');
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = Date.now() + ttlMs;
+    sessions.set(token, { user_id: user.id, expires_at: expiresAt });
+    return { token, user, expires_at: new Date(expiresAt).toISOString() };
+  }
+
+  function logout(token) {
+    sessions.delete(token);
+  }
+
+  // Current account behind a token, or null (unknown, expired or disabled)
+  function userFor(token) {
+    const session = token && sessions.get(token);
+    if (!session) return null;
+    if (session.expires_at <= Date.now()) {
+      sessions.delete(token);
+      return null;
+    }
+    const user = users.get(session.user_id);
+    return user && !user.disabled ? user : null;
+  }
+
+  // End every session of a user (password changed, account removed)
+  function revokeUser(userId) {
+    for (const [token, session] of sessions) {
+      if (session.user_id === Number(userId)) sessions.delete(token);
+    }
+  }
+
+  // Express middleware: sets `req.user` (and `req.token`) when the token is valid
+  function authenticate(req, res, next) {
+    req.token = bearerToken(req);
+    req.user = userFor(req.token);
+    next();
+  }
+
+  // Express middleware: 401 without a session, 403 below `role`
+  function requireRole(role) {
+    return (req, res, next) => {
+      if (!req.user) return next(new HttpError(401, 'Sign in required'));
+      if (!hasRole(req.user.role, role)) {
+        return next(new HttpError(403, `Requires the ${role} role (you are ${req.user.role})`));
+      }
+      next();
+    };
+  }
+
+  return { login, logout, userFor, revokeUser, authenticate, requireRole };
+}
+
+export { createAuth };
@@ -0,0 +1,43 @@
+// lib/concurrency.js (ES Module)
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run at most `max` tasks at once; extra calls queue in order
+function createLimiter(max) {
+  let active = 0;
+  const queue = [];
+
+  function next() {
+    if (active >= max || !queue.length) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  }
+
+  return function run(fn) {
+    return new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      next();
+    });
+  };
+}
+
+// Retry `fn` with exponential backoff (backoffMs, 2x, 4x, ...)
+async function retry(fn, { retries = 2, backoffMs = 250 } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= retries) throw err;
+      await sleep(backoffMs * 2 ** attempt);
+    }
+  }
+}
+
+export { createLimiter, retry, sleep };
@@ -0,0 +1,244 @@
+// lib/dietary.js (ES Module)
+//
+// Dietary classification. Each ingredient of a processed recipe gets diet
+// categories: the animal-derived allergens it was detected with (milk, egg,
+// fish, shellfish) plus what the term dictionary below finds (meat, pork,
+// gelatin, alcohol, honey, ...). Each diet's rules turn those categories into
+// a verdict - "yes", "no" or "unknown" - with the ingredients that decided it.
+// Halal and kosher are only ever "yes" for a recipe certified as such.
+
+import { createIngredientMatcher, tokenize } from './ingredientMatcher.js';
+import { canonicalAllergen } from './regulatoryProfiles.js';
+import { DEFAULT_LANGUAGE } from './languages.js';
+
+const DIETS = {
+  vegetarian: 'Vegetarian',
+  vegan: 'Vegan',
+  halal: 'Halal',
+  kosher: 'Kosher'
+};
+
+// Allergens that are diet categories in their own right
+const ALLERGEN_CATEGORIES = {
+  milk: 'milk',
+  egg: 'egg',
+  fish: 'fish',
+  crustaceans: 'shellfish',
+  molluscs: 'shellfish'
+};
+
+// Category -> verdict, per diet. "unknown" means the ingredient may be fine
+// but the recipe cannot say (slaughter method, source of the gelatin, ...)
+const DIET_RULES = {
+  vegetarian: {
+    meat: 'no', fish: 'no', shellfish: 'no', gelatin: 'no', insect: 'no',
+    'animal rennet': 'no', rennet: 'unknown'
+  },
+  vegan: {
+    meat: 'no', fish: 'no', shellfish: 'no', gelatin: 'no', insect: 'no',
+    'animal rennet': 'no', rennet: 'no', milk: 'no', egg: 'no', honey: 'no'
+  },
+  halal: { pork: 'no', alcohol: 'no', meat: 'unknown', gelatin: 'unknown', 'animal rennet': 'unknown' },
+  kosher: {
+    pork: 'no', shellfish: 'no', insect: 'no', meat: 'unknown', gelatin: 'unknown', 'animal rennet': 'unknown'
+  }
+};
+
+// Diets nothing in an ingredient list can confirm (slaughter, supervision):
+// without the recipe's `certified` claim they are "unknown" at best
+const CERTIFIED_DIETS = ['halal', 'kosher'];
+
+// Categories that must not appear together in one recipe
+const DIET_COMBINATIONS = {
+  kosher: [{ categories: ['meat', 'milk'], verdict: 'no' }]
+};
+
+const PORK = ['meat', 'pork'];
+
+// Term -> categories. English terms are checked for every language.
+const DIETARY_TERMS = {
+  en: {
+    meat: ['meat'], meatball: ['meat'], mince: ['meat'], beef: ['meat'], veal: ['meat'],
+    lamb: ['meat'], mutton: ['meat'], venison: ['meat'], rabbit: ['meat'],
+    chicken: ['meat'], turkey: ['meat'], duck: ['meat'], goose: ['meat'], liver: ['meat'],
+    suet: ['meat'], sausage: ['meat'], hamburger: ['meat'], 'hot dog': ['meat'],
+    'foie gras': ['meat'], pork: PORK, bacon: PORK, ham: PORK, prosciutto: PORK,
+    pancetta: PORK, lard: PORK, gammon: PORK, chorizo: PORK, salami: PORK, pepperoni: PORK,
+    gelatin: ['gelatin'], gelatine: ['gelatin'], aspic: ['gelatin'], marshmallow: ['gelatin'],
+    // Protected hard cheeses must be made with animal rennet
+    rennet: ['rennet'], parmesan: ['animal rennet'], parmigiano: ['animal rennet'],
+    'grana padano': ['animal rennet'], pecorino: ['animal rennet'], carmine: ['insect'], cochineal: ['insect'], shellac: ['insect'],
+    honey: ['honey'], honeycomb: ['honey'], beeswax: ['honey'], 'royal jelly': ['honey'],
+    mead: ['honey', 'alcohol'], alcohol: ['alcohol'], alcoholic: ['alcohol'], wine: ['alcohol'],
+    beer: ['alcohol'], ale: ['alcohol'], lager: ['alcohol'], stout: ['alcohol'], cider: ['alcohol'],
+    rum: ['alcohol'], brandy: ['alcohol'], cognac: ['alcohol'], whisky: ['alcohol'],
+    whiskey: ['alcohol'], bourbon: ['alcohol'], vodka: ['alcohol'], tequila: ['alcohol'],
+    sake: ['alcohol'], mirin: ['alcohol'], sherry: ['alcohol'], marsala: ['alcohol'],
+    vermouth: ['alcohol'], liqueur: ['alcohol'], kirsch: ['alcohol'], amaretto: ['alcohol'],
+    champagne: ['alcohol'], prosecco: ['alcohol']
+  },
+  de: {
+    fleisch: ['meat'], rind: ['meat'], rinder: ['meat'], kalb: ['meat'], lamm: ['meat'],
+    hähnchen: ['meat'], huhn: ['meat'], hühner: ['meat'], pute: ['meat'], ente: ['meat'],
+    wurst: ['meat'], leber: ['meat'], speck: PORK,
+    schinken: PORK, schmalz: PORK, leberkäse: PORK, gelatine: ['gelatin'], lab: ['rennet'],
+    honig: ['honey'], alkohol: ['alcohol'], wein: ['alcohol'], bier: ['alcohol'],
+    weinbrand: ['alcohol'], likör: ['alcohol'], sekt: ['alcohol']
+  },
+  es: {
+    carne: ['meat'], ternera: ['meat'], res: ['meat'], cordero: ['meat'], pollo: ['meat'],
+    pavo: ['meat'], pato: ['meat'], salchicha: ['meat'], hígado: ['meat'], cerdo: PORK,
+    jamón: PORK, tocino: PORK, beicon: PORK, chorizo: PORK, morcilla: PORK,
+    gelatina: ['gelatin'], cuajo: ['rennet'], miel: ['honey'], alcohol: ['alcohol'],
+    vino: ['alcohol'], cerveza: ['alcohol'], ron: ['alcohol'], licor: ['alcohol'],
+    jerez: ['alcohol']
+  },
+  fr: {
+    viande: ['meat'], boeuf: ['meat'], 'bœuf': ['meat'], veau: ['meat'], agneau: ['meat'],
+    poulet: ['meat'], dinde: ['meat'], canard: ['meat'], saucisse: ['meat'], foie: ['meat'],
+    porc: PORK, jambon: PORK, lardon: PORK, saucisson: PORK, 'gélatine': ['gelatin'],
+    'présure': ['rennet'], miel: ['honey'], alcool: ['alcohol'], vin: ['alcohol'],
+    'bière': ['alcohol'], rhum: ['alcohol'], liqueur: ['alcohol'], cidre: ['alcohol']
+  }
+};
+
+// Phrases that contain one of the terms above but are not that category
+const DIETARY_EXCEPTIONS = {
+  en: [
+    { phrase: 'wine vinegar', allergens: [] },
+    { phrase: 'cider vinegar', allergens: [] },
+    { phrase: 'vegetable rennet', allergens: [] },
+    { phrase: 'microbial rennet', allergens: [] },
+    { phrase: 'animal rennet', allergens: ['animal rennet'] },
+    { phrase: 'calf rennet', allergens: ['animal rennet'] },
+    { phrase: 'veal rennet', allergens: ['animal rennet'] },
+    { phrase: 'fish gelatin', allergens: [] },
+    { phrase: 'ginger ale', allergens: [] },
+    { phrase: 'ginger beer', allergens: [] },
+    { phrase: 'root beer', allergens: [] },
+    { phrase: 'lambs lettuce', allergens: [] },
+    { phrase: 'duck egg', allergens: [] },
+    { phrase: 'mincemeat', allergens: ['meat'] }
+  ],
+  de: [
+    // "Schwein" ends in "wein"; as an exception it wins over the wine
+    { phrase: 'schwein', allergens: PORK },
+    { phrase: 'weinessig', allergens: [] },
+    { phrase: 'weintraube', allergens: [] },
+    { phrase: 'weinstein', allergens: [] },
+    { phrase: 'fleischtomate', allergens: [] },
+    { phrase: 'entenei', allergens: [] },
+    { phrase: 'hühnerei', allergens: [] },
+    { phrase: 'tierisches lab', allergens: ['animal rennet'] },
+    { phrase: 'kälberlab', allergens: ['animal rennet'] },
+    { phrase: 'labskaus', allergens: ['meat'] }
+  ],
+  es: [
+    { phrase: 'vinagre de vino', allergens: [] },
+    { phrase: 'vinagre de jerez', allergens: [] },
+    { phrase: 'cuajo animal', allergens: ['animal rennet'] }
+  ],
+  fr: [
+    { phrase: 'vinaigre de vin', allergens: [] },
+    { phrase: 'vinaigre de cidre', allergens: [] },
+    { phrase: 'présure animale', allergens: ['animal rennet'] }
+  ]
+};
+
+// "Vegan sausage", "vegetarian parmesan", "plant-based mince": the named
+// product is a substitute, so its terms say nothing about the diet
+const SUBSTITUTE_PREFIXES = ['vegan', 'vegetari', 'veggie', 'vegetal', 'meatless', 'fleischlos', 'pflanzlich'];
+
+// Where one cell names several ingredients: "vegan butter and cream"
+const PART_SEPARATOR = /[,;&+/()]|\s(?:and|with|or|und|mit|oder|y|con|o|et|avec|ou)\s/i;
+
+const matchers = new Map();
+function dietMatcher(language) {
+  if (!matchers.has(language)) {
+    const terms = { ...DIETARY_TERMS.en, ...(language !== 'en' && DIETARY_TERMS[language]) };
+    const exceptions = [...DIETARY_EXCEPTIONS.en, ...(language !== 'en' ? DIETARY_EXCEPTIONS[language] || [] : [])];
+    matchers.set(language, createIngredientMatcher(terms, { exceptions, language }));
+  }
+  return matchers.get(language);
+}
+
+function isSubstitute(text) {
+  const words = tokenize(text).map(t => t.word);
+  return words.some(word => SUBSTITUTE_PREFIXES.some(prefix => word.startsWith(prefix))) ||
+    words.join(' ').includes('plant based');
+}
+
+/**
+ * Diet categories of one ingredient: its detected `allergens` that are
+ * categories, plus the dictionary terms in `text` (read in `language`).
+ * A substitute only hides its own terms: "vegan sausage and bacon" is meat.
+ */
+function dietCategories(text, allergens = [], language = DEFAULT_LANGUAGE) {
+  const categories = new Set(
+    allergens.map(a => ALLERGEN_CATEGORIES[canonicalAllergen(a)]).filter(Boolean)
+  );
+  // "Lamb's lettuce" reads as "lambs lettuce"
+  const plain = text.replace(/['’]/g, '');
+  // Split only around a substitute, so "no meat or fish" stays one negation
+  const parts = isSubstitute(plain) ? plain.split(PART_SEPARATOR).filter(p => p && p.trim()) : [plain];
+  for (const part of parts.filter(p => !isSubstitute(p))) {
+    dietMatcher(language).match(part).allergens.forEach(c => categories.add(c));
+  }
+  return [...categories];
+}
+
+/**
+ * Dietary profile of a recipe from `ingredients` (`[{ ingredient, categories }]`).
+ * `unrecognized` ingredients that no diet term explains either make every
+ * diet that is not already ruled out "unknown". Halal and kosher are
+ * "unknown" (category `not certified`) unless listed in `certified`; a
+ * certificate settles what the ingredients leave unknown, never a "no".
+ * Each verdict lists the categories and ingredients behind it:
+ *
+ *   { vegetarian: { status: 'no', reasons: [{ category: 'meat', ingredients: ['Bacon'] }] }, ... }
+ */
+function classifyDiet(ingredients, { unrecognized = [], certified = [] } = {}) {
+  const byCategory = new Map();
+  const explained = new Set();
+  for (const { ingredient, categories } of ingredients) {
+    if (categories.length) explained.add(ingredient);
+    for (const category of categories) {
+      if (!byCategory.has(category)) byCategory.set(category, []);
+      if (!byCategory.get(category).includes(ingredient)) byCategory.get(category).push(ingredient);
+    }
+  }
+
+  return Object.fromEntries(Object.keys(DIETS).map(diet => {
+    const findings = [];
+    for (const [category, verdict] of Object.entries(DIET_RULES[diet])) {
+      if (byCategory.has(category)) {
+        findings.push({ verdict, category, ingredients: byCategory.get(category) });
+      }
+    }
+    for (const { categories, verdict } of DIET_COMBINATIONS[diet] || []) {
+      if (categories.every(c => byCategory.has(c))) {
+        findings.push({
+          verdict,
+          category: categories.join(' with '),
+          ingredients: [...new Set(categories.flatMap(c => byCategory.get(c)))]
+        });
+      }
+    }
+    const unknown = unrecognized.filter(name => !explained.has(name));
+    if (unknown.length) {
+      findings.push({ verdict: 'unknown', category: 'unrecognized', ingredients: unknown });
+    }
+    if (CERTIFIED_DIETS.includes(diet) && !certified.includes(diet)) {
+      findings.push({ verdict: 'unknown', category: 'not certified', ingredients: [] });
+    }
+    const decisive = certified.includes(diet) ? findings.filter(f => f.verdict !== 'unknown') : findings;
+
+    const status = ['no', 'unknown'].find(v => decisive.some(f => f.verdict === v)) || 'yes';
+    const reasons = decisive
+      .filter(f => f.verdict === status)
+      .map(({ category, ingredients: names }) => ({ category, ingredients: names }));
+    return [diet, { status, reasons }];
+  }));
+}
+
+export { DIETS, DIET_RULES, DIETARY_TERMS, CERTIFIED_DIETS, dietCategories, classifyDiet };
@@ -0,0 +1,108 @@
+// lib/equipmentStore.js (ES Module)
+//
+// File-backed cross-contact register for the kitchen. Each entry records the
+// allergens that may reach food through shared equipment or premises:
+//
+//   equipment - applies to recipes that list it in `equipment` (e.g. a fryer
+//               shared with shellfish)
+//   kitchen   - applies to every recipe (e.g. "nuts are handled on site")
+
+import { HttpError } from './httpError.js';
+import { createJsonFile } from './jsonFile.js';
+import { allergenCodes } from './regulatoryProfiles.js';
+
+const EQUIPMENT_TYPES = ['equipment', 'kitchen'];
+
+function cleanName(value) {
+  return value.toString().trim().replace(/\s+/g, ' ');
+}
+
+const nameKey = name => cleanName(name).toLowerCase();
+
+// Validate and normalize an incoming entry body
+function normalizeEntry(body, existing = {}) {
+  const name = body.name !== undefined ? cleanName(body.name) : existing.name;
+  if (!name) throw new HttpError(400, '"name" is required');
+
+  const type = body.type ?? existing.type ?? 'equipment';
+  if (!EQUIPMENT_TYPES.includes(type)) {
+    throw new HttpError(400, `"type" must be one of: ${EQUIPMENT_TYPES.join(', ')}`);
+  }
+
+  let mayContain = existing.may_contain;
+  if (body.may_contain !== undefined) mayContain = allergenCodes(body.may_contain, 'may_contain');
+  if (!mayContain) throw new HttpError(400, '"may_contain" is required');
+
+  const notes = body.notes !== undefined ? body.notes.toString().trim() : existing.notes || '';
+  return { name, type, may_contain: mayContain, notes };
+}
+
+function createEquipmentStore({ file }) {
+  const store = createJsonFile(file);
+  let state = { next_id: 1, entries: [] };
+
+  async function load() {
+    state = await store.read(state);
+  }
+
+  function list() {
+    return state.entries;
+  }
+
+  function get(id) {
+    return state.entries.find(e => e.id === Number(id)) || null;
+  }
+
+  function findByName(name) {
+    const key = nameKey(name);
+    return state.entries.find(e => nameKey(e.name) === key) || null;
+  }
+
+  function assertUnique(entry, ignoreId) {
+    const clash = findByName(entry.name);
+    if (clash && clash.id !== ignoreId) {
+      throw new HttpError(409, `"${clash.name}" (id ${clash.id}) already exists`);
+    }
+  }
+
+  async function create(body) {
+    const now = new Date().toISOString();
+    const entry = { id: state.next_id, ...normalizeEntry(body), created_at: now, updated_at: now };
+    assertUnique(entry);
+
+    state.next_id++;
+    state.entries.push(entry);
+    await store.write(state);
+    return entry;
+  }
+
+  async function update(id, body) {
+    const before = get(id);
+    if (!before) throw new HttpError(404, `Equipment ${id} not found`);
+
+    const after = { ...before, ...normalizeEntry(body, before), updated_at: new Date().toISOString() };
+    assertUnique(after, before.id);
+
+    state.entries = state.entries.map(e => (e.id === before.id ? after : e));
+    await store.write(state);
+    return after;
+  }
+
+  async function remove(id) {
+    const before = get(id);
+    if (!before) throw new HttpError(404, `Equipment ${id} not found`);
+
+    state.entries = state.entries.filter(e => e.id !== before.id);
+    await store.write(state);
+    return before;
+  }
+
+  // Entries that apply to every recipe
+  function kitchenWide() {
+    return state.entries.filter(e => e.type === 'kitchen');
+  }
+
+  return { load, list, get, findByName, create, update, remove, kitchenWide };
+}
+
+export { createEquipmentStore, EQUIPMENT_TYPES };
@@ -0,0 +1,129 @@
+// lib/exporter.js (ES Module)
+//
+// Export processed recipes as an allergen matrix: one row per recipe, one
+// boolean column per allergen, plus precautionary allergens, the dietary
+// verdicts and flagged and unrecognized ingredients.
+
+import xlsx from 'xlsx';
+import { CANONICAL_ALLERGENS, canonicalCodes, coveredAllergens, getProfile } from './regulatoryProfiles.js';
+import { HttpError } from './httpError.js';
+import { DIETS } from './dietary.js';
+import { capitalize } from './formatting.js';
+
+const EXPORT_FORMATS = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json'
+};
+
+// Allergen columns: the region's declarable codes, or every canonical code,
+// plus anything else that actually occurs in the results. Each column lists
+// the canonical codes it `covers`, so results processed without a region (or
+// for another one) still fill it: a wheat recipe is ticked under gluten.
+function allergenColumns(recipes, region) {
+  const profile = getProfile(region);
+  const base = profile
+    ? profile.allergens.map(({ code, name, covers }) => ({ code, name, covers }))
+    : CANONICAL_ALLERGENS.map(code => ({ code, name: code, covers: coveredAllergens(code) }));
+
+  const known = new Set(base.flatMap(c => [c.code, ...c.covers]));
+  const extra = [...new Set(recipes.flatMap(r => canonicalCodes(r.allergens || [])))]
+    .filter(a => !known.has(a))
+    .map(code => ({ code, name: code, covers: [code] }));
+  return [...base, ...extra];
+}
+
+// Whether allergen codes (of any region, or canonical) fall under a column.
+// They are compared as canonical codes: EU "nuts" is "tree nuts".
+function inColumn(codes = [], column) {
+  const canonical = canonicalCodes(codes);
+  return column.covers.some(code => canonical.includes(code));
+}
+
+function flaggedText(flagged = {}) {
+  return Object.entries(flagged)
+    .map(([ingredient, allergens]) => `${ingredient}: ${allergens.join(', ')}`)
+    .join('; ');
+}
+
+/**
+ * Render processed recipes in `format` (xlsx, csv or json).
+ * Returns `{ body, contentType, filename }`.
+ */
+function exportRecipes(recipes, { format = 'xlsx', region } = {}) {
+  if (!EXPORT_FORMATS[format]) {
+    throw new HttpError(400, `Unknown export format "${format}". Use ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  const columns = allergenColumns(recipes, region);
+  const filename = `allergen-matrix-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  if (format === 'json') {
+    const body = JSON.stringify({
+      exported_at: new Date().toISOString(),
+      region: region || null,
+      allergens: columns.map(c => c.code),
+      recipes: recipes.map(r => ({
+        recipe_name: r.recipe_name,
+        ingredients: r.ingredients || [],
+        ...(r.quid && {
+          declaration: r.quid.declaration,
+          ingredient_weights: r.quid.ingredients.map(({ ingredient, grams, percent }) =>
+            ({ ingredient, grams, percent }))
+        }),
+        allergens: Object.fromEntries(
+          columns.map(c => [c.code, inColumn(r.allergens, c)])
+        ),
+        may_contain: r.may_contain || [],
+        dietary: Object.fromEntries(
+          Object.keys(DIETS).map(diet => [diet, r.dietary?.[diet]?.status ?? null])
+        ),
+        flagged_ingredients: r.flagged_ingredients || {},
+        unrecognized_ingredients: r.unrecognized_ingredients || [],
+        message: r.message || ''
+      }))
+    }, null, 2);
+    return { body, contentType: EXPORT_FORMATS.json, filename };
+  }
+
+  const header = [
+    'Recipe Name',
+    'Ingredients',
+    'Declaration (by weight)',
+    ...columns.map(c => capitalize(c.name)),
+    'May Contain',
+    ...Object.values(DIETS),
+    'Flagged Ingredients',
+    'Unrecognized Ingredients',
+    'Status'
+  ];
+  const rows = recipes.map(r => [
+    r.recipe_name,
+    (r.ingredients || []).join(', '),
+    r.quid?.complete ? r.quid.declaration : '',
+    ...columns.map(c => inColumn(r.allergens, c)),
+    (r.may_contain || []).join(', '),
+    ...Object.keys(DIETS).map(diet => r.dietary?.[diet]?.status ?? ''),
+    flaggedText(r.flagged_ingredients),
+    (r.unrecognized_ingredients || []).join(', '),
+    r.message || ''
+  ]);
+
+  const worksheet = xlsx.utils.aoa_to_sheet([header, ...rows]);
+  if (format === 'csv') {
+    return {
+      body: xlsx.utils.sheet_to_csv(worksheet),
+      contentType: EXPORT_FORMATS.csv,
+      filename
+    };
+  }
+
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, worksheet, 'Allergen Matrix');
+  return {
+    body: xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' }),
+    contentType: EXPORT_FORMATS.xlsx,
+    filename
+  };
+}
+
+export { exportRecipes, allergenColumns, inColumn, EXPORT_FORMATS };
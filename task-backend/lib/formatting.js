@@ -0,0 +1,20 @@
+// lib/formatting.js (ES Module)
+//
+// Text and page helpers shared by the label, chart and export renderers.
+
+// PDF points per millimetre
+const MM = 72 / 25.4;
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function escapeHtml(text) {
+  return text.toString()
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export { MM, capitalize, escapeHtml };
@@ -0,0 +1,119 @@
+// lib/fuzzyMatch.js (ES Module)
+//
+// "Did you mean ...?" for ingredient names nothing recognized: the known
+// dictionary terms closest to a name by spelling (edit distance, a swap of
+// neighbouring letters counting as one edit) or by sound (a Soundex key per
+// word), so "mozarela" finds "mozzarella". Names are compared the way the
+// matcher reads them: folded, lowercased and lightly stemmed.
+
+import { tokenize } from './ingredientMatcher.js';
+
+// Least spelling similarity (1 - edits / length) for a suggestion; a name
+// that sounds the same may be spelled further off
+const MIN_SIMILARITY = 0.6;
+const MIN_PHONETIC_SIMILARITY = 0.4;
+const PHONETIC_BONUS = 0.15;
+// A single word of a longer name matching a term ranks below the whole name
+const WORD_MATCH_WEIGHT = 0.9;
+
+/**
+ * Edits (insert, delete, substitute, swap two neighbours) turning `a` into
+ * `b` - the optimal string alignment distance.
+ */
+function editDistance(a, b) {
+  let before = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], before[j - 2] + 1);
+      }
+    }
+    before = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+const SOUNDEX_CODES = {
+  b: 1, f: 1, p: 1, v: 1,
+  c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2,
+  d: 3, t: 3,
+  l: 4,
+  m: 5, n: 5,
+  r: 6
+};
+
+// Soundex of one (folded) word: first letter and three consonant digits
+function soundex(word) {
+  const letters = word.replace(/[^a-z]/g, '');
+  if (!letters) return word;
+  let key = letters[0];
+  let last = SOUNDEX_CODES[letters[0]];
+  for (const letter of letters.slice(1)) {
+    const code = SOUNDEX_CODES[letter];
+    if (code && code !== last) key += code;
+    // h and w do not separate equal codes, vowels do
+    if (letter !== 'h' && letter !== 'w') last = code;
+    if (key.length === 4) break;
+  }
+  return key.padEnd(4, '0');
+}
+
+// Phonetic key of a name, word by word: "worcestershire sauce" -> "w622 s200"
+function phoneticKey(text) {
+  return tokenize(text).map(t => soundex(t.word)).join(' ');
+}
+
+// How a name (as matcher words) compares with one term
+function compare(words, term) {
+  const termWords = tokenize(term).map(t => t.word);
+  const termText = termWords.join(' ');
+  const termKey = termWords.map(soundex).join(' ');
+
+  // The whole name, and each of its words when it has several
+  const forms = [{ text: words.join(' '), weight: 1 }];
+  if (words.length > 1) words.forEach(word => forms.push({ text: word, weight: WORD_MATCH_WEIGHT }));
+
+  let best = null;
+  for (const { text, weight } of forms) {
+    const distance = editDistance(text, termText);
+    const similarity = 1 - distance / Math.max(text.length, termText.length, 1);
+    const phonetic = text.split(' ').map(soundex).join(' ') === termKey;
+    if (similarity < (phonetic ? MIN_PHONETIC_SIMILARITY : MIN_SIMILARITY)) continue;
+
+    const score = Math.min(1, similarity + (phonetic ? PHONETIC_BONUS : 0)) * weight;
+    if (!best || score > best.score) best = { distance, phonetic, score };
+  }
+  return best;
+}
+
+/**
+ * Known terms most like `name`, best first. `vocabulary` is
+ * `[{ term, entry }]` (entry: a knowledge base entry); each entry is
+ * suggested once, by its closest term. Returns `[{ term, entry, distance,
+ * phonetic, score }]` with `score` between 0 and 1.
+ */
+function suggest(name, vocabulary, { limit = 5 } = {}) {
+  const words = tokenize(name).map(t => t.word);
+  if (!words.length) return [];
+
+  const best = new Map();
+  for (const { term, entry } of vocabulary) {
+    const match = compare(words, term);
+    if (!match) continue;
+    const current = best.get(entry.id);
+    if (!current || match.score > current.score) {
+      best.set(entry.id, { term, entry, ...match, score: Math.round(match.score * 100) / 100 });
+    }
+  }
+
+  return [...best.values()]
+    .sort((a, b) => b.score - a.score || a.distance - b.distance || a.term.localeCompare(b.term))
+    .slice(0, limit);
+}
+
+export { suggest, editDistance, phoneticKey, soundex };
@@ -0,0 +1,50 @@
+// lib/gtin.js (ES Module)
+//
+// GTIN / EAN / UPC barcodes of packaged ingredients. A barcode is 8, 12, 13
+// or 14 digits, the last being a check digit, so a mistyped code is caught
+// before any lookup. Leading zeros do not change a GTIN, which lets a UPC-A
+// and its EAN-13 form (or a spreadsheet number that lost its zeros) match.
+
+import { HttpError } from './httpError.js';
+
+const GTIN_LENGTHS = [8, 12, 13, 14];
+
+// Check digit for the digits before it: weights 3, 1, 3, ... from the right
+function checkDigit(body) {
+  const sum = [...body].reverse().reduce((total, digit, i) => total + Number(digit) * (i % 2 ? 1 : 3), 0);
+  return (10 - (sum % 10)) % 10;
+}
+
+// Digits of a barcode; a spreadsheet number that lost its leading zeros
+// is read as an EAN-13
+function gtinDigits(value) {
+  if (typeof value !== 'number') return (value ?? '').toString().replace(/[\s-]/g, '');
+  const digits = String(value);
+  return GTIN_LENGTHS.includes(digits.length) ? digits : digits.padStart(13, '0');
+}
+
+/**
+ * Problem with a barcode, or null when it is valid.
+ */
+function gtinProblem(value) {
+  const digits = gtinDigits(value);
+  if (!/^\d+$/.test(digits)) return 'must contain only digits';
+  if (!GTIN_LENGTHS.includes(digits.length)) return 'must have 8, 12, 13 or 14 digits';
+
+  const expected = checkDigit(digits.slice(0, -1));
+  return Number(digits.slice(-1)) === expected ? null : `has an invalid check digit (expected ${expected})`;
+}
+
+/**
+ * The barcode as digits (spaces and dashes removed); 400 when it is invalid.
+ */
+function normalizeGtin(value) {
+  const problem = gtinProblem(value);
+  if (problem) throw new HttpError(400, `Barcode "${value}" ${problem}`);
+  return gtinDigits(value);
+}
+
+// Comparable form: every GTIN padded to 14 digits
+const gtinKey = gtin => gtin.padStart(14, '0');
+
+export { gtinProblem, normalizeGtin, gtinKey };
@@ -0,0 +1,96 @@
+// lib/guestMenu.js (ES Module)
+//
+// Guest allergen filter. Processed recipes are sorted into what a guest who
+// avoids some allergens can order, what they cannot (with the ingredients or
+// cross-contact sources behind it), and what the kitchen has to confirm
+// because an ingredient could not be resolved.
+
+import { CANONICAL_ALLERGENS, canonicalAllergen, coveredAllergens } from './regulatoryProfiles.js';
+import { HttpError } from './httpError.js';
+
+/**
+ * Canonical codes from `?exclude=sesame,milk` or `["sesame", "milk"]`.
+ * Aliases ("dairy", "peanut") are accepted; unknown names are a 400.
+ */
+function parseExclusions(value) {
+  if (value === undefined || value === '') return [];
+  const names = Array.isArray(value) ? value : value.toString().split(',');
+  if (names.some(name => typeof name !== 'string')) {
+    throw new HttpError(400, '"exclude" must be a list of allergen names');
+  }
+
+  const codes = names.map(name => name.trim()).filter(Boolean).map(canonicalAllergen);
+  const unknown = codes.filter(code => !CANONICAL_ALLERGENS.includes(code));
+  if (unknown.length) {
+    throw new HttpError(
+      400,
+      `Unknown allergen(s) ${unknown.map(code => `"${code}"`).join(', ')}. Available: ${CANONICAL_ALLERGENS.join(', ')}`
+    );
+  }
+  return [...new Set(codes)];
+}
+
+// Why a recipe is unsafe: contained allergens first, then precautionary ones.
+// An excluded code also excludes what it covers: avoiding gluten avoids wheat.
+function unsafeReasons(result, exclude) {
+  const reasons = [];
+  const hits = (codes, allergen) => coveredAllergens(allergen).some(code => codes.includes(code));
+  for (const allergen of exclude) {
+    if (hits(result.allergens, allergen)) {
+      reasons.push({
+        allergen,
+        type: 'contains',
+        ingredients: Object.entries(result.flagged_ingredients || {})
+          .filter(([, allergens]) => hits(allergens, allergen))
+          .map(([ingredient]) => ingredient)
+      });
+    }
+  }
+  for (const allergen of exclude) {
+    if (hits(result.may_contain || [], allergen)) {
+      reasons.push({
+        allergen,
+        type: 'may_contain',
+        sources: [...new Set((result.may_contain_sources || [])
+          .filter(s => hits([s.allergen], allergen))
+          .map(s => s.name))]
+      });
+    }
+  }
+  return reasons;
+}
+
+/**
+ * Sort canonical results (processed without a region) for a guest avoiding
+ * `exclude`. A recipe is `unsafe` when it contains or may contain an excluded
+ * allergen, `ask_kitchen` when it is otherwise fine but has unrecognized
+ * ingredients or failed lookups, and `safe` otherwise.
+ */
+function filterMenu(results, exclude) {
+  const menu = { safe: [], unsafe: [], ask_kitchen: [] };
+
+  for (const result of results) {
+    const entry = {
+      recipe_name: result.recipe_name,
+      allergens: result.allergens,
+      may_contain: result.may_contain || [],
+      diets: Object.entries(result.dietary || {})
+        .filter(([, verdict]) => verdict.status === 'yes')
+        .map(([diet]) => diet),
+      approved: result.review?.status === 'approved'
+    };
+
+    const reasons = unsafeReasons(result, exclude);
+    const unresolved = [...new Set([
+      ...result.unrecognized_ingredients,
+      ...(result.lookup_errors || []).map(e => e.ingredient)
+    ])];
+
+    if (reasons.length) menu.unsafe.push({ ...entry, reasons });
+    else if (unresolved.length) menu.ask_kitchen.push({ ...entry, unresolved });
+    else menu.safe.push(entry);
+  }
+  return menu;
+}
+
+export { parseExclusions, filterMenu };
@@ -0,0 +1,13 @@
+// lib/httpError.js (ES Module)
+
+// Error carrying the HTTP status the REST layer should answer with
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+export { HttpError };
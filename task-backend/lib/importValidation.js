@@ -0,0 +1,169 @@
+// lib/importValidation.js (ES Module)
+//
+// Validation report for uploaded workbooks. Every finding carries the sheet,
+// row and column it refers to so the UI can point at the offending cell.
+// Errors block processing; warnings are shown but do not.
+
+import { HttpError } from './httpError.js';
+import { isLanguage } from './languages.js';
+import { gtinProblem } from './gtin.js';
+import { CERTIFIED_DIETS } from './dietary.js';
+
+const cellRef = ({ sheet, row, column }) =>
+  sheet && row ? `${sheet}!${column || ''}${row}` : 'the request';
+
+/**
+ * Check parsed recipes (plus the parser's own row issues) and split the
+ * findings into `errors` and `warnings`.
+ */
+function validateImport(recipes, parseIssues = []) {
+  const issues = [...parseIssues];
+
+  if (!recipes.length) {
+    issues.push({
+      severity: 'error',
+      code: 'NO_RECIPES',
+      message: 'No recipes found in the selected sheet(s)'
+    });
+  }
+
+  const seen = new Map();
+  for (const recipe of recipes) {
+    const location = { sheet: recipe.sheet, row: recipe.row, column: recipe.column };
+    const key = recipe.recipe_name.toLowerCase();
+
+    if (seen.has(key)) {
+      issues.push({
+        severity: 'error',
+        code: 'DUPLICATE_RECIPE',
+        message: `Recipe "${recipe.recipe_name}" is also defined at ${cellRef(seen.get(key))}`,
+        recipe_name: recipe.recipe_name,
+        ...location
+      });
+    } else {
+      seen.set(key, location);
+    }
+
+    if (!recipe.ingredients.length) {
+      issues.push({
+        severity: 'error',
+        code: 'EMPTY_RECIPE',
+        message: `Recipe "${recipe.recipe_name}" has no ingredients`,
+        recipe_name: recipe.recipe_name,
+        ...location
+      });
+    }
+
+    const ingredientsSeen = new Set();
+    recipe.ingredients.forEach((ingredient, i) => {
+      const detail = recipe.ingredient_details?.[i] || {};
+      const at = { sheet: detail.sheet, row: detail.row, column: detail.column };
+
+      if (ingredientsSeen.has(ingredient.toLowerCase())) {
+        issues.push({
+          severity: 'warning',
+          code: 'DUPLICATE_INGREDIENT',
+          message: `"${ingredient}" is listed more than once in "${recipe.recipe_name}"`,
+          recipe_name: recipe.recipe_name,
+          ...at
+        });
+      }
+      ingredientsSeen.add(ingredient.toLowerCase());
+
+      if (/^[\d\s.,]+$/.test(ingredient)) {
+        issues.push({
+          severity: 'warning',
+          code: 'NUMERIC_INGREDIENT',
+          message: `Ingredient "${ingredient}" is only a number; check the column mapping`,
+          recipe_name: recipe.recipe_name,
+          ...at
+        });
+      }
+
+      const problem = detail.gtin != null && detail.gtin !== '' && gtinProblem(detail.gtin);
+      if (problem) {
+        issues.push({
+          severity: 'error',
+          code: 'INVALID_GTIN',
+          message: `Barcode "${detail.gtin}" of "${ingredient}" ${problem}`,
+          recipe_name: recipe.recipe_name,
+          ...at
+        });
+      }
+    });
+  }
+
+  const errors = issues.filter(i => i.severity === 'error');
+  const warnings = issues.filter(i => i.severity === 'warning');
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+// Per-ingredient quantity and barcode cells as the upload returns them
+// (other fields are ignored)
+function validDetails(details) {
+  return Array.isArray(details) && details.every(detail =>
+    detail === null || (
+      typeof detail === 'object' &&
+      ['number', 'string', 'undefined'].includes(typeof detail.quantity) &&
+      ['number', 'string', 'undefined'].includes(typeof detail.unit) &&
+      ['boolean', 'undefined'].includes(typeof detail.characterizing) &&
+      (detail.gtin == null || ['number', 'string'].includes(typeof detail.gtin))
+    )
+  );
+}
+
+/**
+ * Reject a malformed `recipes` payload (REST or WebSocket) with a 400 that
+ * lists every problem by recipe index.
+ */
+function assertRecipesPayload(recipes) {
+  if (!Array.isArray(recipes)) {
+    throw new HttpError(400, '"recipes" must be an array');
+  }
+
+  const details = [];
+  recipes.forEach((recipe, index) => {
+    if (!recipe || typeof recipe !== 'object') {
+      details.push({ index, message: 'Recipe must be an object' });
+      return;
+    }
+    if (typeof recipe.recipe_name !== 'string' || !recipe.recipe_name.trim()) {
+      details.push({ index, message: '"recipe_name" must be a non-empty string' });
+    }
+    if (!Array.isArray(recipe.ingredients) ||
+        recipe.ingredients.some(i => typeof i !== 'string')) {
+      details.push({ index, message: '"ingredients" must be an array of strings' });
+    }
+    for (const field of ['equipment', 'may_contain']) {
+      if (recipe[field] !== undefined &&
+          (!Array.isArray(recipe[field]) || recipe[field].some(v => typeof v !== 'string'))) {
+        details.push({ index, message: `"${field}" must be an array of strings` });
+      }
+    }
+    if (recipe.certified !== undefined &&
+        (!Array.isArray(recipe.certified) || recipe.certified.some(d => !CERTIFIED_DIETS.includes(d)))) {
+      details.push({ index, message: `"certified" must be a list of: ${CERTIFIED_DIETS.join(', ')}` });
+    }
+    if (recipe.language !== undefined && !isLanguage(recipe.language)) {
+      details.push({ index, message: `Unknown language "${recipe.language}"` });
+    }
+    if (recipe.ingredient_details !== undefined && !validDetails(recipe.ingredient_details)) {
+      details.push({
+        index,
+        message: '"ingredient_details" must be an array of { quantity, unit, characterizing, gtin } objects'
+      });
+    } else {
+      recipe.ingredient_details?.forEach((detail, i) => {
+        const problem = detail?.gtin != null && detail.gtin !== '' && gtinProblem(detail.gtin);
+        if (problem) details.push({ index, message: `Ingredient ${i + 1} barcode "${detail.gtin}" ${problem}` });
+      });
+    }
+  });
+
+  if (details.length) {
+    const count = new Set(details.map(d => d.index)).size;
+    throw new HttpError(400, `${count} invalid recipe(s) in request`, details);
+  }
+}
+
+export { validateImport, assertRecipesPayload };
@@ -0,0 +1,385 @@
+// lib/ingredientMatcher.js (ES Module)
+//
+// Tokenizing ingredient matcher. Ingredient text is split into word tokens,
+// lightly stemmed (plurals) and compared token-by-token against the allergen
+// database, so "eggplant" no longer matches "egg" and "buttercup squash" no
+// longer matches "butter".
+
+// Phrases that contain an allergen key but must not be read as that key.
+// Each one consumes its tokens and reports its own allergens instead.
+const DEFAULT_EXCEPTIONS = [
+  { phrase: 'coconut milk', allergens: [] },
+  { phrase: 'coconut cream', allergens: [] },
+  { phrase: 'rice milk', allergens: [] },
+  { phrase: 'oat milk', allergens: ['gluten'] },
+  { phrase: 'soy milk', allergens: ['soy'] },
+  { phrase: 'almond milk', allergens: ['tree nuts'] },
+  { phrase: 'peanut butter', allergens: ['peanuts'] },
+  { phrase: 'cocoa butter', allergens: [] },
+  { phrase: 'apple butter', allergens: [] },
+  { phrase: 'cream of tartar', allergens: [] },
+  { phrase: 'egg plant', allergens: [] },
+  { phrase: 'eggplant', allergens: [] },
+  { phrase: 'butternut', allergens: [] },
+  { phrase: 'peanut free', allergens: [] },
+  // Flours that are not wheat flour
+  { phrase: 'rice flour', allergens: [] },
+  { phrase: 'coconut flour', allergens: [] },
+  { phrase: 'corn flour', allergens: [] },
+  { phrase: 'potato flour', allergens: [] },
+  { phrase: 'chickpea flour', allergens: [] },
+  { phrase: 'buckwheat flour', allergens: [] },
+  { phrase: 'almond flour', allergens: ['tree nuts'] },
+  { phrase: 'cornflour', allergens: [] },
+  { phrase: 'buckwheat', allergens: [] },
+  { phrase: 'butter beans', allergens: [] },
+  // One-word names that start or end with an allergen term but are not it
+  { phrase: 'buttercup', allergens: [] },
+  { phrase: 'butterfly', allergens: [] },
+  { phrase: 'butterfish', allergens: ['fish'] },
+  { phrase: 'milkfish', allergens: ['fish'] },
+  { phrase: 'crabapple', allergens: [] },
+  { phrase: 'breadfruit', allergens: [] },
+  { phrase: 'sweetbreads', allergens: [] }
+];
+
+// Words that negate an allergen term: "no eggs", "without nuts", "non-dairy".
+// A negation only covers its own words: "egg-free mayo with egg" has egg.
+const NEGATION_PREFIXES = ['no', 'without', 'non'];
+// ...and "dairy-free", "gluten free"
+const NEGATION_SUFFIXES = ['free'];
+
+// Category words that only ever appear in negations
+const NEGATION_ALIASES = {
+  dairy: ['milk'],
+  lactose: ['milk'],
+  nut: ['tree nuts', 'peanuts'],
+  gluten: ['gluten', 'wheat'],
+  shellfish: ['crustaceans', 'molluscs']
+};
+
+// Rules per language, added to the English ones above. `compounds`
+// languages write ingredients as one word ("Weizenmehl", "glutenfrei",
+// "breadcrumbs"), so a word that starts or ends with a known term matches
+// that term when the rest is a word too; `compoundWords` are the short ones
+// ("Sesamöl").
+const LANGUAGE_RULES = {
+  en: {
+    compounds: true
+  },
+  de: {
+    exceptions: [
+      { phrase: 'kokosmilch', allergens: [] },
+      { phrase: 'reismilch', allergens: [] },
+      { phrase: 'hafermilch', allergens: ['gluten'] },
+      { phrase: 'sojamilch', allergens: ['soy'] },
+      { phrase: 'mandelmilch', allergens: ['tree nuts'] },
+      { phrase: 'erdnussbutter', allergens: ['peanuts'] },
+      { phrase: 'kakaobutter', allergens: [] },
+      { phrase: 'muskatnuss', allergens: [] },
+      { phrase: 'kokosnuss', allergens: [] },
+      { phrase: 'leberkäse', allergens: [] },
+      { phrase: 'fleischkäse', allergens: [] },
+      { phrase: 'maismehl', allergens: [] },
+      { phrase: 'reismehl', allergens: [] },
+      { phrase: 'kokosmehl', allergens: [] },
+      { phrase: 'kartoffelmehl', allergens: [] },
+      { phrase: 'kichererbsenmehl', allergens: [] },
+      { phrase: 'mandelmehl', allergens: ['tree nuts'] },
+      { phrase: 'erdnussmehl', allergens: ['peanuts'] },
+      { phrase: 'sojamehl', allergens: ['soy'] },
+      { phrase: 'reisnudeln', allergens: [] },
+      { phrase: 'glasnudeln', allergens: [] },
+      { phrase: 'buchweizen', allergens: [] },
+      { phrase: 'tintenfisch', allergens: ['molluscs'] }
+    ],
+    negationPrefixes: ['ohne', 'kein', 'keine'],
+    negationSuffixes: ['frei'],
+    negationAliases: { laktose: ['milk'], milchprodukte: ['milk'] },
+    compounds: true,
+    compoundWords: ['öl', 'eis', 'mus', 'tee']
+  },
+  es: {
+    exceptions: [
+      { phrase: 'leche de coco', allergens: [] },
+      { phrase: 'leche de arroz', allergens: [] },
+      { phrase: 'leche de avena', allergens: ['gluten'] },
+      { phrase: 'leche de soja', allergens: ['soy'] },
+      { phrase: 'leche de almendra', allergens: ['tree nuts'] },
+      { phrase: 'mantequilla de cacahuete', allergens: ['peanuts'] },
+      { phrase: 'manteca de cacao', allergens: [] },
+      { phrase: 'nuez moscada', allergens: [] },
+      { phrase: 'harina de maíz', allergens: [] },
+      { phrase: 'harina de arroz', allergens: [] },
+      { phrase: 'harina de coco', allergens: [] }
+    ],
+    negationPrefixes: ['sin'],
+    negationAliases: { lactosa: ['milk'], 'lácteos': ['milk'], 'frutos secos': ['tree nuts', 'peanuts'] }
+  },
+  fr: {
+    exceptions: [
+      { phrase: 'lait de coco', allergens: [] },
+      { phrase: 'lait de riz', allergens: [] },
+      { phrase: "lait d'avoine", allergens: ['gluten'] },
+      { phrase: 'lait de soja', allergens: ['soy'] },
+      { phrase: "lait d'amande", allergens: ['tree nuts'] },
+      { phrase: 'beurre de cacahuète', allergens: ['peanuts'] },
+      { phrase: 'beurre de cacao', allergens: [] },
+      { phrase: 'noix de coco', allergens: [] },
+      { phrase: 'noix de muscade', allergens: [] },
+      { phrase: 'farine de maïs', allergens: [] },
+      { phrase: 'farine de riz', allergens: [] },
+      { phrase: 'farine de coco', allergens: [] }
+    ],
+    negationPrefixes: ['sans'],
+    negationAliases: { 'produits laitiers': ['milk'], 'fruits à coque': ['tree nuts'] }
+  }
+};
+
+// Shortest dictionary term a compound word may start or end with, and the
+// shortest rest of the word that is read as a word of its own
+const MIN_COMPOUND_PART = 4;
+const MIN_COMPOUND_REST = 3;
+
+// Light plural stemmer: "eggs" -> "egg", "anchovies" -> "anchovy"
+function stem(token) {
+  if (token.length <= 3) return token;
+  if (/(ss|us|is)$/.test(token)) return token;
+  if (token.endsWith('ies')) return token.slice(0, -3) + 'y';
+  if (/(ches|shes|sses|xes|zes|oes)$/.test(token)) return token.slice(0, -2);
+  if (token.endsWith('s')) return token.slice(0, -1);
+  return token;
+}
+
+// Lowercase and strip diacritics: "Crème" -> "creme"
+function fold(word) {
+  return word.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// Split text into stemmed tokens, remembering where each one came from.
+// `folded` is the unstemmed word: the plural stemmer is English and turns
+// German "glutenfreies" into "glutenfrey".
+function tokenize(text) {
+  const source = text.toString();
+  const tokens = [];
+  const pattern = /[\p{L}\p{N}]+/gu;
+  let m;
+  while ((m = pattern.exec(source))) {
+    const prev = tokens[tokens.length - 1];
+    tokens.push({
+      word: stem(fold(m[0])),
+      folded: fold(m[0]),
+      start: m.index,
+      end: m.index + m[0].length,
+      // Only whitespace or hyphens between this token and the previous one
+      joined: !prev || /^[\s-]*$/.test(source.slice(prev.end, m.index))
+    });
+  }
+  return tokens;
+}
+
+function phraseKey(text) {
+  return tokenize(text).map(t => t.word).join(' ');
+}
+
+// Build a phrase lookup keyed by stemmed token sequence
+function buildIndex(pairs) {
+  const index = new Map();
+  let longest = 0;
+
+  for (const [phrase, value] of pairs) {
+    const key = phraseKey(phrase);
+    if (!key) continue;
+    const existing = index.get(key);
+    index.set(key, existing
+      ? { ...existing, allergens: [...new Set([...existing.allergens, ...value.allergens])] }
+      : value);
+    longest = Math.max(longest, key.split(' ').length);
+  }
+  return { index, longest };
+}
+
+// Longest phrase from `lookup` starting at token `i`
+function longestAt(tokens, i, lookup) {
+  const max = Math.min(lookup.longest, tokens.length - i);
+  for (let n = max; n >= 1; n--) {
+    const slice = tokens.slice(i, i + n);
+    if (slice.slice(1).some(t => !t.joined)) continue;
+    const hit = lookup.index.get(slice.map(t => t.word).join(' '));
+    if (hit) return { hit, length: n };
+  }
+  return null;
+}
+
+// Longest phrase from `lookup` ending at token `end` (inclusive)
+function longestEndingAt(tokens, end, lookup) {
+  const max = Math.min(lookup.longest, end + 1);
+  for (let n = max; n >= 1; n--) {
+    const start = end - n + 1;
+    const slice = tokens.slice(start, end + 1);
+    if (slice.slice(1).some(t => !t.joined)) continue;
+    const hit = lookup.index.get(slice.map(t => t.word).join(' '));
+    if (hit) return { hit, start };
+  }
+  return null;
+}
+
+// One-word entries of an index that a compound word starts or ends with.
+// The rest of the word must be a word too: a known term (`isWord`), or long
+// enough not to be an ending ("Mehlig" is not "Mehl").
+function compoundParts(word, lookup, isWord = () => false) {
+  const parts = [];
+  for (const [key, hit] of lookup.index) {
+    if (key.includes(' ') || key.length < MIN_COMPOUND_PART || key === word) continue;
+    const rest = word.startsWith(key)
+      ? word.slice(key.length)
+      : word.endsWith(key) ? word.slice(0, -key.length) : null;
+    if (rest !== null && (rest.length >= MIN_COMPOUND_REST || isWord(rest))) parts.push({ key, hit });
+  }
+  return parts.sort((a, b) => b.key.length - a.key.length);
+}
+
+/**
+ * Create a matcher over an ingredient -> allergens database.
+ *
+ * `match(text)` returns `{ allergens, matches }` where each match records the
+ * original term, the database key or phrase that fired, the rule
+ * (`key`, `exception` or `negation`) and the allergens it contributed
+ * (for negations: the allergens its words stand for, which are not
+ * detected there). `language` adds that
+ * language's exceptions and negation words to the English ones; passing
+ * `exceptions` replaces both exception lists. The database values need not
+ * be allergens: any codes work ("meat", "alcohol", ...).
+ */
+function createIngredientMatcher(database, { exceptions, language = 'en' } = {}) {
+  const rules = LANGUAGE_RULES[language] || {};
+  const prefixes = [...NEGATION_PREFIXES, ...(rules.negationPrefixes || []).map(w => stem(fold(w)))];
+  const suffixes = [...NEGATION_SUFFIXES, ...(rules.negationSuffixes || []).map(w => stem(fold(w)))];
+
+  const keys = buildIndex(
+    Object.entries(database).map(([key, allergens]) => [key, { key, allergens }])
+  );
+  const exceptionIndex = buildIndex(
+    (exceptions || [...DEFAULT_EXCEPTIONS, ...(rules.exceptions || [])])
+      .map(({ phrase, allergens }) => [phrase, { key: phrase, allergens }])
+  );
+
+  const negatable = [
+    ...Object.entries(database).map(([key, allergens]) => [key, { key, allergens }]),
+    ...Object.entries({ ...NEGATION_ALIASES, ...rules.negationAliases })
+      .map(([key, allergens]) => [key, { key, allergens }])
+  ];
+  for (const allergens of Object.values(database)) {
+    allergens.forEach(a => negatable.push([a, { key: a, allergens: [a] }]));
+  }
+  const negations = buildIndex(negatable);
+
+  // A known term, with or without the linking "s", "n" or "en" of a compound
+  const compoundWords = new Set((rules.compoundWords || []).map(w => stem(fold(w))));
+  const isWord = part => [part, part.replace(/(?:s|n|en)$/, '')].some(p =>
+    compoundWords.has(p) || keys.index.has(p) || exceptionIndex.index.has(p) || negations.index.has(p));
+
+  function match(text) {
+    const source = text.toString();
+    const tokens = tokenize(source);
+    const consumed = new Array(tokens.length).fill(false);
+    const matches = [];
+
+    const termText = (from, to) => source.slice(tokens[from].start, tokens[to].end);
+
+    const consume = (from, to) => {
+      for (let k = from; k <= to; k++) consumed[k] = true;
+    };
+
+    // "Weizenmehl" is both "weizen" and "mehl"; "Muskatnuss" is an exception
+    const matchCompound = i => {
+      const word = tokens[i].word;
+      const [exception] = compoundParts(word, exceptionIndex, isWord);
+      const parts = exception ? [exception] : compoundParts(word, keys, isWord);
+      for (const { hit } of parts) {
+        matches.push({
+          term: termText(i, i),
+          key: hit.key,
+          rule: exception ? 'exception' : 'key',
+          allergens: hit.allergens
+        });
+      }
+      if (parts.length) consume(i, i);
+    };
+
+    // Negations first, so "peanut-free" never reports peanuts
+    tokens.forEach((token, i) => {
+      // "glutenfrei", "laktosefreie", "glutenfreies"
+      const negated = rules.compounds && suffixes
+        .map(s => token.folded.match(new RegExp(`^(.+)${s}(?:e|er|es|en|em)?$`)))
+        .map(m => m && negations.index.get(m[1]))
+        .find(Boolean);
+      if (negated) {
+        matches.push({ term: termText(i, i), key: negated.key, rule: 'negation', allergens: negated.allergens });
+        consume(i, i);
+        return;
+      }
+
+      if (suffixes.includes(token.word) && token.joined && i > 0) {
+        if (tokens[i + 1]?.word === 'range' && tokens[i + 1].joined) return;
+        const found = longestEndingAt(tokens, i - 1, negations);
+        if (found) {
+          matches.push({
+            term: termText(found.start, i),
+            key: found.hit.key,
+            rule: 'negation',
+            allergens: found.hit.allergens
+          });
+          consume(found.start, i);
+        }
+      } else if (prefixes.includes(token.word) && tokens[i + 1]?.joined) {
+        const found = longestAt(tokens, i + 1, negations);
+        if (found) {
+          matches.push({
+            term: termText(i, i + found.length),
+            key: found.hit.key,
+            rule: 'negation',
+            allergens: found.hit.allergens
+          });
+          consume(i, i + found.length);
+        }
+      }
+    });
+
+    for (let i = 0; i < tokens.length; i++) {
+      if (consumed[i]) continue;
+
+      const exception = longestAt(tokens, i, exceptionIndex);
+      const key = longestAt(tokens, i, keys);
+      // An exception wins unless a strictly longer key covers it
+      const found = exception && (!key || exception.length >= key.length)
+        ? { ...exception, rule: 'exception' }
+        : key && { ...key, rule: 'key' };
+
+      if (!found && rules.compounds) {
+        matchCompound(i);
+        continue;
+      }
+      if (!found || consumed.slice(i, i + found.length).some(Boolean)) continue;
+
+      matches.push({
+        term: termText(i, i + found.length - 1),
+        key: found.hit.key,
+        rule: found.rule,
+        allergens: found.hit.allergens
+      });
+      consume(i, i + found.length - 1);
+      i += found.length - 1;
+    }
+
+    // Negated words were consumed above; every other match counts
+    const allergens = new Set(
+      matches.filter(m => m.rule !== 'negation').flatMap(m => m.allergens)
+    );
+    return { allergens: [...allergens], matches };
+  }
+
+  return { match };
+}
+
+export { createIngredientMatcher, tokenize, stem, DEFAULT_EXCEPTIONS, LANGUAGE_RULES };
@@ -0,0 +1,276 @@
+// lib/ingredientNormalizer.js (ES Module)
+//
+// Ingredient cells carry more than the ingredient: "200g Mozzarella (milk,
+// salt, rennet)", "2 tbsp Kikkoman soy sauce", "Flour, wheat - type 00".
+// The normalizer separates the quantity, unit, brand and preparation notes
+// from the name that is looked up, and turns a parenthesized ingredient list
+// into components that are checked on their own. The original text is kept.
+
+// Canonical unit -> the ways it is written
+const UNITS = {
+  g: ['g', 'gr', 'gram', 'grams', 'gramme', 'grammes'],
+  kg: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms'],
+  mg: ['mg', 'milligram', 'milligrams'],
+  ml: ['ml', 'millilitre', 'millilitres', 'milliliter', 'milliliters'],
+  cl: ['cl', 'centilitre', 'centilitres', 'centiliter', 'centiliters'],
+  l: ['l', 'ltr', 'litre', 'litres', 'liter', 'liters'],
+  tsp: ['tsp', 'tsps', 'teaspoon', 'teaspoons'],
+  tbsp: ['tbsp', 'tbsps', 'tbs', 'tbl', 'tablespoon', 'tablespoons'],
+  cup: ['cup', 'cups'],
+  oz: ['oz', 'ounce', 'ounces'],
+  lb: ['lb', 'lbs', 'pound', 'pounds'],
+  pinch: ['pinch', 'pinches'],
+  dash: ['dash', 'dashes'],
+  clove: ['clove', 'cloves'],
+  slice: ['slice', 'slices'],
+  can: ['can', 'cans', 'tin', 'tins'],
+  piece: ['pc', 'pcs', 'piece', 'pieces'],
+  bunch: ['bunch', 'bunches'],
+  sprig: ['sprig', 'sprigs'],
+  handful: ['handful', 'handfuls'],
+  pack: ['pack', 'packs', 'packet', 'packets']
+};
+
+const UNIT_BY_WORD = new Map(
+  Object.entries(UNITS).flatMap(([unit, words]) => words.map(word => [word, unit]))
+);
+
+// Brands removed from the name; a word marked ® or ™ is read as a brand too
+const DEFAULT_BRANDS = [
+  'Kikkoman', 'Heinz', "Hellmann's", 'Lea & Perrins', 'Tabasco', 'Nutella',
+  'Philadelphia', 'Cadbury', 'Nestlé', 'Kraft', 'Knorr', 'Maggi', 'Oxo', 'Bisto',
+  'Marmite', 'Lurpak', 'Kerrygold', 'Galbani', 'Barilla', 'De Cecco', 'Dr. Oetker',
+  'McCormick', 'Schwartz', "Colman's", 'Lee Kum Kee', 'Old El Paso', "Kellogg's",
+  'Biscoff', 'Huy Fong'
+];
+
+// Words that only describe how an ingredient is prepared or used. A comma,
+// dash or bracketed part made only of these is a note, not part of the name.
+const NOTE_WORDS = new Set([
+  'chopped', 'diced', 'sliced', 'minced', 'grated', 'shredded', 'crushed', 'ground',
+  'melted', 'softened', 'beaten', 'whisked', 'peeled', 'deseeded', 'pitted', 'halved',
+  'quartered', 'cubed', 'julienned', 'drained', 'rinsed', 'washed', 'trimmed', 'toasted',
+  'roasted', 'cooked', 'raw', 'fresh', 'frozen', 'dried', 'thawed', 'sifted', 'zested',
+  'juiced', 'divided', 'optional', 'organic', 'large', 'medium', 'small', 'ripe', 'cold',
+  'warm', 'hot', 'boiling', 'packed', 'heaped', 'level', 'finely', 'roughly', 'coarsely',
+  'thinly', 'thickly', 'freshly', 'lightly', 'cut', 'into', 'pieces', 'chunks', 'strips',
+  'cubes', 'rings', 'wedges', 'and', 'or', 'plus', 'extra', 'more', 'if', 'needed', 'as',
+  'required', 'desired', 'about', 'approx', 'approximately', 'room', 'temperature'
+]);
+const NOTE_STARTS = ['to', 'for', 'at', 'see', 'such'];
+
+// A bracket lists components only when it says so or holds a list:
+// "(milk, salt, rennet)", "(contains: milk)". "(unsalted)" describes the name.
+const COMPONENT_MARKER = /^(?:contains|ingredients?|made with)\s*:?\s*/i;
+
+// Names that start with a number, which is not a quantity: "5 spice powder".
+// A bare zero is never a quantity either: "00 flour".
+const NUMBERED_NAMES = ['5 spice', '7 up'];
+
+const FRACTIONS = { '½': 0.5, '⅓': 1 / 3, '⅔': 2 / 3, '¼': 0.25, '¾': 0.75, '⅛': 0.125 };
+const NUMBER = String.raw`(?:\d+\s+\d+\/\d+|\d+\/\d+|\d*[½⅓⅔¼¾⅛]|\d+(?:[.,]\d+)?)`;
+const QUANTITY = String.raw`(${NUMBER})(?:\s*(?:-|–|to)\s*(${NUMBER}))?`;
+const UNIT = `(${[...UNIT_BY_WORD.keys()].sort((a, b) => b.length - a.length).join('|')})\\.?(?![\\p{L}\\p{N}])`;
+
+// "200g", "2 tbsp", "1 1/2 cups of", "2-3" (a bare number needs a space after it)
+const LEADING_QUANTITY = new RegExp(
+  String.raw`^(?:about\s+|approx\.?\s+|~\s*)?${QUANTITY}(?:\s*${UNIT}|(?=\s))\s*(?:of\s+)?`,
+  'iu'
+);
+// "Mozzarella 200g"
+const TRAILING_QUANTITY = new RegExp(String.raw`\s+${QUANTITY}\s*${UNIT}$`, 'iu');
+// A bracketed part that is only a quantity: "(200g)"
+const ONLY_QUANTITY = new RegExp(String.raw`^${QUANTITY}\s*${UNIT}$`, 'iu');
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const words = text => text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+const tidy = text => text.replace(/\s+/g, ' ').replace(/^[\s,;:.-]+|[\s,;:-]+$/g, '');
+
+function parseNumber(text) {
+  const value = text.trim().replace(',', '.');
+  const mixed = value.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) return Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]);
+  const fraction = value.match(/^(\d+)\/(\d+)$/);
+  if (fraction) return Number(fraction[1]) / Number(fraction[2]);
+  const glyph = value.match(/^(\d*)([½⅓⅔¼¾⅛])$/);
+  if (glyph) return Number(glyph[1] || 0) + FRACTIONS[glyph[2]];
+  return Number(value);
+}
+
+function quantityOf(match) {
+  const [, from, to, unit] = match;
+  return {
+    quantity: Math.round(parseNumber(from) * 1000) / 1000,
+    ...(to && { quantity_max: Math.round(parseNumber(to) * 1000) / 1000 }),
+    unit: unit ? UNIT_BY_WORD.get(unit.toLowerCase()) : null
+  };
+}
+
+// Split "a, b (c, d); e" at top-level separators only
+function splitIngredientList(text, separators = /[,;\n]/) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of text) {
+    if ('([{'.includes(ch)) depth++;
+    if (')]}'.includes(ch)) depth = Math.max(0, depth - 1);
+    if (depth === 0 && separators.test(ch)) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+// Top-level bracketed groups, and the text with them removed
+function extractGroups(text) {
+  const groups = [];
+  let outside = '';
+  let depth = 0;
+  let current = '';
+  for (const ch of text) {
+    if ('([{'.includes(ch)) {
+      if (depth++ === 0) continue;
+    } else if (')]}'.includes(ch) && depth > 0) {
+      if (--depth === 0) {
+        groups.push(current.trim());
+        current = '';
+        outside += ' ';
+        continue;
+      }
+    }
+    if (depth > 0) current += ch;
+    else outside += ch;
+  }
+  // An unclosed bracket is kept as text
+  if (depth > 0) outside += ` ${current}`;
+  return { outside, groups: groups.filter(Boolean) };
+}
+
+// Whether a bare leading number (no unit) belongs to the name
+function numberInName(text, match) {
+  if (match[3]) return false;
+  if (!match[2] && parseNumber(match[1]) === 0) return true;
+  const lower = text.toLowerCase().replace(/\s+/g, ' ');
+  return NUMBERED_NAMES.some(name => lower.startsWith(name) && !/[\p{L}\p{N}]/u.test(lower.charAt(name.length)));
+}
+
+function isNote(text) {
+  const list = words(text);
+  if (!list.length) return false;
+  if (NOTE_STARTS.includes(list[0])) return true;
+  return list.every(word => NOTE_WORDS.has(word) || UNIT_BY_WORD.has(word) || /^\d/.test(word));
+}
+
+function takeBrand(text, brands) {
+  for (const brand of brands) {
+    const pattern = new RegExp(`(^|[^\\p{L}])${escapeRegExp(brand)}[®™]?(?![\\p{L}])`, 'iu');
+    if (pattern.test(text)) return { brand, rest: text.replace(pattern, '$1') };
+  }
+  const marked = text.match(/([\p{L}\p{N}&'.-]+)\s*[®™]/u);
+  if (marked) return { brand: marked[1], rest: text.replace(marked[0], ' ') };
+  return { brand: null, rest: text };
+}
+
+/**
+ * Normalize one ingredient.
+ *
+ * Returns `{ original, name, quantity, unit, brand, notes, components }`
+ * (plus `quantity_max` for ranges such as "2-3 cloves"). `name` is what
+ * allergen detection looks up; `components` are the normalized entries of a
+ * bracketed ingredient list. Anything that cannot be separated stays in
+ * `name`, so nothing is lost.
+ */
+function normalizeIngredient(text, { brands = DEFAULT_BRANDS } = {}) {
+  const original = text.toString().trim();
+  const result = {
+    original,
+    name: original,
+    quantity: null,
+    unit: null,
+    brand: null,
+    notes: [],
+    components: []
+  };
+
+  const { outside, groups } = extractGroups(original);
+  let rest = outside;
+
+  // "Flour, wheat - type 00": everything after a spaced dash is a note
+  const dash = rest.match(/\s[-–—]\s/);
+  if (dash) {
+    const note = tidy(rest.slice(dash.index + dash[0].length));
+    if (note) result.notes.push(note);
+    rest = rest.slice(0, dash.index);
+  }
+
+  const leading = rest.trim().match(LEADING_QUANTITY);
+  if (leading && rest.trim().slice(leading[0].length).trim() && !numberInName(rest.trim(), leading)) {
+    Object.assign(result, quantityOf(leading));
+    rest = rest.trim().slice(leading[0].length);
+  } else {
+    const trailing = rest.trim().match(TRAILING_QUANTITY);
+    if (trailing && rest.trim().slice(0, trailing.index).trim()) {
+      Object.assign(result, quantityOf(trailing));
+      rest = rest.trim().slice(0, trailing.index);
+    }
+  }
+
+  for (const group of groups) {
+    const content = group.replace(COMPONENT_MARKER, '');
+    const quantity = content.match(ONLY_QUANTITY);
+    const listed = COMPONENT_MARKER.test(group) || splitIngredientList(content).length > 1;
+    if (quantity && result.quantity === null) Object.assign(result, quantityOf(quantity));
+    else if (isNote(content) || !listed) result.notes.push(tidy(content));
+    else {
+      splitIngredientList(content).forEach(part =>
+        result.components.push(normalizeIngredient(part, { brands }))
+      );
+    }
+  }
+
+  const { brand, rest: unbranded } = takeBrand(rest, brands);
+  result.brand = brand;
+
+  // "Flour, wheat" is "wheat flour"; "Onion, finely chopped" is a note
+  const [head = '', ...tail] = splitIngredientList(unbranded, /,/);
+  const qualifiers = [];
+  for (const part of tail) {
+    if (isNote(part)) result.notes.push(tidy(part));
+    else qualifiers.push(tidy(part));
+  }
+  let name = tidy(head);
+  if (qualifiers.length && name) {
+    const inverted = `${qualifiers.join(' ')} ${name.charAt(0).toLowerCase()}${name.slice(1)}`;
+    name = inverted.charAt(0).toUpperCase() + inverted.slice(1);
+  }
+
+  // Never end up with nothing to look up: "Nutella" is its own name
+  result.name = name || brand || tidy(outside) || original;
+  return result;
+}
+
+// A quantity cell on its own: "200", "1 1/2", "200 g", "2-3"
+const QUANTITY_CELL = new RegExp(String.raw`^${QUANTITY}\s*(?:${UNIT})?$`, 'iu');
+
+/**
+ * Read a spreadsheet quantity cell (number or text) and an optional unit
+ * cell into `{ quantity, unit }` (plus `quantity_max` for ranges); null when
+ * the cell holds no quantity. The unit cell wins over a unit written in the
+ * quantity cell; a unit word that is not known is kept as written.
+ */
+function parseQuantity(value, unit) {
+  const text = value === undefined || value === null ? '' : value.toString().trim();
+  const match = text.match(QUANTITY_CELL);
+  if (!match) return null;
+
+  const parsed = quantityOf(match);
+  const unitText = unit === undefined || unit === null ? '' : unit.toString().trim().replace(/\.$/, '');
+  if (unitText) parsed.unit = UNIT_BY_WORD.get(unitText.toLowerCase()) || unitText;
+  return parsed;
+}
+
+export { normalizeIngredient, parseQuantity, splitIngredientList, DEFAULT_BRANDS, UNITS };
@@ -0,0 +1,211 @@
+// lib/ingredientStore.js (ES Module)
+//
+// File-backed ingredient -> allergen knowledge base. Everything lives in one
+// JSON document on local disk: the entries themselves plus an append-only
+// change history recording who changed which mapping and when. Entries can
+// also carry precautionary `may_contain` allergens (e.g. a shared production
+// line at the supplier), which are never mixed into `allergens`. Every
+// entry belongs to one dictionary `language`; names only need to be unique
+// within it ("soja" is German, Spanish and French).
+
+import { HttpError } from './httpError.js';
+import { createJsonFile } from './jsonFile.js';
+import { LANGUAGES, DEFAULT_LANGUAGE, isLanguage } from './languages.js';
+import { allergenCodes } from './regulatoryProfiles.js';
+
+function cleanTerm(value) {
+  return value.toString().trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function cleanList(value, field) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) {
+    throw new HttpError(400, `"${field}" must be an array of strings`);
+  }
+  return [...new Set(value.map(cleanTerm).filter(Boolean))];
+}
+
+// Validate and normalize an incoming entry body
+function normalizeEntry(body, existing = {}) {
+  const name = body.name !== undefined ? cleanTerm(body.name) : existing.name;
+  if (!name) throw new HttpError(400, '"name" is required');
+
+  const allergens = body.allergens !== undefined
+    ? allergenCodes(body.allergens, 'allergens')
+    : existing.allergens;
+  if (!allergens) throw new HttpError(400, '"allergens" is required');
+
+  const synonyms = body.synonyms !== undefined
+    ? cleanList(body.synonyms, 'synonyms').filter(s => s !== name)
+    : (existing.synonyms || []).filter(s => s !== name);
+
+  const mayContain = body.may_contain !== undefined
+    ? allergenCodes(body.may_contain, 'may_contain')
+    : existing.may_contain || [];
+
+  const language = body.language ?? existing.language ?? DEFAULT_LANGUAGE;
+  if (!isLanguage(language)) {
+    throw new HttpError(400, `Unknown language "${language}". Available: ${Object.keys(LANGUAGES).join(', ')}`);
+  }
+
+  return { name, synonyms, allergens, may_contain: mayContain, language };
+}
+
+function createIngredientStore({ file, seed = [] }) {
+  const store = createJsonFile(file);
+  let state = { next_id: 1, entries: [], history: [] };
+  let version = 0;
+
+  function persist() {
+    return store.write(state);
+  }
+
+  function record(action, entry, before, after, changedBy) {
+    state.history.push({
+      entry_id: entry.id,
+      name: entry.name,
+      action,
+      changed_by: changedBy || 'anonymous',
+      changed_at: new Date().toISOString(),
+      before: before || null,
+      after: after || null
+    });
+  }
+
+  // Name and synonyms must be unique across the entries of a language
+  function assertUnique(entry, ignoreId) {
+    const terms = [entry.name, ...entry.synonyms];
+    const clash = state.entries.find(e =>
+      e.id !== ignoreId &&
+      e.language === entry.language &&
+      [e.name, ...e.synonyms].some(t => terms.includes(t))
+    );
+    if (clash) {
+      throw new HttpError(409, `"${clash.name}" (id ${clash.id}) already uses one of these terms`);
+    }
+  }
+
+  // Seeded only when there is no store yet: a dictionary whose entries were
+  // all retired stays empty across restarts
+  async function load() {
+    const saved = await store.read(null);
+    if (saved) {
+      state = saved;
+      // Entries from before dictionaries had a language are English
+      state.entries.forEach(e => {
+        e.language ??= DEFAULT_LANGUAGE;
+      });
+    } else {
+      const now = new Date().toISOString();
+      for (const item of seed) {
+        const entry = {
+          id: state.next_id++,
+          ...normalizeEntry(item),
+          created_at: now,
+          updated_at: now
+        };
+        state.entries.push(entry);
+        record('seed', entry, null, entry, 'system');
+      }
+      await persist();
+    }
+    version++;
+  }
+
+  function list(language) {
+    return language ? state.entries.filter(e => e.language === language) : state.entries;
+  }
+
+  function get(id) {
+    return state.entries.find(e => e.id === Number(id)) || null;
+  }
+
+  // Entry of `language` whose name or one of whose synonyms is `term`
+  function findByTerm(term, language = DEFAULT_LANGUAGE) {
+    const clean = cleanTerm(term);
+    return state.entries.find(e =>
+      e.language === language && (e.name === clean || e.synonyms.includes(clean))
+    ) || null;
+  }
+
+  async function create(body, changedBy) {
+    const now = new Date().toISOString();
+    const entry = { id: state.next_id, ...normalizeEntry(body), created_at: now, updated_at: now };
+    assertUnique(entry);
+
+    state.next_id++;
+    state.entries.push(entry);
+    record('create', entry, null, entry, changedBy);
+    version++;
+    await persist();
+    return entry;
+  }
+
+  async function update(id, body, changedBy) {
+    const before = get(id);
+    if (!before) throw new HttpError(404, `Ingredient ${id} not found`);
+
+    const after = {
+      ...before,
+      ...normalizeEntry(body, before),
+      updated_at: new Date().toISOString()
+    };
+    assertUnique(after, before.id);
+
+    state.entries = state.entries.map(e => (e.id === before.id ? after : e));
+    record('update', after, before, after, changedBy);
+    version++;
+    await persist();
+    return after;
+  }
+
+  async function remove(id, changedBy) {
+    const before = get(id);
+    if (!before) throw new HttpError(404, `Ingredient ${id} not found`);
+
+    state.entries = state.entries.filter(e => e.id !== before.id);
+    record('delete', before, before, null, changedBy);
+    version++;
+    await persist();
+    return before;
+  }
+
+  function history(id) {
+    return id === undefined
+      ? state.history
+      : state.history.filter(h => h.entry_id === Number(id));
+  }
+
+  // Flatten entries (and their synonyms) into the term -> allergens shape
+  // the ingredient matcher consumes. English terms are always included:
+  // kitchens everywhere write "Mozzarella" or "Tofu".
+  function toDatabase(language = DEFAULT_LANGUAGE) {
+    const database = {};
+    const languages = [...new Set([DEFAULT_LANGUAGE, language])];
+    for (const lang of languages) {
+      for (const entry of list(lang)) {
+        for (const term of [entry.name, ...entry.synonyms]) {
+          database[term] = entry.allergens;
+        }
+      }
+    }
+    return database;
+  }
+
+  return {
+    load,
+    list,
+    get,
+    findByTerm,
+    create,
+    update,
+    remove,
+    history,
+    toDatabase,
+    get version() {
+      return version;
+    }
+  };
+}
+
+export { createIngredientStore };
@@ -0,0 +1,156 @@
+// lib/jobs.js (ES Module)
+//
+// Server-side batch jobs. Processing runs independently of any socket: every
+// message a job produces is numbered (`seq`) and kept with the job, so a
+// client that reconnects can subscribe again and have what it missed
+// replayed, and results can always be fetched over REST.
+
+import { randomUUID } from 'crypto';
+import { HttpError } from './httpError.js';
+
+const FINISHED = ['completed', 'cancelled', 'failed'];
+
+/**
+ * `runJob(items, options, { onResult, isCancelled })` does the work: it
+ * calls `onResult(index, result)` for each item and should stop once
+ * `isCancelled()` is true. Finished jobs are kept for `retentionMs`.
+ */
+function createJobManager({ runJob, retentionMs = 60 * 60 * 1000 }) {
+  const jobs = new Map();
+
+  function prune() {
+    const cutoff = Date.now() - retentionMs;
+    for (const [id, job] of jobs) {
+      if (job.finished_at && Date.parse(job.finished_at) < cutoff) jobs.delete(id);
+    }
+  }
+
+  function emit(job, message) {
+    const event = { ...message, job_id: job.id, seq: job.events.length + 1 };
+    job.events.push(event);
+    for (const listener of job.listeners) listener(event);
+  }
+
+  // Final message; nobody needs to listen after it
+  function finish(job, status, message) {
+    job.status = status;
+    job.finished_at = new Date().toISOString();
+    emit(job, message);
+    job.listeners.clear();
+  }
+
+  async function run(job) {
+    job.status = 'running';
+    const isCancelled = () => job.status === 'cancelled';
+    try {
+      await runJob(job.items, job.options, {
+        isCancelled,
+        onResult: (index, result) => {
+          if (isCancelled()) return;
+          job.results[index] = result;
+          job.processed++;
+          emit(job, { type: 'PROGRESS', current: job.processed, total: job.total });
+          emit(job, { type: 'RECIPE_RESULT', index, result });
+        }
+      });
+      if (isCancelled()) return;
+      finish(job, 'completed', { type: 'COMPLETE', recipes: job.results });
+    } catch (err) {
+      if (isCancelled()) return;
+      console.error(`Job ${job.id} failed:`, err);
+      job.error = err.message;
+      finish(job, 'failed', { type: 'ERROR', message: err.message });
+    }
+  }
+
+  // Start a job over `items` for `owner` (a username); `options` are kept on
+  // the job and passed to runJob
+  function submit(items, options = {}, owner = null) {
+    prune();
+    const job = {
+      id: randomUUID(),
+      owner,
+      status: 'queued',
+      items,
+      options,
+      total: items.length,
+      processed: 0,
+      results: [],
+      events: [],
+      listeners: new Set(),
+      created_at: new Date().toISOString(),
+      finished_at: null,
+      error: null
+    };
+    jobs.set(job.id, job);
+    run(job);
+    return job;
+  }
+
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  function getOrThrow(id) {
+    const job = get(id);
+    if (!job) throw new HttpError(404, `Job ${id} not found`);
+    return job;
+  }
+
+  /**
+   * Replay the events after `afterSeq`, then deliver new ones as they
+   * happen; each `seq` reaches the listener once. Returns the unsubscribe
+   * function.
+   */
+  function subscribe(id, listener, afterSeq = 0) {
+    const job = getOrThrow(id);
+    let lastSeq = afterSeq;
+    const deliver = event => {
+      if (event.seq <= lastSeq) return;
+      lastSeq = event.seq;
+      listener(event);
+    };
+    job.events.forEach(deliver);
+    if (FINISHED.includes(job.status)) return () => {};
+
+    job.listeners.add(deliver);
+    return () => job.listeners.delete(deliver);
+  }
+
+  function cancel(id) {
+    const job = getOrThrow(id);
+    if (FINISHED.includes(job.status)) {
+      throw new HttpError(409, `Job ${id} is already ${job.status}`);
+    }
+    finish(job, 'cancelled', { type: 'CANCELLED', processed: job.processed, total: job.total });
+    return job;
+  }
+
+  // Public view of a job (results only once they exist)
+  function summary(job, { results = true } = {}) {
+    return {
+      id: job.id,
+      owner: job.owner,
+      status: job.status,
+      total: job.total,
+      processed: job.processed,
+      created_at: job.created_at,
+      finished_at: job.finished_at,
+      ...(job.error && { error: job.error }),
+      last_seq: job.events.length,
+      ...(results && { results: job.results })
+    };
+  }
+
+  // All jobs, or only those of `owner`
+  function list(owner) {
+    prune();
+    return [...jobs.values()]
+      .filter(job => owner === undefined || job.owner === owner)
+      .map(job => summary(job, { results: false }));
+  }
+
+  return { submit, get: getOrThrow, subscribe, cancel, summary, list };
+}
+
+export { createJobManager };
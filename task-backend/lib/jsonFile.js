@@ -0,0 +1,33 @@
+// lib/jsonFile.js (ES Module)
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// A JSON document on local disk with serialized, atomic (tmp + rename) writes
+function createJsonFile(file) {
+  let writing = Promise.resolve();
+
+  // Resolves to `fallback` when the file does not exist yet
+  async function read(fallback) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return fallback;
+      throw err;
+    }
+  }
+
+  function write(data) {
+    const snapshot = JSON.stringify(data, null, 2);
+    writing = writing.then(async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(`${file}.tmp`, snapshot);
+      await fs.rename(`${file}.tmp`, file);
+    });
+    return writing;
+  }
+
+  return { read, write, file };
+}
+
+export { createJsonFile };
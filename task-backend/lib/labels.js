@@ -0,0 +1,231 @@
+// lib/labels.js (ES Module)
+//
+// Printable allergen labels. A label is built once from a processed recipe
+// and then rendered as HTML (browser printing) or PDF (label printers).
+// Allergens are emphasized inside the ingredient list as EU FIC Article 21
+// requires: the matched term is set in bold, and the allergen name is added
+// in bold brackets when the ingredient name does not already show it.
+// Results processed with an output `lang` get their headings and allergen
+// names in that language. When every quantity is known, ingredients are
+// listed by weight with QUID percentages for characterizing ingredients.
+
+import PDFDocument from 'pdfkit';
+import { HttpError } from './httpError.js';
+import { PATH_SEPARATOR } from './subRecipes.js';
+import { getProfile } from './regulatoryProfiles.js';
+import { allergenName as translatedName, labelText } from './languages.js';
+import { formatPercent } from './quid.js';
+import { tokenize } from './ingredientMatcher.js';
+import { MM, escapeHtml } from './formatting.js';
+
+// Label stock presets (millimetres); fontSize is the body size in points
+const LABEL_SIZES = {
+  small: { width: 62, height: 29, fontSize: 5 },
+  medium: { width: 102, height: 76, fontSize: 8 },
+  large: { width: 102, height: 152, fontSize: 10 },
+  a4: { width: 210, height: 297, fontSize: 12 }
+};
+
+// Preset name, optionally overridden by explicit width/height in mm
+function resolveLabelSize({ size = 'medium', width, height } = {}) {
+  const preset = LABEL_SIZES[size];
+  if (!preset) {
+    throw new HttpError(400, `Unknown label size "${size}". Available: ${Object.keys(LABEL_SIZES).join(', ')}`);
+  }
+  const custom = { width: Number(width || preset.width), height: Number(height || preset.height) };
+  if (!(custom.width >= 20 && custom.height >= 15 && custom.width <= 420 && custom.height <= 600)) {
+    throw new HttpError(400, 'Label width/height must be between 20x15 and 420x600 mm');
+  }
+  // Scale the font with the label width when a custom size is given
+  const fontSize = Math.max(4, Math.round(preset.fontSize * custom.width / preset.width * 10) / 10);
+  return { ...custom, fontSize };
+}
+
+// Where `phrase` first occurs in `tokens` as whole words, outside `taken`:
+// "egg" is not in "eggplant"
+function wordSpan(tokens, phrase, taken = []) {
+  const words = tokenize(phrase).map(t => t.word);
+  if (!words.length) return null;
+  for (let i = 0; i + words.length <= tokens.length; i++) {
+    if (!words.every((word, k) => tokens[i + k].word === word)) continue;
+    const span = { start: tokens[i].start, end: tokens[i + words.length - 1].end };
+    if (!taken.some(s => span.start < s.end && span.end > s.start)) return span;
+  }
+  return null;
+}
+
+// Split an ingredient into plain and bold segments; `nameOf(code)` is how
+// an allergen is written out
+function emphasize(ingredient, allergens, detections = [], nameOf = code => code) {
+  const tokens = tokenize(ingredient);
+  const spans = [];
+
+  for (const d of detections) {
+    if (d.source !== 'local' || !d.matched_term) continue;
+    const span = wordSpan(tokens, d.matched_term, spans);
+    if (span) spans.push(span);
+  }
+  spans.sort((a, b) => a.start - b.start);
+
+  const segments = [];
+  let pos = 0;
+  for (const { start, end } of spans) {
+    if (start > pos) segments.push({ text: ingredient.slice(pos, start), bold: false });
+    segments.push({ text: ingredient.slice(start, end), bold: true });
+    pos = end;
+  }
+  if (pos < ingredient.length) segments.push({ text: ingredient.slice(pos), bold: false });
+
+  // Name the allergen when the ingredient name does not show it
+  const hidden = allergens.filter(a => !wordSpan(tokens, a) && !wordSpan(tokens, nameOf(a)));
+  if (hidden.length) {
+    segments.push({ text: ' (', bold: false });
+    hidden.forEach((a, i) => {
+      if (i) segments.push({ text: ', ', bold: false });
+      segments.push({ text: nameOf(a), bold: true });
+    });
+    segments.push({ text: ')', bold: false });
+  }
+  return segments;
+}
+
+// A sub-recipe, or an ingredient with a bracketed list, is listed as a
+// compound ingredient: "Pesto (basil, pine nuts)". Labels show the
+// normalized name, without the quantity, brand or notes.
+function ingredientSegments(result, key, text) {
+  const name = result.normalized_ingredients?.[key]?.name || text;
+  const component = result.sub_recipes?.[key];
+  const children = component?.ingredients || result.normalized_ingredients?.[key]?.components || [];
+  const flagged = result.flagged_ingredients || {};
+  const nameOf = code => result.allergen_names?.[code] || code;
+  if (!children.length) {
+    return emphasize(name, flagged[key] || [], result.detections?.[key], nameOf);
+  }
+
+  const childKeys = children.map(child => key + PATH_SEPARATOR + child);
+  // Allergens a listed item already shows need not be named after the head
+  const shown = new Set(childKeys.flatMap(childKey => flagged[childKey] || []));
+  const head = component
+    ? [{ text: name, bold: false }]
+    : emphasize(name, (flagged[key] || []).filter(a => !shown.has(a)), result.detections?.[key], nameOf);
+
+  const parts = children.flatMap((child, i) => [
+    ...(i ? [{ text: ', ', bold: false }] : []),
+    ...ingredientSegments(result, childKeys[i], child)
+  ]);
+  return [...head, { text: ' (', bold: false }, ...parts, { text: ')', bold: false }];
+}
+
+// Regional allergen name ("Cereals containing gluten") for a code
+function allergenName(region, code) {
+  return getProfile(region)?.allergens.find(a => a.code === code)?.name || code;
+}
+
+/**
+ * Label model for one processed recipe. `ingredients` is the ingredient list
+ * in recipe order, used unless `result.quid` could weigh every ingredient;
+ * the recipe's precautionary allergens become "May contain".
+ */
+function buildLabel(result, ingredients) {
+  const listed = result.quid?.complete
+    ? result.quid.ingredients.map(q => [
+      ...ingredientSegments(result, q.ingredient, q.ingredient),
+      ...(q.characterizing ? [{ text: ` (${formatPercent(q.percent)})`, bold: false }] : [])
+    ])
+    : ingredients.map(ing => ingredientSegments(result, ing, ing));
+  const contains = result.declarations
+    ? result.declarations.map(d => d.name)
+    : result.allergens.map(code => result.allergen_names?.[code] || code);
+  const mayContain = (result.may_contain || []).map(code =>
+    (result.lang ? translatedName(code, result.lang) : allergenName(result.region, code))
+  );
+
+  return {
+    title: result.recipe_name,
+    text: labelText(result.lang),
+    ingredients: listed,
+    contains,
+    mayContain
+  };
+}
+
+function segmentsHtml(segments) {
+  return segments
+    .map(s => (s.bold ? `<strong>${escapeHtml(s.text)}</strong>` : escapeHtml(s.text)))
+    .join('');
+}
+
+// One printable page per label
+function renderLabelsHtml(labels, size) {
+  const pages = labels.map(label => `
+  <section class="label">
+    <h1>${escapeHtml(label.title)}</h1>
+    <p><span class="heading">${escapeHtml(label.text.ingredients)}:</span> ${label.ingredients.map(segmentsHtml).join(', ')}</p>
+    ${label.contains.length ? `<p><span class="heading">${escapeHtml(label.text.contains)}:</span> <strong>${label.contains.map(escapeHtml).join(', ')}</strong></p>` : ''}
+    ${label.mayContain.length ? `<p class="may-contain"><span class="heading">${escapeHtml(label.text.may_contain)}:</span> ${label.mayContain.map(escapeHtml).join(', ')}</p>` : ''}
+  </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(labels.length === 1 ? labels[0].title : 'Allergen labels')}</title>
+  <style>
+    @page { size: ${size.width}mm ${size.height}mm; margin: 0; }
+    body { margin: 0; font-family: Arial, Helvetica, sans-serif; font-size: ${size.fontSize}pt; }
+    .label { width: ${size.width}mm; height: ${size.height}mm; box-sizing: border-box; padding: 2mm; overflow: hidden; page-break-after: always; }
+    .label:last-child { page-break-after: auto; }
+    h1 { font-size: ${Math.round(size.fontSize * 1.4 * 10) / 10}pt; margin: 0 0 1mm; }
+    p { margin: 0 0 1mm; }
+    .heading { font-weight: bold; }
+  </style>
+</head>
+<body>${pages}
+</body>
+</html>`;
+}
+
+// Multi-page PDF (one page per label) as a Buffer
+function renderLabelsPdf(labels, size) {
+  return new Promise((resolve, reject) => {
+    const margin = 2 * MM;
+    const doc = new PDFDocument({
+      size: [size.width * MM, size.height * MM],
+      margins: { top: margin, bottom: margin, left: margin, right: margin },
+      autoFirstPage: false
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    for (const label of labels) {
+      doc.addPage();
+      doc.font('Helvetica-Bold').fontSize(size.fontSize * 1.4).text(label.title);
+      doc.moveDown(0.3);
+
+      doc.fontSize(size.fontSize).font('Helvetica-Bold').text(`${label.text.ingredients}: `, { continued: true });
+      const segments = label.ingredients.flatMap((ing, i) =>
+        i ? [{ text: ', ', bold: false }, ...ing] : ing
+      );
+      segments.forEach((s, i) => {
+        doc.font(s.bold ? 'Helvetica-Bold' : 'Helvetica')
+          .text(s.text, { continued: i < segments.length - 1 });
+      });
+      if (!segments.length) doc.text('');
+
+      if (label.contains.length) {
+        doc.moveDown(0.3);
+        doc.font('Helvetica-Bold').text(`${label.text.contains}: ${label.contains.join(', ')}`);
+      }
+      if (label.mayContain.length) {
+        doc.moveDown(0.3);
+        doc.font('Helvetica-Bold').text(`${label.text.may_contain}: `, { continued: true })
+          .font('Helvetica').text(label.mayContain.join(', '));
+      }
+    }
+    doc.end();
+  });
+}
+
+export { LABEL_SIZES, resolveLabelSize, buildLabel, renderLabelsHtml, renderLabelsPdf };
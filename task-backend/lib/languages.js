@@ -0,0 +1,192 @@
+// lib/languages.js (ES Module)
+//
+// Languages. Ingredients are recognized with a per-language dictionary
+// (knowledge base entries carry a `language`), and allergens - always
+// canonical codes internally - are rendered in the requested output
+// language. Open Food Facts tags in any of these languages are mapped back
+// to canonical codes.
+
+import { canonicalAllergen } from './regulatoryProfiles.js';
+import { tokenize } from './ingredientMatcher.js';
+
+const LANGUAGES = {
+  en: 'English',
+  de: 'Deutsch',
+  es: 'Español',
+  fr: 'Français'
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Display names per code: canonical codes plus the regional codes that are
+// not canonical ones ("nuts", "shellfish", ...)
+const ALLERGEN_NAMES = {
+  gluten: { en: 'Gluten', de: 'Gluten', es: 'Gluten', fr: 'Gluten' },
+  wheat: { en: 'Wheat', de: 'Weizen', es: 'Trigo', fr: 'Blé' },
+  crustaceans: { en: 'Crustaceans', de: 'Krebstiere', es: 'Crustáceos', fr: 'Crustacés' },
+  molluscs: { en: 'Molluscs', de: 'Weichtiere', es: 'Moluscos', fr: 'Mollusques' },
+  egg: { en: 'Eggs', de: 'Eier', es: 'Huevos', fr: 'Œufs' },
+  fish: { en: 'Fish', de: 'Fisch', es: 'Pescado', fr: 'Poisson' },
+  milk: { en: 'Milk', de: 'Milch', es: 'Leche', fr: 'Lait' },
+  peanuts: { en: 'Peanuts', de: 'Erdnüsse', es: 'Cacahuetes', fr: 'Arachides' },
+  'tree nuts': { en: 'Tree nuts', de: 'Schalenfrüchte', es: 'Frutos de cáscara', fr: 'Fruits à coque' },
+  soy: { en: 'Soy', de: 'Soja', es: 'Soja', fr: 'Soja' },
+  sesame: { en: 'Sesame', de: 'Sesam', es: 'Sésamo', fr: 'Sésame' },
+  celery: { en: 'Celery', de: 'Sellerie', es: 'Apio', fr: 'Céleri' },
+  mustard: { en: 'Mustard', de: 'Senf', es: 'Mostaza', fr: 'Moutarde' },
+  lupin: { en: 'Lupin', de: 'Lupinen', es: 'Altramuces', fr: 'Lupin' },
+  sulphites: { en: 'Sulphites', de: 'Sulfite', es: 'Sulfitos', fr: 'Sulfites' },
+  shellfish: { en: 'Shellfish', de: 'Schalentiere', es: 'Mariscos', fr: 'Fruits de mer' }
+};
+
+// Label and allergen chart headings
+const LABEL_TEXT = {
+  en: {
+    ingredients: 'Ingredients',
+    contains: 'Contains',
+    may_contain: 'May contain',
+    chart_title: 'Allergen information',
+    dish: 'Dish',
+    ask_staff: 'Please ask our staff'
+  },
+  de: {
+    ingredients: 'Zutaten',
+    contains: 'Enthält',
+    may_contain: 'Kann Spuren enthalten von',
+    chart_title: 'Allergeninformationen',
+    dish: 'Gericht',
+    ask_staff: 'Bitte fragen Sie unser Personal'
+  },
+  es: {
+    ingredients: 'Ingredientes',
+    contains: 'Contiene',
+    may_contain: 'Puede contener',
+    chart_title: 'Información sobre alérgenos',
+    dish: 'Plato',
+    ask_staff: 'Consulte a nuestro personal'
+  },
+  fr: {
+    ingredients: 'Ingrédients',
+    contains: 'Contient',
+    may_contain: 'Peut contenir',
+    chart_title: 'Informations sur les allergènes',
+    dish: 'Plat',
+    ask_staff: 'Demandez à notre personnel'
+  }
+};
+
+// Open Food Facts tag names that are not display names above
+const TAG_ALIASES = {
+  de: { 'glutenhaltiges getreide': 'gluten', 'schwefeldioxid und sulfite': 'sulphites', 'nusse': 'tree nuts' },
+  es: { 'cereales que contienen gluten': 'gluten', 'dioxido de azufre y sulfitos': 'sulphites', 'frutos secos': 'tree nuts' },
+  fr: { 'cereales contenant du gluten': 'gluten', 'anhydride sulfureux et sulfites': 'sulphites', 'fruits a coques': 'tree nuts' }
+};
+
+// Short words that give a language away in ingredient lists
+const HINT_WORDS = {
+  en: ['and', 'with', 'without', 'of', 'the', 'fresh', 'chopped'],
+  de: ['und', 'mit', 'ohne', 'oder', 'vom', 'aus', 'frisch', 'gehackt'],
+  es: ['de', 'del', 'con', 'sin', 'y', 'al', 'el', 'en', 'fresco', 'picado'],
+  fr: ['de', 'du', 'des', 'au', 'aux', 'avec', 'sans', 'et', 'le', 'frais', 'haché']
+};
+// Letters that (almost) only one of these languages uses
+const HINT_LETTERS = { de: /[äöüß]/i, es: /[ñ¿¡]/i, fr: /[çœèêâîôû]/i };
+
+const phrase = text => tokenize(text).map(t => t.word).join(' ');
+
+function isLanguage(code) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+}
+
+// Display name of an allergen code in `lang` (unknown codes pass through)
+function allergenName(code, lang = DEFAULT_LANGUAGE) {
+  const names = ALLERGEN_NAMES[code] || ALLERGEN_NAMES[canonicalAllergen(code)];
+  return names?.[lang] || names?.[DEFAULT_LANGUAGE] || code;
+}
+
+function labelText(lang = DEFAULT_LANGUAGE) {
+  return LABEL_TEXT[lang] || LABEL_TEXT[DEFAULT_LANGUAGE];
+}
+
+// Tag text per language -> canonical code
+const TAG_INDEX = Object.fromEntries(Object.keys(LANGUAGES).map(lang => [
+  lang,
+  new Map([
+    ...Object.entries(ALLERGEN_NAMES).map(([code, names]) => [phrase(names[lang]), canonicalAllergen(code)]),
+    ...Object.entries(TAG_ALIASES[lang] || {}).map(([name, code]) => [phrase(name), code])
+  ])
+]));
+
+/**
+ * Canonical code for an Open Food Facts tag such as "en:milk" or "fr:lait".
+ * English tags go through the usual aliases; other languages must match a
+ * known allergen name. Returns null for tags that cannot be read.
+ */
+function allergenFromTag(tag) {
+  const [prefix, ...rest] = tag.toString().split(':');
+  const lang = rest.length ? prefix : DEFAULT_LANGUAGE;
+  const name = (rest.length ? rest.join(':') : prefix).replace(/-/g, ' ');
+  if (lang === DEFAULT_LANGUAGE) return canonicalAllergen(name);
+  return TAG_INDEX[lang]?.get(phrase(name)) || null;
+}
+
+/**
+ * Most likely language of some ingredient texts. `vocabularies` maps each
+ * language to a Set of its dictionary terms (as token phrases); hint words
+ * and letters count as well. Falls back to English when nothing stands out.
+ */
+function detectLanguage(texts, vocabularies = {}) {
+  const scores = Object.fromEntries(Object.keys(LANGUAGES).map(lang => [lang, 0]));
+
+  for (const text of texts) {
+    const words = tokenize(text).map(t => t.word);
+    for (const lang of Object.keys(LANGUAGES)) {
+      const vocabulary = vocabularies[lang];
+      for (const word of words) {
+        if (vocabulary?.has(word)) scores[lang] += 2;
+        if (HINT_WORDS[lang].includes(word)) scores[lang] += 1;
+      }
+      if (HINT_LETTERS[lang]?.test(text)) scores[lang] += 2;
+    }
+  }
+
+  const [best, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+  return score > scores[DEFAULT_LANGUAGE] ? best : DEFAULT_LANGUAGE;
+}
+
+/**
+ * `allergen_names` for every code a processed recipe mentions, rendered in
+ * `lang`. Regional declarations are renamed too; English keeps the
+ * regulation's own wording.
+ */
+function localizeResult(result, lang) {
+  const codes = new Set([
+    ...(result.allergens || []),
+    ...(result.may_contain || []),
+    ...(result.other_allergens || []),
+    ...(result.declarations || []).flatMap(d => [d.code, ...d.sources]),
+    ...Object.values(result.flagged_ingredients || {}).flat(),
+    ...Object.values(result.sub_recipes || {}).flatMap(s => s.allergens)
+  ]);
+
+  return {
+    ...result,
+    lang,
+    allergen_names: Object.fromEntries([...codes].map(code => [code, allergenName(code, lang)])),
+    ...(result.declarations && lang !== DEFAULT_LANGUAGE && {
+      declarations: result.declarations.map(d => ({ ...d, name: allergenName(d.code, lang) }))
+    })
+  };
+}
+
+export {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  ALLERGEN_NAMES,
+  isLanguage,
+  allergenName,
+  labelText,
+  allergenFromTag,
+  detectLanguage,
+  localizeResult
+};
@@ -0,0 +1,95 @@
+// lib/lookupCache.js (ES Module)
+//
+// LRU cache for external allergen lookups with per-entry TTLs, mirrored to a
+// JSON file so results survive restarts.
+
+import fs from 'fs/promises';
+import path from 'path';
+
+function createLookupCache({
+  file,
+  maxEntries = 5000,
+  ttlMs = 7 * 24 * 60 * 60 * 1000,
+  negativeTtlMs = 24 * 60 * 60 * 1000,
+  flushDelayMs = 1000
+} = {}) {
+  // Map iteration order doubles as recency order (oldest first)
+  const entries = new Map();
+  let flushTimer = null;
+
+  function evict() {
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  function scheduleFlush() {
+    if (!file || flushTimer) return;
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      flush().catch(err => console.warn('Lookup cache flush failed:', err.message));
+    }, flushDelayMs);
+    flushTimer.unref?.();
+  }
+
+  async function flush() {
+    if (!file) return;
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(`${file}.tmp`, JSON.stringify([...entries]));
+    await fs.rename(`${file}.tmp`, file);
+  }
+
+  async function load() {
+    if (!file) return;
+    try {
+      const now = Date.now();
+      for (const [key, entry] of JSON.parse(await fs.readFile(file, 'utf8'))) {
+        if (entry.expires > now) entries.set(key, entry);
+      }
+      evict();
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn('Ignoring unreadable lookup cache:', err.message);
+    }
+  }
+
+  // Returns `{ value }` on a hit so cached nulls are distinguishable from misses
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    entries.delete(key);
+    if (entry.expires <= Date.now()) {
+      scheduleFlush();
+      return undefined;
+    }
+    entries.set(key, entry);
+    return { value: entry.value };
+  }
+
+  function set(key, value) {
+    entries.delete(key);
+    entries.set(key, {
+      value,
+      expires: Date.now() + (value === null ? negativeTtlMs : ttlMs)
+    });
+    evict();
+    scheduleFlush();
+  }
+
+  function clear() {
+    entries.clear();
+    scheduleFlush();
+  }
+
+  return {
+    load,
+    flush,
+    get,
+    set,
+    clear,
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+export { createLookupCache };
@@ -0,0 +1,107 @@
+// lib/pipeline.js (ES Module)
+//
+// Batch processing pipeline shared by the REST, WebSocket and job paths.
+// Identical ingredients across the whole batch are collected first and
+// detected once, with at most `concurrency` detections and `concurrency`
+// recipes in flight. Results are reported in input order or as each recipe
+// completes.
+
+import { createLimiter } from './concurrency.js';
+
+const ORDERS = ['input', 'completion'];
+
+/**
+ * Process `recipes` and resolve to their results (in input order).
+ *
+ * Options:
+ *   processRecipe(recipe, detect) - does one recipe; must use `detect` for
+ *                                   ingredient lookups so they are shared
+ *   ingredientsOf(recipe)         - every ingredient (lookup) the recipe will
+ *                                   pass to `detect`
+ *   lookupKey(lookup)             - identity of a lookup for deduplication
+ *                                   (default: the lookup itself)
+ *   detect(lookup)                - the underlying (uncached) detection
+ *   concurrency                   - recipes and detections in flight (default 8)
+ *   order                         - 'input' (default) or 'completion'
+ *   onResult(index, result)       - called once per recipe, one call at a time
+ *   isCancelled()                 - stop starting work once it returns true
+ *
+ * The first recipe (or `onResult`) to fail rejects the batch; recipes still
+ * in flight are finished and dropped, and no further work is started.
+ */
+async function processBatch(recipes, {
+  processRecipe,
+  ingredientsOf = recipe => recipe.ingredients,
+  lookupKey = lookup => lookup,
+  detect,
+  concurrency = 8,
+  order = 'input',
+  onResult = () => {},
+  isCancelled = () => false
+}) {
+  if (!ORDERS.includes(order)) {
+    throw new Error(`Unknown result order "${order}". Use ${ORDERS.join(' or ')}`);
+  }
+
+  // One failed recipe fails the batch: nothing new is started after it
+  let failed = false;
+  const stopped = () => failed || isCancelled();
+
+  // Dedupe identical ingredients across the batch before any lookup
+  const limit = createLimiter(concurrency);
+  const detections = new Map();
+  for (const recipe of recipes) {
+    for (const lookup of ingredientsOf(recipe)) {
+      const key = lookupKey(lookup);
+      if (detections.has(key)) continue;
+      const pending = limit(() =>
+        (stopped() ? Promise.reject(new Error('Batch stopped')) : detect(lookup))
+      );
+      pending.catch(() => {}); // reported by the recipe that awaits it
+      detections.set(key, pending);
+    }
+  }
+  const sharedDetect = lookup => detections.get(lookupKey(lookup)) || detect(lookup);
+
+  // Results are delivered through one chain so onResult never overlaps
+  const results = new Array(recipes.length);
+  const done = new Array(recipes.length).fill(false);
+  let delivery = Promise.resolve();
+  let nextToDeliver = 0;
+  const deliver = index => {
+    delivery = delivery.then(() => onResult(index, results[index]));
+    delivery.catch(() => { failed = true; }); // awaited once the workers are done
+  };
+
+  let nextToStart = 0;
+  async function worker() {
+    while (nextToStart < recipes.length && !stopped()) {
+      const index = nextToStart++;
+      try {
+        results[index] = await processRecipe(recipes[index], sharedDetect);
+      } catch (err) {
+        if (stopped()) return;
+        failed = true;
+        throw err;
+      }
+      if (stopped()) return;
+
+      if (order === 'completion') {
+        deliver(index);
+        continue;
+      }
+      done[index] = true;
+      while (nextToDeliver < recipes.length && done[nextToDeliver]) deliver(nextToDeliver++);
+    }
+  }
+
+  const workers = Math.max(1, Math.min(concurrency, recipes.length));
+  // Settle every worker before reporting a failure, so none outlives the batch
+  const settled = await Promise.allSettled(Array.from({ length: workers }, worker));
+  const failure = settled.find(s => s.status === 'rejected');
+  if (failure) throw failure.reason;
+  await delivery;
+  return results;
+}
+
+export { processBatch, ORDERS };
@@ -0,0 +1,42 @@
+// lib/precautions.js (ES Module)
+//
+// Precautionary ("may contain") allergens from cross-contact: supplier lines
+// recorded on knowledge base entries, shared equipment, the kitchen itself
+// and anything entered on the recipe. They are reported on their own and
+// never added to `allergens`; an allergen the recipe actually contains is
+// not repeated as "may contain".
+
+import { applyProfile, canonicalAllergen } from './regulatoryProfiles.js';
+
+/**
+ * `precautions` are `{ allergen, source, name }` records, `source` being
+ * `ingredient`, `equipment`, `kitchen` or `recipe`. `contained` are the
+ * recipe's canonical allergens.
+ *
+ * Returns `{ may_contain, may_contain_sources }`; with a region the codes
+ * are the region's, as for `allergens`.
+ */
+function summarizePrecautions(precautions, contained, region) {
+  const containedSet = new Set(contained);
+  const seen = new Set();
+  const sources = [];
+
+  for (const p of precautions) {
+    const allergen = canonicalAllergen(p.allergen);
+    const key = `${allergen}|${p.source}|${p.name}`;
+    if (!allergen || containedSet.has(allergen) || seen.has(key)) continue;
+    seen.add(key);
+    sources.push({ ...p, allergen });
+  }
+
+  let mayContain = [...new Set(sources.map(p => p.allergen))];
+  if (region) {
+    const declared = new Set(applyProfile(region, contained).allergens);
+    const mapped = applyProfile(region, mayContain);
+    mayContain = [...mapped.allergens, ...mapped.other_allergens].filter(a => !declared.has(a));
+  }
+
+  return { may_contain: mayContain, may_contain_sources: sources };
+}
+
+export { summarizePrecautions };
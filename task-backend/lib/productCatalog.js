@@ -0,0 +1,121 @@
+// lib/productCatalog.js (ES Module)
+//
+// File-backed catalog of packaged products by barcode. Entries record what a
+// supplier's specification sheet declares - the allergens the product
+// contains and its "may contain" traces - for products no external source
+// knows, or knows wrongly. A catalog entry wins over any external lookup.
+
+import { HttpError } from './httpError.js';
+import { createJsonFile } from './jsonFile.js';
+import { allergenCodes } from './regulatoryProfiles.js';
+import { normalizeGtin, gtinKey } from './gtin.js';
+
+const TEXT_FIELDS = ['brand', 'supplier', 'spec_sheet', 'notes'];
+
+// Validate and normalize an incoming entry body
+function normalizeEntry(body, existing = {}) {
+  const gtin = body.gtin !== undefined ? normalizeGtin(body.gtin) : existing.gtin;
+  if (!gtin) throw new HttpError(400, '"gtin" is required');
+
+  const name = body.name !== undefined ? body.name.toString().trim() : existing.name;
+  if (!name) throw new HttpError(400, '"name" is required');
+
+  const allergens = body.allergens !== undefined
+    ? allergenCodes(body.allergens, 'allergens')
+    : existing.allergens;
+  if (!allergens) throw new HttpError(400, '"allergens" is required ([] for none)');
+
+  const entry = {
+    gtin,
+    name,
+    allergens,
+    may_contain: body.may_contain !== undefined
+      ? allergenCodes(body.may_contain, 'may_contain')
+      : existing.may_contain || []
+  };
+  for (const field of TEXT_FIELDS) {
+    entry[field] = body[field] !== undefined ? body[field].toString().trim() : existing[field] || '';
+  }
+  return entry;
+}
+
+function createProductCatalog({ file }) {
+  const store = createJsonFile(file);
+  let state = { next_id: 1, entries: [] };
+
+  async function load() {
+    state = await store.read(state);
+  }
+
+  // ?q= matches name, brand, supplier or barcode
+  function list(query) {
+    if (!query) return state.entries;
+    const needle = query.toString().trim().toLowerCase();
+    return state.entries.filter(e =>
+      [e.name, e.brand, e.supplier, e.gtin].some(value => value.toLowerCase().includes(needle))
+    );
+  }
+
+  function get(id) {
+    return state.entries.find(e => e.id === Number(id)) || null;
+  }
+
+  function findByGtin(gtin) {
+    const key = gtinKey(gtin);
+    return state.entries.find(e => gtinKey(e.gtin) === key) || null;
+  }
+
+  function assertUnique(entry, ignoreId) {
+    const clash = findByGtin(entry.gtin);
+    if (clash && clash.id !== ignoreId) {
+      throw new HttpError(409, `Barcode ${clash.gtin} is already "${clash.name}" (id ${clash.id})`);
+    }
+  }
+
+  async function create(body, user) {
+    const now = new Date().toISOString();
+    const entry = {
+      id: state.next_id,
+      ...normalizeEntry(body),
+      created_at: now,
+      updated_at: now,
+      updated_by: user || 'anonymous'
+    };
+    assertUnique(entry);
+
+    state.next_id++;
+    state.entries.push(entry);
+    await store.write(state);
+    return entry;
+  }
+
+  async function update(id, body, user) {
+    const before = get(id);
+    if (!before) throw new HttpError(404, `Product ${id} not found`);
+
+    const after = {
+      ...before,
+      ...normalizeEntry(body, before),
+      updated_at: new Date().toISOString(),
+      updated_by: user || 'anonymous'
+    };
+    assertUnique(after, before.id);
+
+    state.entries = state.entries.map(e => (e.id === before.id ? after : e));
+    await store.write(state);
+    return after;
+  }
+
+  async function remove(id) {
+    const before = get(id);
+    if (!before) throw new HttpError(404, `Product ${id} not found`);
+
+    state.entries = state.entries.filter(e => e.id !== before.id);
+    await store.write(state);
+    return before;
+  }
+
+  return { load, list, get, findByGtin, create, update, remove };
+}
+
+export { createProductCatalog };
@@ -0,0 +1,125 @@
+// lib/provenance.js (ES Module)
+//
+// Turns matcher / provider matches into per-allergen detections carrying
+// where each allergen came from and how confident we are in it.
+
+import { canonicalAllergen } from './regulatoryProfiles.js';
+import { tokenize } from './ingredientMatcher.js';
+
+// Detections below this confidence are listed separately for review
+const LOW_CONFIDENCE_THRESHOLD = 0.7;
+
+const CONFIDENCE = {
+  exactKey: 1.0, // the knowledge base key is the whole ingredient
+  partialKey: 0.85, // the key is one term within a longer ingredient
+  exception: 0.9,
+  fixture: 0.9,
+  override: 1.0,
+  catalog: 1.0, // the supplier's specification sheet for this exact product
+  barcode: 0.95, // an external record of this exact product
+  note: 0.8 // named in the ingredient's notes rather than its name
+};
+
+// Open Food Facts confidence scales with how well the product name matched
+function externalConfidence(match) {
+  if (match.barcode) return CONFIDENCE.barcode;
+  if (match.provider === 'fixture') return CONFIDENCE.fixture;
+  return Math.round((0.3 + 0.5 * (match.score ?? 0.5)) * 100) / 100;
+}
+
+function keyConfidence(ingredient, match) {
+  const whole = tokenize(ingredient).map(t => t.word).join(' ');
+  const term = tokenize(match.term).map(t => t.word).join(' ');
+  return whole === term ? CONFIDENCE.exactKey : CONFIDENCE.partialKey;
+}
+
+/**
+ * One detection per (allergen, match) that contributed to the result.
+ * Negations are not detections: the words they cover detect nothing.
+ */
+function buildDetections(ingredient, matches, allergens) {
+  const detections = [];
+
+  for (const match of matches) {
+    if (match.rule === 'negation') continue;
+
+    const base = match.rule === 'external'
+      ? {
+          source: 'external',
+          provider: match.provider,
+          cached: match.cached,
+          product: match.product || null,
+          confidence: externalConfidence(match)
+        }
+      : match.rule === 'catalog'
+        ? {
+            source: 'catalog',
+            product: match.product,
+            confidence: CONFIDENCE.catalog
+          }
+      : match.rule === 'override'
+        ? {
+            source: 'override',
+            reviewed_by: match.by,
+            reviewed_at: match.at,
+            confidence: CONFIDENCE.override
+          }
+      : match.note
+        ? {
+            source: 'note',
+            note: match.note,
+            confidence: CONFIDENCE.note
+          }
+        : {
+            source: 'local',
+            confidence: match.rule === 'exception'
+              ? CONFIDENCE.exception
+              : keyConfidence(ingredient, match)
+          };
+
+    for (const allergen of new Set(match.allergens.map(canonicalAllergen))) {
+      if (!allergens.includes(allergen)) continue;
+      detections.push({
+        allergen,
+        ...base,
+        rule: match.rule,
+        key: match.key,
+        matched_term: match.term
+      });
+    }
+  }
+  return detections;
+}
+
+/**
+ * Split a recipe's detections into certain and low-confidence allergens.
+ * An allergen is certain if any ingredient reports it at or above the
+ * threshold.
+ */
+function summarizeConfidence(detectionsByIngredient) {
+  const best = {};
+  const low = [];
+
+  for (const [ingredient, detections] of Object.entries(detectionsByIngredient)) {
+    for (const d of detections) {
+      best[d.allergen] = Math.max(best[d.allergen] ?? 0, d.confidence);
+      if (d.confidence < LOW_CONFIDENCE_THRESHOLD) {
+        low.push({
+          ingredient,
+          allergen: d.allergen,
+          confidence: d.confidence,
+          source: d.source,
+          ...(d.product && { product: d.product })
+        });
+      }
+    }
+  }
+
+  return {
+    confident_allergens: Object.keys(best).filter(a => best[a] >= LOW_CONFIDENCE_THRESHOLD),
+    low_confidence_allergens: Object.keys(best).filter(a => best[a] < LOW_CONFIDENCE_THRESHOLD),
+    low_confidence_detections: low
+  };
+}
+
+export { buildDetections, summarizeConfidence, LOW_CONFIDENCE_THRESHOLD };
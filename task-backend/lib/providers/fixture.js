@@ -0,0 +1,40 @@
+// lib/providers/fixture.js (ES Module)
+
+import fs from 'fs';
+import { tokenize } from '../ingredientMatcher.js';
+import { gtinKey } from '../gtin.js';
+
+function fixtureKey(text) {
+  return tokenize(text).map(t => t.word).join(' ');
+}
+
+/**
+ * Offline provider backed by a JSON map of
+ * `{ "ingredient": { "allergens": [...], "may_contain": [...], "product": {...} } }`.
+ * Entries whose `product.code` is a barcode also answer barcode lookups.
+ * Used for development without network access and in tests.
+ */
+function createFixtureProvider({ file, fixtures } = {}) {
+  const data = fixtures || JSON.parse(fs.readFileSync(file, 'utf8'));
+  const index = new Map(
+    Object.entries(data).map(([ingredient, result]) => [fixtureKey(ingredient), result])
+  );
+
+  async function lookup(ingredient) {
+    const result = index.get(fixtureKey(ingredient));
+    return result
+      ? { allergens: result.allergens || [], may_contain: result.may_contain || [], product: result.product || null }
+      : null;
+  }
+
+  async function lookupBarcode(gtin) {
+    const result = Object.values(data).find(r => r.product?.code && gtinKey(r.product.code) === gtinKey(gtin));
+    return result
+      ? { allergens: result.allergens || [], may_contain: result.may_contain || [], product: result.product }
+      : null;
+  }
+
+  return { name: 'fixture', lookup, lookupBarcode };
+}
+
+export { createFixtureProvider };
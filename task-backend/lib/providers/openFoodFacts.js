@@ -0,0 +1,79 @@
+// lib/providers/openFoodFacts.js (ES Module)
+
+import axios from 'axios';
+import { tokenize } from '../ingredientMatcher.js';
+import { allergenFromTag } from '../languages.js';
+
+// Canonical codes from allergen or trace tags ("en:milk", "fr:lait")
+const tagCodes = tags => [...new Set((tags || []).map(allergenFromTag).filter(Boolean))];
+
+// Share of the query's words that appear in the product name
+function nameScore(query, productName) {
+  const wanted = new Set(tokenize(query).map(t => t.word));
+  if (!wanted.size || !productName) return 0;
+  const have = new Set(tokenize(productName).map(t => t.word));
+  return [...wanted].filter(w => have.has(w)).length / wanted.size;
+}
+
+/**
+ * Open Food Facts. `lookupBarcode` fetches the exact product; the text
+ * search `lookup` picks the best-named product that actually
+ * carries allergen data instead of trusting `products[0]`; network and HTTP
+ * errors are thrown so the caller can retry. The search runs in the
+ * ingredient's language, and allergen tags in any known language ("en:milk",
+ * "fr:lait") become canonical codes; tags that cannot be read are dropped.
+ */
+function createOpenFoodFactsProvider({ timeout = 5000, minScore = 0.5 } = {}) {
+  async function lookup(ingredient, { language = 'en' } = {}) {
+    const url = `https://world.openfoodfacts.org/cgi/search.pl?search_terms=${encodeURIComponent(
+      ingredient
+    )}&search_simple=1&action=process&json=1&page_size=20&lc=${language}`;
+
+    const { data } = await axios.get(url, { timeout });
+
+    const best = (data.products || [])
+      .filter(p => p.allergens_tags?.length)
+      .map(p => ({ product: p, score: nameScore(ingredient, p.product_name) }))
+      .filter(c => c.score >= minScore)
+      .sort((a, b) => b.score - a.score)[0];
+
+    if (!best) return null;
+
+    return {
+      allergens: tagCodes(best.product.allergens_tags),
+      may_contain: tagCodes(best.product.traces_tags),
+      product: {
+        name: best.product.product_name,
+        code: best.product.code || null
+      },
+      score: best.score
+    };
+  }
+
+  // Null when the product is unknown, or has no ingredient list to go by
+  async function lookupBarcode(gtin) {
+    const url = `https://world.openfoodfacts.org/api/v2/product/${gtin}.json` +
+      '?fields=code,product_name,brands,ingredients_text,allergens_tags,traces_tags';
+
+    const { data } = await axios.get(url, {
+      timeout,
+      validateStatus: status => status === 200 || status === 404
+    });
+    const product = data?.status === 1 ? data.product : null;
+    if (!product || (!product.ingredients_text && !product.allergens_tags?.length)) return null;
+
+    return {
+      allergens: tagCodes(product.allergens_tags),
+      may_contain: tagCodes(product.traces_tags),
+      product: {
+        name: product.product_name || null,
+        code: product.code || gtin,
+        brand: product.brands || null
+      }
+    };
+  }
+
+  return { name: 'openfoodfacts', lookup, lookupBarcode };
+}
+
+export { createOpenFoodFactsProvider };
@@ -0,0 +1,140 @@
+// lib/quid.js (ES Module)
+//
+// Quantitative ingredient declaration (QUID). EU labels list ingredients in
+// descending order of weight at the time of use and give the percentage of
+// characterizing ingredients - those named in the recipe name, or marked as
+// such. Weights come from the sheet's quantity and unit columns, else from
+// the ingredient text ("200g Mozzarella"), and are converted to grams.
+// Ingredients whose weight is unknown are reported rather than guessed, and
+// the declaration then keeps the recipe's own order.
+
+import { normalizeIngredient, parseQuantity } from './ingredientNormalizer.js';
+
+const GRAMS = { mg: 0.001, g: 1, kg: 1000, oz: 28.349523, lb: 453.59237 };
+// Volumes are weighed as water (1 g/ml), with a warning
+const MILLILITRES = { ml: 1, cl: 10, l: 1000, tsp: 5, tbsp: 15, cup: 240 };
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+const nameWords = text => text.toLowerCase().match(/\p{L}{3,}/gu) || [];
+
+// "52%", and one decimal below 10% ("2.5%")
+function formatPercent(percent) {
+  return `${percent < 10 ? round(percent, 1) : Math.round(percent)}%`;
+}
+
+// "Tomatoes" is named in "Tomato Soup": same word give or take a plural ending
+function namedIn(recipeName, name) {
+  const recipeWords = nameWords(recipeName);
+  return nameWords(name).some(word => recipeWords.some(other => {
+    const [short, long] = word.length <= other.length ? [word, other] : [other, word];
+    return long.startsWith(short) && long.length - short.length <= 2;
+  }));
+}
+
+// Quantity of the ingredient at `index`: its sheet cells, else its text
+function quantityFor(recipe, index, parsed) {
+  const detail = recipe.ingredient_details?.[index];
+  const fromCells = detail && parseQuantity(detail.quantity, detail.unit);
+  if (fromCells) return { ...fromCells, from: 'sheet' };
+  return parsed.quantity !== null ? { ...parsed, from: 'text' } : null;
+}
+
+// Grams for a quantity, or the warning that explains why there are none
+function weigh(ingredient, quantity) {
+  if (!quantity) {
+    return { warning: { code: 'MISSING_QUANTITY', message: `No quantity for "${ingredient}"` } };
+  }
+  // A range ("2-3 kg") counts as its midpoint
+  const amount = quantity.quantity_max ? (quantity.quantity + quantity.quantity_max) / 2 : quantity.quantity;
+  const unit = quantity.unit?.toString().toLowerCase();
+
+  if (!unit) {
+    return {
+      warning: { code: 'MISSING_UNIT', message: `"${ingredient}" has a quantity (${amount}) but no unit` }
+    };
+  }
+  if (GRAMS[unit]) return { grams: amount * GRAMS[unit] };
+  if (MILLILITRES[unit]) {
+    return {
+      grams: amount * MILLILITRES[unit],
+      estimated: true,
+      warning: {
+        code: 'VOLUME_AS_MASS',
+        message: `"${ingredient}" is measured by volume (${quantity.unit}); weighed as water (1 g/ml)`
+      }
+    };
+  }
+  return {
+    warning: {
+      code: 'UNCONVERTIBLE_UNIT',
+      message: `"${ingredient}" is measured in "${quantity.unit}", which cannot be converted to a mass`
+    }
+  };
+}
+
+/**
+ * Weight-ordered declaration for a recipe's (top-level) ingredients.
+ * `recipe.ingredient_details[i]` may carry the `quantity` and `unit` cells
+ * of ingredient i, and `characterizing: true|false` to override the
+ * name-based guess.
+ *
+ * Returns `{ complete, total_grams, ingredients, declaration, warnings }`.
+ * `ingredients` are in declaration order with `grams` and `percent` (null
+ * unless every ingredient could be weighed); `declaration` is the label
+ * text, with percentages for characterizing ingredients.
+ */
+function buildQuid(recipe) {
+  const warnings = [];
+  const entries = recipe.ingredients.map((ingredient, i) => {
+    const parsed = normalizeIngredient(ingredient);
+    const quantity = quantityFor(recipe, i, parsed);
+    const { grams, estimated, warning } = weigh(ingredient, quantity);
+    if (warning) warnings.push({ ingredient, ...warning });
+
+    const flag = recipe.ingredient_details?.[i]?.characterizing;
+    return {
+      ingredient,
+      name: parsed.name,
+      grams: grams === undefined ? null : round(grams, 3),
+      percent: null,
+      characterizing: typeof flag === 'boolean' ? flag : namedIn(recipe.recipe_name, parsed.name),
+      ...(estimated && { estimated: true }),
+      ...(quantity && { quantity_from: quantity.from })
+    };
+  });
+
+  const weighed = entries.filter(e => e.grams !== null);
+  const total = weighed.reduce((sum, e) => sum + e.grams, 0);
+  const complete = entries.length > 0 && weighed.length === entries.length && total > 0;
+
+  // Without any quantity one summary warning is enough
+  if (entries.length && entries.every(e => !e.quantity_from)) {
+    warnings.splice(0, warnings.length, {
+      ingredient: null,
+      code: 'NO_QUANTITIES',
+      message: 'No ingredient quantities; the declaration keeps the recipe order'
+    });
+  }
+
+  if (complete) {
+    entries.forEach(e => {
+      e.percent = round((e.grams / total) * 100, 2);
+    });
+    // Stable: equal weights keep the recipe order
+    entries.sort((a, b) => b.grams - a.grams);
+  }
+
+  const declaration = entries
+    .map(e => (complete && e.characterizing ? `${e.name} (${formatPercent(e.percent)})` : e.name))
+    .join(', ');
+
+  return {
+    complete,
+    total_grams: weighed.length ? round(total, 3) : null,
+    ingredients: entries,
+    declaration,
+    warnings
+  };
+}
+
+export { buildQuid, formatPercent };
@@ -0,0 +1,213 @@
+// lib/recipeLibrary.js (ES Module)
+//
+// File-backed recipe library. Each recipe keeps every version of its
+// ingredient list together with the (canonical) allergens it had at the
+// time, so changes between versions - and since a label was approved - can
+// be shown as a diff.
+
+import { HttpError } from './httpError.js';
+import { createJsonFile } from './jsonFile.js';
+
+const nameKey = name => name.toString().trim().toLowerCase().replace(/\s+/g, ' ');
+
+function cleanList(value, field) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+    throw new HttpError(400, `"${field}" must be an array of strings`);
+  }
+  return value.map(v => v.trim()).filter(Boolean);
+}
+
+// Items of `after` missing from `before`, compared case-insensitively
+function missingFrom(before, after) {
+  const keys = new Set(before.map(nameKey));
+  return after.filter(item => !keys.has(nameKey(item)));
+}
+
+/**
+ * Difference between two recipe versions (`{ ingredients, allergens }`).
+ */
+function diffVersions(before, after) {
+  const diff = {
+    ingredients_added: missingFrom(before.ingredients, after.ingredients),
+    ingredients_removed: missingFrom(after.ingredients, before.ingredients),
+    allergens_gained: missingFrom(before.allergens, after.allergens),
+    allergens_lost: missingFrom(after.allergens, before.allergens)
+  };
+  diff.changed = Object.values(diff).some(list => list.length > 0);
+  return diff;
+}
+
+function sameList(a = [], b = []) {
+  return a.length === b.length && a.every((item, i) => nameKey(item) === nameKey(b[i]));
+}
+
+function createRecipeLibrary({ file }) {
+  const store = createJsonFile(file);
+  let state = { next_id: 1, recipes: [] };
+
+  async function load() {
+    state = await store.read(state);
+  }
+
+  const latest = recipe => recipe.versions[recipe.versions.length - 1];
+
+  // List view: the current version of every recipe
+  function summary(recipe) {
+    const current = latest(recipe);
+    return {
+      id: recipe.id,
+      recipe_name: recipe.recipe_name,
+      version: current.version,
+      ingredients: current.ingredients,
+      equipment: current.equipment,
+      ...(current.language && { language: current.language }),
+      ...(current.certified?.length && { certified: current.certified }),
+      allergens: current.allergens,
+      created_at: recipe.created_at,
+      updated_at: recipe.updated_at
+    };
+  }
+
+  function list() {
+    return state.recipes.map(summary);
+  }
+
+  function get(id) {
+    return state.recipes.find(r => r.id === Number(id)) || null;
+  }
+
+  function findByName(name) {
+    const key = nameKey(name);
+    return state.recipes.find(r => nameKey(r.recipe_name) === key) || null;
+  }
+
+  function versionOf(recipe, body, allergens, user, source) {
+    return {
+      version: recipe.versions.length + 1,
+      ingredients: cleanList(body.ingredients, 'ingredients'),
+      equipment: cleanList(body.equipment, 'equipment'),
+      ...(body.language && { language: body.language }),
+      ...(body.certified?.length && { certified: cleanList(body.certified, 'certified') }),
+      allergens,
+      created_at: new Date().toISOString(),
+      created_by: user || 'anonymous',
+      source
+    };
+  }
+
+  async function create(body, allergens, user, source = 'api') {
+    if (typeof body.recipe_name !== 'string' || !body.recipe_name.trim()) {
+      throw new HttpError(400, '"recipe_name" must be a non-empty string');
+    }
+    const existing = findByName(body.recipe_name);
+    if (existing) {
+      throw new HttpError(409, `Recipe "${existing.recipe_name}" already exists (id ${existing.id})`);
+    }
+
+    const now = new Date().toISOString();
+    const recipe = {
+      id: state.next_id,
+      recipe_name: body.recipe_name.trim(),
+      created_at: now,
+      updated_at: now,
+      versions: []
+    };
+    recipe.versions.push(versionOf(recipe, body, allergens, user, source));
+
+    state.next_id++;
+    state.recipes.push(recipe);
+    await store.write(state);
+    return recipe;
+  }
+
+  /**
+   * Add a version when the ingredients, equipment or allergens changed.
+   * Returns `{ recipe, status, version, diff }` with `status` `updated` or
+   * `unchanged`.
+   */
+  async function addVersion(id, body, allergens, user, source = 'api') {
+    const recipe = get(id);
+    if (!recipe) throw new HttpError(404, `Recipe ${id} not found`);
+
+    const current = latest(recipe);
+    const next = versionOf(
+      recipe,
+      {
+        ingredients: current.ingredients,
+        equipment: current.equipment,
+        language: current.language,
+        certified: current.certified,
+        ...body
+      },
+      allergens,
+      user,
+      source
+    );
+    const renamed = body.recipe_name !== undefined && body.recipe_name.trim() !== recipe.recipe_name;
+
+    if (!renamed &&
+        sameList(current.ingredients, next.ingredients) &&
+        sameList(current.equipment, next.equipment) &&
+        sameList(current.certified, next.certified) &&
+        sameList([...current.allergens].sort(), [...next.allergens].sort())) {
+      return { recipe, status: 'unchanged', version: current.version, diff: diffVersions(current, current) };
+    }
+
+    if (renamed) {
+      const clash = findByName(body.recipe_name);
+      if (clash && clash.id !== recipe.id) {
+        throw new HttpError(409, `Recipe "${clash.recipe_name}" already exists (id ${clash.id})`);
+      }
+      recipe.recipe_name = body.recipe_name.trim();
+    }
+
+    next.diff = diffVersions(current, next);
+    recipe.versions.push(next);
+    recipe.updated_at = next.created_at;
+    await store.write(state);
+    return { recipe, status: 'updated', version: next.version, diff: next.diff };
+  }
+
+  /**
+   * Store a processed recipe by name: a new recipe, a new version of a
+   * matching one, or nothing when it has not changed.
+   */
+  async function save(body, allergens, user, source) {
+    const existing = findByName(body.recipe_name);
+    if (!existing) {
+      const recipe = await create(body, allergens, user, source);
+      return { recipe, status: 'created', version: 1, diff: null };
+    }
+    return addVersion(existing.id, body, allergens, user, source);
+  }
+
+  async function remove(id) {
+    const recipe = get(id);
+    if (!recipe) throw new HttpError(404, `Recipe ${id} not found`);
+
+    state.recipes = state.recipes.filter(r => r.id !== recipe.id);
+    await store.write(state);
+    return recipe;
+  }
+
+  // Diff between two versions (default: previous -> current)
+  function diff(id, from, to) {
+    const recipe = get(id);
+    if (!recipe) throw new HttpError(404, `Recipe ${id} not found`);
+
+    const toVersion = to === undefined ? latest(recipe).version : Number(to);
+    const fromVersion = from === undefined ? Math.max(1, toVersion - 1) : Number(from);
+    const find = version => {
+      const found = recipe.versions.find(v => v.version === version);
+      if (!found) throw new HttpError(404, `Recipe ${id} has no version ${version}`);
+      return found;
+    };
+
+    return { from: fromVersion, to: toVersion, ...diffVersions(find(fromVersion), find(toVersion)) };
+  }
+
+  return { load, list, get, findByName, create, addVersion, save, remove, diff, summary };
+}
+
+export { createRecipeLibrary, diffVersions };
@@ -0,0 +1,210 @@
+// lib/regulatoryProfiles.js (ES Module)
+//
+// Canonical allergen codes and the regulatory profiles that decide which of
+// them must be declared in a given jurisdiction. Detection always works in
+// canonical codes; a profile maps them to the region's declarable allergens.
+
+import { HttpError } from './httpError.js';
+
+// Canonical, jurisdiction-independent allergen codes
+const CANONICAL_ALLERGENS = [
+  'gluten', 'wheat', 'crustaceans', 'molluscs', 'egg', 'fish', 'milk',
+  'peanuts', 'tree nuts', 'soy', 'sesame', 'celery', 'mustard', 'lupin',
+  'sulphites'
+];
+
+// Free-form names (knowledge base entries, Open Food Facts tags) -> canonical
+const ALLERGEN_ALIASES = {
+  'cereals containing gluten': 'gluten',
+  'triticale': 'wheat',
+  'shellfish': 'crustaceans',
+  'crustacean shellfish': 'crustaceans',
+  'crustacea': 'crustaceans',
+  'mollusc': 'molluscs',
+  'mollusk': 'molluscs',
+  'mollusks': 'molluscs',
+  'eggs': 'egg',
+  'dairy': 'milk',
+  'peanut': 'peanuts',
+  'nuts': 'tree nuts',
+  'tree nut': 'tree nuts',
+  'soybeans': 'soy',
+  'soya': 'soy',
+  'sesame seeds': 'sesame',
+  'sulphur dioxide and sulphites': 'sulphites',
+  'sulfur dioxide and sulfites': 'sulphites',
+  'sulfites': 'sulphites',
+  'lupine': 'lupin'
+};
+
+const REGULATORY_PROFILES = {
+  EU: {
+    name: 'European Union (Regulation (EU) No 1169/2011, Annex II)',
+    allergens: [
+      { code: 'gluten', name: 'Cereals containing gluten', covers: ['gluten', 'wheat'] },
+      { code: 'crustaceans', name: 'Crustaceans', covers: ['crustaceans'] },
+      { code: 'egg', name: 'Eggs', covers: ['egg'] },
+      { code: 'fish', name: 'Fish', covers: ['fish'] },
+      { code: 'peanuts', name: 'Peanuts', covers: ['peanuts'] },
+      { code: 'soy', name: 'Soybeans', covers: ['soy'] },
+      { code: 'milk', name: 'Milk', covers: ['milk'] },
+      { code: 'nuts', name: 'Nuts', covers: ['tree nuts'] },
+      { code: 'celery', name: 'Celery', covers: ['celery'] },
+      { code: 'mustard', name: 'Mustard', covers: ['mustard'] },
+      { code: 'sesame', name: 'Sesame seeds', covers: ['sesame'] },
+      { code: 'sulphites', name: 'Sulphur dioxide and sulphites', covers: ['sulphites'] },
+      { code: 'lupin', name: 'Lupin', covers: ['lupin'] },
+      { code: 'molluscs', name: 'Molluscs', covers: ['molluscs'] }
+    ]
+  },
+  US: {
+    name: 'United States (FALCPA / FASTER Act "Big 9")',
+    allergens: [
+      { code: 'milk', name: 'Milk', covers: ['milk'] },
+      { code: 'egg', name: 'Eggs', covers: ['egg'] },
+      { code: 'fish', name: 'Fish', covers: ['fish'] },
+      { code: 'shellfish', name: 'Crustacean shellfish', covers: ['crustaceans'] },
+      { code: 'tree nuts', name: 'Tree nuts', covers: ['tree nuts'] },
+      { code: 'peanuts', name: 'Peanuts', covers: ['peanuts'] },
+      { code: 'wheat', name: 'Wheat', covers: ['wheat'] },
+      { code: 'soy', name: 'Soybeans', covers: ['soy'] },
+      { code: 'sesame', name: 'Sesame', covers: ['sesame'] }
+    ]
+  },
+  CA: {
+    name: 'Canada (Food and Drug Regulations, priority allergens)',
+    allergens: [
+      { code: 'egg', name: 'Eggs', covers: ['egg'] },
+      { code: 'milk', name: 'Milk', covers: ['milk'] },
+      { code: 'mustard', name: 'Mustard', covers: ['mustard'] },
+      { code: 'peanuts', name: 'Peanuts', covers: ['peanuts'] },
+      { code: 'shellfish', name: 'Crustaceans and molluscs', covers: ['crustaceans', 'molluscs'] },
+      { code: 'fish', name: 'Fish', covers: ['fish'] },
+      { code: 'sesame', name: 'Sesame seeds', covers: ['sesame'] },
+      { code: 'soy', name: 'Soy', covers: ['soy'] },
+      { code: 'sulphites', name: 'Sulphites', covers: ['sulphites'] },
+      { code: 'tree nuts', name: 'Tree nuts', covers: ['tree nuts'] },
+      { code: 'wheat', name: 'Wheat and triticale', covers: ['wheat'] },
+      { code: 'gluten', name: 'Gluten sources', covers: ['gluten', 'wheat'] }
+    ]
+  },
+  ANZ: {
+    name: 'Australia / New Zealand (FSANZ Code, Standard 1.2.3)',
+    allergens: [
+      { code: 'gluten', name: 'Gluten', covers: ['gluten', 'wheat'] },
+      { code: 'wheat', name: 'Wheat', covers: ['wheat'] },
+      { code: 'fish', name: 'Fish', covers: ['fish'] },
+      { code: 'crustacea', name: 'Crustacea', covers: ['crustaceans'] },
+      { code: 'mollusc', name: 'Mollusc', covers: ['molluscs'] },
+      { code: 'egg', name: 'Egg', covers: ['egg'] },
+      { code: 'milk', name: 'Milk', covers: ['milk'] },
+      { code: 'lupin', name: 'Lupin', covers: ['lupin'] },
+      { code: 'peanut', name: 'Peanut', covers: ['peanuts'] },
+      { code: 'soy', name: 'Soy', covers: ['soy'] },
+      { code: 'sesame', name: 'Sesame', covers: ['sesame'] },
+      { code: 'tree nuts', name: 'Tree nuts', covers: ['tree nuts'] },
+      { code: 'sulphites', name: 'Sulphites', covers: ['sulphites'] }
+    ]
+  }
+};
+
+// Canonical codes that include others, from the profiles' `covers`: wheat
+// is a cereal containing gluten wherever gluten is declared
+const COVERED_ALLERGENS = {};
+for (const profile of Object.values(REGULATORY_PROFILES)) {
+  for (const { code, covers } of profile.allergens) {
+    const others = covers.filter(c => c !== code);
+    if (CANONICAL_ALLERGENS.includes(code) && others.length) {
+      COVERED_ALLERGENS[code] = [...new Set([...(COVERED_ALLERGENS[code] || []), ...others])];
+    }
+  }
+}
+
+// Map a free-form allergen name to its canonical code (unknown names pass through)
+function canonicalAllergen(name) {
+  const clean = name.toString().trim().toLowerCase().replace(/[-_]/g, ' ').replace(/\s+/g, ' ');
+  return ALLERGEN_ALIASES[clean] || clean;
+}
+
+/**
+ * Canonical codes for an allergen list written by a user (reviewer
+ * overrides, knowledge base, equipment and product entries). Aliases
+ * ("dairy", "peanut") are accepted; anything else is a 400, so a typo such
+ * as "milkk" is never stored.
+ */
+function allergenCodes(value, field = 'allergens') {
+  if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+    throw new HttpError(400, `"${field}" must be an array of strings`);
+  }
+  const codes = [...new Set(value.filter(v => v.trim()).map(canonicalAllergen))];
+  const unknown = codes.filter(code => !CANONICAL_ALLERGENS.includes(code));
+  if (unknown.length) {
+    throw new HttpError(
+      400,
+      `Unknown allergen(s) in "${field}": ${unknown.map(code => `"${code}"`).join(', ')}. Available: ${CANONICAL_ALLERGENS.join(', ')}`
+    );
+  }
+  return codes;
+}
+
+// A canonical code with every code it covers: 'gluten' -> ['gluten', 'wheat']
+function coveredAllergens(code) {
+  return [code, ...(COVERED_ALLERGENS[code] || [])];
+}
+
+/**
+ * Canonical codes for free-form allergen names, with every code they imply:
+ * ['Wheat'] -> ['wheat', 'gluten']. Region-less results, filters and charts
+ * then see gluten wherever a profile would declare it.
+ */
+function canonicalCodes(names) {
+  const codes = new Set(names.map(canonicalAllergen));
+  for (const [code, covers] of Object.entries(COVERED_ALLERGENS)) {
+    if (covers.some(c => codes.has(c))) codes.add(code);
+  }
+  return [...codes];
+}
+
+function getProfile(region) {
+  return REGULATORY_PROFILES[region?.toString().toUpperCase()] || null;
+}
+
+/**
+ * Apply a regional profile to a set of canonical allergens.
+ *
+ * Returns the region's declarable codes, a declaration per code listing the
+ * canonical allergens behind it, and `other_allergens`: anything detected that
+ * this profile does not cover, so nothing is silently dropped.
+ */
+function applyProfile(region, allergens) {
+  const profile = getProfile(region);
+  const detected = [...new Set(allergens.map(canonicalAllergen))];
+
+  const declarations = profile.allergens
+    .map(({ code, name, covers }) => ({
+      code,
+      name,
+      sources: detected.filter(a => covers.includes(a))
+    }))
+    .filter(d => d.sources.length);
+
+  const covered = new Set(declarations.flatMap(d => d.sources));
+
+  return {
+    region: region.toUpperCase(),
+    allergens: declarations.map(d => d.code),
+    declarations,
+    other_allergens: detected.filter(a => !covered.has(a))
+  };
+}
+
+export {
+  CANONICAL_ALLERGENS,
+  REGULATORY_PROFILES,
+  allergenCodes,
+  canonicalAllergen,
+  canonicalCodes,
+  coveredAllergens,
+  getProfile,
+  applyProfile
+};
@@ -0,0 +1,121 @@
+// lib/reviewStore.js (ES Module)
+//
+// Reviewer decisions per recipe: ingredient allergen overrides and approval
+// status. Overrides are applied on top of automatic detection every time the
+// recipe is processed, so they survive re-uploads.
+
+import { HttpError } from './httpError.js';
+import { createJsonFile } from './jsonFile.js';
+import { allergenCodes } from './regulatoryProfiles.js';
+
+function reviewKey(name) {
+  return name.toString().trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function createReviewStore({ file }) {
+  const store = createJsonFile(file);
+  let reviews = {};
+
+  async function load() {
+    reviews = await store.read({});
+  }
+
+  function get(recipeName) {
+    return reviews[reviewKey(recipeName)] || null;
+  }
+
+  function getOrCreate(recipeName) {
+    const key = reviewKey(recipeName);
+    if (!reviews[key]) {
+      reviews[key] = {
+        recipe_name: recipeName.toString().trim(),
+        status: 'pending',
+        overrides: {},
+        history: []
+      };
+    }
+    return reviews[key];
+  }
+
+  function record(review, action, user, details = {}) {
+    review.history.push({ action, by: user || 'anonymous', at: new Date().toISOString(), ...details });
+  }
+
+  /**
+   * Set the allergens of one ingredient in a recipe, replacing whatever was
+   * detected. An empty list marks the ingredient as reviewed allergen-free.
+   */
+  async function setOverride(recipeName, ingredient, allergens, user) {
+    const clean = allergenCodes(allergens);
+    const review = getOrCreate(recipeName);
+    const now = new Date().toISOString();
+
+    review.overrides[reviewKey(ingredient)] = {
+      ingredient: ingredient.toString().trim(),
+      allergens: clean,
+      by: user || 'anonymous',
+      at: now
+    };
+    // Any change after approval needs a fresh approval
+    review.status = 'reviewed';
+    review.reviewed_by = user || 'anonymous';
+    review.reviewed_at = now;
+    record(review, 'override', user, { ingredient, allergens: clean });
+    await store.write(reviews);
+    return review;
+  }
+
+  async function clearOverride(recipeName, ingredient, user) {
+    const review = get(recipeName);
+    const key = reviewKey(ingredient);
+    if (!review?.overrides[key]) {
+      throw new HttpError(404, `No override for "${ingredient}" in "${recipeName}"`);
+    }
+
+    delete review.overrides[key];
+    review.status = 'reviewed';
+    review.reviewed_by = user || 'anonymous';
+    review.reviewed_at = new Date().toISOString();
+    record(review, 'clear_override', user, { ingredient });
+    await store.write(reviews);
+    return review;
+  }
+
+  /**
+   * `snapshot` is the processed result being signed off; its `menu` (what
+   * the public guest menu shows for the recipe) is kept with the approval.
+   */
+  async function approve(recipeName, snapshot, user) {
+    const review = getOrCreate(recipeName);
+    const now = new Date().toISOString();
+
+    review.status = 'approved';
+    review.approved_by = user || 'anonymous';
+    review.approved_at = now;
+    review.approved_snapshot = {
+      ingredients: snapshot.ingredients,
+      allergens: snapshot.allergens,
+      region: snapshot.region || null,
+      menu: snapshot.menu || null
+    };
+    record(review, 'approve', user, { allergens: snapshot.allergens });
+    await store.write(reviews);
+    return review;
+  }
+
+  // Override for one ingredient of a recipe, if any
+  function overrideFor(recipeName, ingredient) {
+    return get(recipeName)?.overrides[reviewKey(ingredient)] || null;
+  }
+
+  return { load, get, setOverride, clearOverride, approve, overrideFor };
+}
+
+// Review fields included in every processed recipe
+function reviewSummary(review) {
+  if (!review) return { status: 'pending' };
+  const { status, reviewed_by, reviewed_at, approved_by, approved_at } = review;
+  return { status, reviewed_by, reviewed_at, approved_by, approved_at };
+}
+
+export { createReviewStore, reviewSummary };
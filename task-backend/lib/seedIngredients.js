@@ -0,0 +1,187 @@
+// lib/seedIngredients.js (ES Module)
+//
+// Seed data for the ingredient knowledge base. Written to the store the first
+// time the server starts with an empty data directory; edit mappings through
+// /api/ingredients afterwards. Entries without a `language` are English.
+
+const SEED_INGREDIENTS = [
+  { name: 'dough', allergens: ['wheat'] },
+  { name: 'wheat', allergens: ['wheat'] },
+  { name: 'flour', allergens: ['wheat'] },
+  { name: 'bread', allergens: ['wheat'] },
+  { name: 'croutons', allergens: ['wheat'] },
+  { name: 'pasta', allergens: ['wheat'] },
+  { name: 'barley', allergens: ['gluten'] },
+  { name: 'rye', allergens: ['gluten'] },
+  { name: 'oats', synonyms: ['oatmeal'], allergens: ['gluten'] },
+
+  { name: 'cheese', allergens: ['milk'] },
+  { name: 'mozzarella', allergens: ['milk'] },
+  { name: 'cheddar', allergens: ['milk'] },
+  { name: 'parmesan', allergens: ['milk'] },
+  { name: 'milk', allergens: ['milk'] },
+  { name: 'butter', allergens: ['milk'] },
+  { name: 'cream', allergens: ['milk'] },
+  { name: 'yogurt', synonyms: ['yoghurt'], allergens: ['milk'] },
+  { name: 'whey', allergens: ['milk'] },
+
+  { name: 'egg', synonyms: ['eggs'], allergens: ['egg'] },
+  { name: 'mayonnaise', allergens: ['egg'] },
+
+  { name: 'fish', allergens: ['fish'] },
+  { name: 'salmon', allergens: ['fish'] },
+  { name: 'tuna', allergens: ['fish'] },
+  { name: 'anchovies', allergens: ['fish'] },
+  { name: 'cod', allergens: ['fish'] },
+  { name: 'sardines', allergens: ['fish'] },
+
+  { name: 'shrimp', allergens: ['crustaceans'] },
+  { name: 'crab', allergens: ['crustaceans'] },
+  { name: 'lobster', allergens: ['crustaceans'] },
+  { name: 'prawns', allergens: ['crustaceans'] },
+  { name: 'crayfish', synonyms: ['langoustine'], allergens: ['crustaceans'] },
+
+  { name: 'oyster', allergens: ['molluscs'] },
+  { name: 'mussels', allergens: ['molluscs'] },
+  { name: 'clams', allergens: ['molluscs'] },
+  { name: 'scallops', allergens: ['molluscs'] },
+  { name: 'squid', synonyms: ['calamari'], allergens: ['molluscs'] },
+  { name: 'octopus', allergens: ['molluscs'] },
+
+  { name: 'peanut', synonyms: ['peanuts'], allergens: ['peanuts'] },
+
+  { name: 'almond', allergens: ['tree nuts'] },
+  { name: 'walnut', allergens: ['tree nuts'] },
+  { name: 'cashew', allergens: ['tree nuts'] },
+  { name: 'pistachio', allergens: ['tree nuts'] },
+  { name: 'pecan', allergens: ['tree nuts'] },
+  { name: 'hazelnut', allergens: ['tree nuts'] },
+  { name: 'macadamia', allergens: ['tree nuts'] },
+  { name: 'brazil nut', allergens: ['tree nuts'] },
+
+  { name: 'soy', synonyms: ['soya'], allergens: ['soy'] },
+  { name: 'tofu', allergens: ['soy'] },
+  { name: 'soy sauce', allergens: ['soy'] },
+  { name: 'edamame', allergens: ['soy'] },
+
+  { name: 'sesame', allergens: ['sesame'] },
+  { name: 'tahini', allergens: ['sesame'] },
+
+  { name: 'celery', synonyms: ['celeriac', 'celery salt'], allergens: ['celery'] },
+  { name: 'mustard', synonyms: ['dijon'], allergens: ['mustard'] },
+  { name: 'lupin', synonyms: ['lupini', 'lupine'], allergens: ['lupin'] },
+  { name: 'wine', allergens: ['sulphites'] },
+  { name: 'dried apricots', allergens: ['sulphites'] },
+  { name: 'sulphites', synonyms: ['sulfites', 'sulphur dioxide'], allergens: ['sulphites'] },
+
+  // German. Compound words ("Weizenmehl", "Frischkäse") match their parts.
+  ...[
+    { name: 'weizen', allergens: ['wheat'] },
+    { name: 'mehl', allergens: ['wheat'] },
+    { name: 'dinkel', allergens: ['wheat'] },
+    { name: 'brot', synonyms: ['brötchen'], allergens: ['wheat'] },
+    { name: 'nudeln', allergens: ['wheat'] },
+    { name: 'roggen', allergens: ['gluten'] },
+    { name: 'gerste', allergens: ['gluten'] },
+    { name: 'hafer', allergens: ['gluten'] },
+    { name: 'milch', allergens: ['milk'] },
+    { name: 'sahne', synonyms: ['schlagsahne', 'rahm'], allergens: ['milk'] },
+    { name: 'butter', allergens: ['milk'] },
+    { name: 'käse', allergens: ['milk'] },
+    { name: 'quark', allergens: ['milk'] },
+    { name: 'joghurt', allergens: ['milk'] },
+    { name: 'ei', synonyms: ['eier', 'eigelb', 'eiweiß'], allergens: ['egg'] },
+    { name: 'fisch', allergens: ['fish'] },
+    { name: 'lachs', allergens: ['fish'] },
+    { name: 'sardellen', allergens: ['fish'] },
+    { name: 'kabeljau', allergens: ['fish'] },
+    { name: 'garnelen', synonyms: ['krabben'], allergens: ['crustaceans'] },
+    { name: 'hummer', allergens: ['crustaceans'] },
+    { name: 'muscheln', synonyms: ['austern'], allergens: ['molluscs'] },
+    { name: 'erdnuss', synonyms: ['erdnüsse'], allergens: ['peanuts'] },
+    { name: 'nuss', synonyms: ['nüsse'], allergens: ['tree nuts'] },
+    { name: 'mandel', synonyms: ['mandeln'], allergens: ['tree nuts'] },
+    { name: 'walnuss', synonyms: ['walnüsse'], allergens: ['tree nuts'] },
+    { name: 'haselnuss', synonyms: ['haselnüsse'], allergens: ['tree nuts'] },
+    { name: 'pistazie', synonyms: ['pistazien'], allergens: ['tree nuts'] },
+    { name: 'soja', synonyms: ['sojasoße', 'sojasauce'], allergens: ['soy'] },
+    { name: 'sesam', allergens: ['sesame'] },
+    { name: 'sellerie', allergens: ['celery'] },
+    { name: 'senf', allergens: ['mustard'] },
+    { name: 'lupine', synonyms: ['lupinen'], allergens: ['lupin'] },
+    { name: 'wein', allergens: ['sulphites'] }
+  ].map(entry => ({ ...entry, language: 'de' })),
+
+  // Spanish
+  ...[
+    { name: 'trigo', allergens: ['wheat'] },
+    { name: 'harina', allergens: ['wheat'] },
+    { name: 'pan', allergens: ['wheat'] },
+    { name: 'cebada', allergens: ['gluten'] },
+    { name: 'centeno', allergens: ['gluten'] },
+    { name: 'avena', allergens: ['gluten'] },
+    { name: 'leche', allergens: ['milk'] },
+    { name: 'nata', allergens: ['milk'] },
+    { name: 'mantequilla', allergens: ['milk'] },
+    { name: 'queso', allergens: ['milk'] },
+    { name: 'yogur', allergens: ['milk'] },
+    { name: 'huevo', synonyms: ['huevos', 'yema'], allergens: ['egg'] },
+    { name: 'pescado', allergens: ['fish'] },
+    { name: 'atún', allergens: ['fish'] },
+    { name: 'salmón', allergens: ['fish'] },
+    { name: 'anchoas', allergens: ['fish'] },
+    { name: 'bacalao', allergens: ['fish'] },
+    { name: 'gambas', synonyms: ['langostinos', 'cangrejo'], allergens: ['crustaceans'] },
+    { name: 'mejillones', synonyms: ['almejas', 'pulpo'], allergens: ['molluscs'] },
+    { name: 'calamar', synonyms: ['calamares'], allergens: ['molluscs'] },
+    { name: 'cacahuete', synonyms: ['cacahuetes', 'maní'], allergens: ['peanuts'] },
+    { name: 'almendra', synonyms: ['almendras'], allergens: ['tree nuts'] },
+    { name: 'nuez', synonyms: ['nueces'], allergens: ['tree nuts'] },
+    { name: 'avellana', synonyms: ['avellanas'], allergens: ['tree nuts'] },
+    { name: 'anacardo', synonyms: ['anacardos'], allergens: ['tree nuts'] },
+    { name: 'pistacho', synonyms: ['pistachos'], allergens: ['tree nuts'] },
+    { name: 'soja', synonyms: ['salsa de soja'], allergens: ['soy'] },
+    { name: 'sésamo', allergens: ['sesame'] },
+    { name: 'apio', allergens: ['celery'] },
+    { name: 'mostaza', allergens: ['mustard'] },
+    { name: 'altramuz', synonyms: ['altramuces'], allergens: ['lupin'] },
+    { name: 'vino', allergens: ['sulphites'] }
+  ].map(entry => ({ ...entry, language: 'es' })),
+
+  // French
+  ...[
+    { name: 'blé', allergens: ['wheat'] },
+    { name: 'farine', allergens: ['wheat'] },
+    { name: 'pain', allergens: ['wheat'] },
+    { name: 'pâtes', allergens: ['wheat'] },
+    { name: 'seigle', allergens: ['gluten'] },
+    { name: 'orge', allergens: ['gluten'] },
+    { name: 'avoine', allergens: ['gluten'] },
+    { name: 'lait', allergens: ['milk'] },
+    { name: 'crème', allergens: ['milk'] },
+    { name: 'beurre', allergens: ['milk'] },
+    { name: 'fromage', allergens: ['milk'] },
+    { name: 'yaourt', allergens: ['milk'] },
+    { name: 'œuf', synonyms: ['oeuf', 'œufs', 'oeufs'], allergens: ['egg'] },
+    { name: 'poisson', allergens: ['fish'] },
+    { name: 'saumon', allergens: ['fish'] },
+    { name: 'thon', allergens: ['fish'] },
+    { name: 'anchois', allergens: ['fish'] },
+    { name: 'cabillaud', allergens: ['fish'] },
+    { name: 'crevettes', synonyms: ['crabe', 'homard'], allergens: ['crustaceans'] },
+    { name: 'moules', synonyms: ['huîtres', 'calmar', 'poulpe'], allergens: ['molluscs'] },
+    { name: 'arachide', synonyms: ['arachides', 'cacahuète', 'cacahuètes'], allergens: ['peanuts'] },
+    { name: 'amande', synonyms: ['amandes'], allergens: ['tree nuts'] },
+    { name: 'noix', synonyms: ['noix de cajou'], allergens: ['tree nuts'] },
+    { name: 'noisette', synonyms: ['noisettes'], allergens: ['tree nuts'] },
+    { name: 'pistache', synonyms: ['pistaches'], allergens: ['tree nuts'] },
+    { name: 'soja', synonyms: ['sauce soja'], allergens: ['soy'] },
+    { name: 'sésame', allergens: ['sesame'] },
+    { name: 'céleri', allergens: ['celery'] },
+    { name: 'moutarde', allergens: ['mustard'] },
+    { name: 'lupin', allergens: ['lupin'] },
+    { name: 'vin', allergens: ['sulphites'] }
+  ].map(entry => ({ ...entry, language: 'fr' }))
+];
+
+export { SEED_INGREDIENTS };
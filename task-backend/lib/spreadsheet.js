@@ -0,0 +1,303 @@
+// lib/spreadsheet.js (ES Module)
+//
+// Recipe spreadsheet ingestion. Each sheet is inspected for its header row,
+// the column holding each field and its layout:
+//
+//   grouped - one ingredient per row; the recipe name starts a recipe and is
+//             blank (or repeated) on continuation rows
+//   flat    - one recipe per row with its ingredients listed in one cell
+//
+// Detection can be overridden per sheet so the user can confirm or correct
+// the mapping before anything is processed.
+
+import xlsx from 'xlsx';
+import { HttpError } from './httpError.js';
+import { splitIngredientList } from './ingredientNormalizer.js';
+
+// Header words recognized for each field
+const FIELD_HEADERS = {
+  recipe: ['recipe', 'recipe name', 'recipes', 'dish', 'dish name', 'menu item', 'item', 'product', 'product name', 'name'],
+  ingredient: ['ingredient', 'ingredients', 'ingredient name', 'component', 'components', 'ingredient list'],
+  quantity: ['quantity', 'qty', 'amount', 'weight', 'net weight'],
+  unit: ['unit', 'units', 'uom', 'unit of measure'],
+  supplier: ['supplier', 'vendor', 'brand', 'manufacturer'],
+  gtin: ['gtin', 'ean', 'barcode', 'bar code', 'upc', 'ean code', 'gtin ean', 'product code'],
+  equipment: ['equipment', 'station', 'kitchen equipment', 'equipment used']
+};
+
+const FIELDS = Object.keys(FIELD_HEADERS);
+const HEADER_SCAN_ROWS = 10;
+
+const cellText = value => (value === undefined || value === null ? '' : value.toString().trim());
+const columnText = (row, col) => (col == null ? '' : cellText(row[col]));
+
+function headerField(text) {
+  const clean = text.toLowerCase().replace(/[^a-z ]/g, ' ').replace(/\s+/g, ' ').trim();
+  return FIELDS.find(field => FIELD_HEADERS[field].includes(clean)) || null;
+}
+
+function columnLetter(index) {
+  return xlsx.utils.encode_col(index);
+}
+
+// Rows as arrays plus the spreadsheet row number of the first one
+function sheetRows(worksheet) {
+  if (!worksheet?.['!ref']) return { rows: [], firstRow: 1, firstCol: 0 };
+  const range = xlsx.utils.decode_range(worksheet['!ref']);
+  const rows = xlsx.utils.sheet_to_json(worksheet, { header: 1, blankrows: true, defval: '' });
+  return { rows, firstRow: range.s.r + 1, firstCol: range.s.c };
+}
+
+// Pick the header row that names the most known fields
+function detectHeader(rows) {
+  let best = null;
+  rows.slice(0, HEADER_SCAN_ROWS).forEach((row, index) => {
+    const mapping = {};
+    row.forEach((cell, col) => {
+      const field = headerField(cellText(cell));
+      if (field && mapping[field] === undefined) mapping[field] = col;
+    });
+    const score = Object.keys(mapping).length;
+    const usable = mapping.recipe !== undefined || mapping.ingredient !== undefined;
+    if (usable && score > (best?.score || 0)) best = { index, mapping, score };
+  });
+  return best;
+}
+
+function detectLayout(rows, mapping) {
+  if (mapping.recipe === undefined || mapping.ingredient === undefined) return 'grouped';
+  const data = rows.filter(r => cellText(r[mapping.recipe]) || cellText(r[mapping.ingredient]));
+  if (!data.length) return 'grouped';
+
+  const named = data.filter(r => cellText(r[mapping.recipe])).length;
+  const listed = data.filter(r => splitIngredientList(cellText(r[mapping.ingredient])).length > 1).length;
+  const names = new Set(data.map(r => cellText(r[mapping.recipe]).toLowerCase()));
+
+  // Every row names a distinct recipe and most carry an ingredient list
+  return named === data.length && names.size === data.length && listed * 2 >= data.length
+    ? 'flat'
+    : 'grouped';
+}
+
+/**
+ * Detected structure of one sheet: header row (1-based, null when absent),
+ * header labels, field -> column mapping and layout. Sheets without a
+ * recognizable header fall back to the legacy layout: header in the first
+ * row, recipe name in column A and ingredient in column B.
+ */
+function inspectSheet(workbook, name, headerRowNumber) {
+  const { rows, firstRow, firstCol } = sheetRows(workbook.Sheets[name]);
+
+  // A confirmed header row is used as-is; its labels still drive the mapping
+  const header = headerRowNumber
+    ? detectHeader([rows[headerRowNumber - firstRow] || []])
+    : detectHeader(rows);
+  const headerIndex = headerRowNumber
+    ? headerRowNumber - firstRow
+    : header ? header.index : 0;
+  const mapping = header ? header.mapping : { recipe: 0, ingredient: 1 };
+
+  const width = Math.max(0, ...rows.map(r => r.length));
+  const headerRow = rows[headerIndex] || [];
+  const columns = Array.from({ length: width }, (_, col) => ({
+    index: col,
+    letter: columnLetter(firstCol + col),
+    header: cellText(headerRow[col])
+  }));
+
+  return {
+    name,
+    header_row: rows.length ? firstRow + headerIndex : null,
+    detected: Boolean(header),
+    columns,
+    mapping,
+    layout: detectLayout(rows.slice(headerIndex + 1), mapping),
+    row_count: rows.length
+  };
+}
+
+function inspectWorkbook(workbook) {
+  return { sheets: workbook.SheetNames.map(name => inspectSheet(workbook, name)) };
+}
+
+function readWorkbook(buffer) {
+  try {
+    return xlsx.read(buffer, { type: 'buffer' });
+  } catch (err) {
+    throw new HttpError(400, `Could not read workbook: ${err.message}`);
+  }
+}
+
+// Ingredient record with the mapped extra fields and any unmapped columns
+function ingredientDetail(name, row, mapping, columns, location) {
+  const detail = { name, ...location };
+  for (const field of ['quantity', 'unit', 'supplier', 'gtin']) {
+    if (!columnText(row, mapping[field])) continue;
+    const value = row[mapping[field]];
+    detail[field] = typeof value === 'number' ? value : cellText(value);
+  }
+
+  const mapped = new Set(Object.values(mapping).filter(col => col != null));
+  const extra = {};
+  columns.forEach(col => {
+    if (mapped.has(col.index) || !col.header) return;
+    const value = cellText(row[col.index]);
+    if (value) extra[col.header] = value;
+  });
+  if (Object.keys(extra).length) detail.extra = extra;
+  return detail;
+}
+
+function addIngredient(recipe, detail) {
+  recipe.ingredients.push(detail.name);
+  recipe.ingredient_details.push(detail);
+}
+
+// Equipment belongs to the recipe, whichever of its rows lists it
+function addEquipment(recipe, row, mapping) {
+  for (const name of splitIngredientList(columnText(row, mapping.equipment))) {
+    if (!recipe.equipment.some(e => e.toLowerCase() === name.toLowerCase())) {
+      recipe.equipment.push(name);
+    }
+  }
+}
+
+// Parse one sheet according to its (detected or confirmed) settings.
+// Rows that cannot be attached to a recipe are reported in `issues`.
+function parseSheet(workbook, name, settings, issues) {
+  const { rows, firstRow, firstCol } = sheetRows(workbook.Sheets[name]);
+  const { mapping, layout, columns } = settings;
+  const headerIndex = settings.header_row ? settings.header_row - firstRow : -1;
+  const letter = field => (mapping[field] == null ? null : columnLetter(firstCol + mapping[field]));
+
+  const recipes = [];
+  let current = null;
+
+  rows.forEach((row, index) => {
+    if (index <= headerIndex) return;
+    const rowNumber = firstRow + index;
+    const recipeLocation = { sheet: name, row: rowNumber, column: letter('recipe') };
+    const ingredientLocation = { sheet: name, row: rowNumber, column: letter('ingredient') };
+
+    const recipeName = columnText(row, mapping.recipe);
+    const ingredientCell = columnText(row, mapping.ingredient);
+
+    if (layout === 'flat') {
+      if (!recipeName) {
+        if (ingredientCell) {
+          issues.push({
+            severity: 'error',
+            code: 'MISSING_RECIPE_NAME',
+            message: `Ingredients "${ingredientCell}" have no recipe name`,
+            ...recipeLocation
+          });
+        }
+        return;
+      }
+      const recipe = { recipe_name: recipeName, ingredients: [], ingredient_details: [], equipment: [], ...recipeLocation };
+      const names = splitIngredientList(ingredientCell);
+      names.forEach(ing => {
+        const detail = ingredientDetail(ing, row, mapping, columns, ingredientLocation);
+        // One barcode cannot belong to several ingredients listed in one cell
+        if (names.length > 1) delete detail.gtin;
+        addIngredient(recipe, detail);
+      });
+      addEquipment(recipe, row, mapping);
+      recipes.push(recipe);
+      return;
+    }
+
+    // Grouped: a new (different) name starts a recipe
+    if (recipeName && recipeName.toLowerCase() !== current?.recipe_name.toLowerCase()) {
+      current = { recipe_name: recipeName, ingredients: [], ingredient_details: [], equipment: [], ...recipeLocation };
+      recipes.push(current);
+    }
+    if (current) addEquipment(current, row, mapping);
+    if (!ingredientCell) return;
+
+    if (!current) {
+      issues.push({
+        severity: 'error',
+        code: 'ORPHAN_INGREDIENT',
+        message: `Ingredient "${ingredientCell}" appears before the first recipe name`,
+        ...ingredientLocation
+      });
+      return;
+    }
+    addIngredient(current, ingredientDetail(ingredientCell, row, mapping, columns, ingredientLocation));
+  });
+
+  return recipes;
+}
+
+// Merge user-confirmed settings over what was detected
+function sheetSettings(detected, override = {}) {
+  const settings = { ...detected, ...override };
+  if (override.mapping) settings.mapping = { ...override.mapping };
+
+  if (!['grouped', 'flat'].includes(settings.layout)) {
+    throw new HttpError(400, `Unknown layout "${settings.layout}" for sheet "${detected.name}". Use grouped or flat`);
+  }
+  for (const [field, col] of Object.entries(settings.mapping)) {
+    if (!FIELDS.includes(field)) {
+      throw new HttpError(400, `Unknown field "${field}" in mapping for sheet "${detected.name}"`);
+    }
+    if (col !== null && (!Number.isInteger(col) || col < 0)) {
+      throw new HttpError(400, `Column for "${field}" must be a column index or null`);
+    }
+  }
+  if (settings.mapping.recipe == null || settings.mapping.ingredient == null) {
+    throw new HttpError(400, `Sheet "${detected.name}" needs both a recipe and an ingredient column`);
+  }
+  return settings;
+}
+
+/**
+ * Parse recipes from a workbook buffer.
+ *
+ * Options:
+ *   sheets        - sheet names to read, one sheet name, or 'all' (default:
+ *                   the first sheet)
+ *   sheet_options - { [sheetName]: { header_row, mapping, layout } } overrides
+ *
+ * Returns `{ recipes, issues, workbook }`: `issues` lists rows that could
+ * not be attached to a recipe, and `workbook` describes every sheet as
+ * detected so the caller can show and confirm the mapping.
+ */
+function parseRecipeWorkbook(buffer, { sheets, sheet_options: sheetOptions = {} } = {}) {
+  const workbook = readWorkbook(buffer);
+  const inspection = inspectWorkbook(workbook);
+
+  if (sheets != null && typeof sheets !== 'string' && !Array.isArray(sheets)) {
+    throw new HttpError(400, '"sheets" must be a list of sheet names, a sheet name or "all"');
+  }
+  const selected = sheets === 'all'
+    ? workbook.SheetNames
+    : typeof sheets === 'string' ? [sheets]
+      : sheets?.length ? sheets : workbook.SheetNames.slice(0, 1);
+
+  const unknown = selected.filter(name => !workbook.SheetNames.includes(name));
+  if (unknown.length) {
+    throw new HttpError(400, `Unknown sheet(s): ${unknown.join(', ')}`);
+  }
+
+  const issues = [];
+  const recipes = selected.flatMap(name => {
+    const override = sheetOptions[name] || {};
+    if (override.header_row !== undefined && !(Number.isInteger(override.header_row) && override.header_row > 0)) {
+      throw new HttpError(400, `"header_row" for sheet "${name}" must be a row number`);
+    }
+    const detected = override.header_row
+      ? inspectSheet(workbook, name, override.header_row)
+      : inspection.sheets.find(s => s.name === name);
+    return parseSheet(workbook, name, sheetSettings(detected, override), issues);
+  });
+
+  return {
+    recipes,
+    issues,
+    workbook: { ...inspection, selected_sheets: selected }
+  };
+}
+
+export { parseRecipeWorkbook, inspectWorkbook, splitIngredientList, FIELDS };
@@ -0,0 +1,154 @@
+// lib/subRecipes.js (ES Module)
+//
+// Sub-recipes (composite ingredients). An ingredient whose name matches
+// another recipe - from the same batch or a saved one - is expanded into
+// that recipe's ingredients, to any depth, so its allergens roll up into
+// every recipe that uses it.
+//
+// Expanded ingredients are addressed by their path from the top recipe,
+// e.g. "Caesar Dressing → Anchovies"; top-level ingredients keep their name.
+// Ingredients are normalized first: "200g Caesar Dressing" still refers to
+// the sub-recipe, and a bracketed list such as "Mozzarella (milk, salt)"
+// adds its items as leaves beneath the ingredient.
+
+import { normalizeIngredient } from './ingredientNormalizer.js';
+
+const PATH_SEPARATOR = ' → ';
+
+const componentKey = name => name.toString().trim().toLowerCase().replace(/\s+/g, ' ');
+const pathKey = path => path.join(PATH_SEPARATOR);
+
+/**
+ * Resolve component names against `recipes` first, then `fallback(name)`
+ * (which returns `{ recipe_name, ingredients, source }` or null).
+ */
+function createComponentIndex(recipes = [], fallback = () => null) {
+  const byName = new Map();
+  for (const recipe of recipes) {
+    if (!recipe?.recipe_name || !Array.isArray(recipe.ingredients)) continue;
+    const key = componentKey(recipe.recipe_name);
+    if (!byName.has(key)) {
+      byName.set(key, {
+        recipe_name: recipe.recipe_name,
+        ingredients: recipe.ingredients,
+        equipment: recipe.equipment || [],
+        language: recipe.language,
+        source: 'upload'
+      });
+    }
+  }
+
+  return {
+    find: name => byName.get(componentKey(name)) || fallback(name) || null
+  };
+}
+
+/**
+ * Flatten a recipe into its leaf ingredients.
+ *
+ * Returns `{ leaves, components, cycles, normalized }`:
+ *   leaves     - `{ ingredient, name, notes, owner, language, path, compound }`;
+ *                `name` is the normalized name to detect, `notes` the rest
+ *                of its text that may still name allergens, `owner` the recipe
+ *                that lists the ingredient (reviewer overrides are kept
+ *                there, under `ingredient`), `language` the owner's language
+ *                (when known) and `compound` is set when bracketed items
+ *                follow it as leaves of their own
+ *   components - every expanded sub-recipe with its `path`
+ *   cycles     - `{ path, message }` for sub-recipes that lead back to a
+ *                recipe already being expanded; those are not expanded again
+ *   normalized - normalized form of every ingredient, keyed by path
+ */
+function expandRecipe(recipe, index) {
+  const leaves = [];
+  const components = [];
+  const cycles = [];
+  const normalized = {};
+
+  // Bracketed items are leaves of the same owner, to any depth
+  const addItems = (items, owner, language, path, local) => {
+    for (const item of items) {
+      const itemPath = [...path, item.original];
+      const itemLocal = [...local, item.original];
+      normalized[pathKey(itemPath)] = { ...item, components: item.components.map(c => c.original) };
+      leaves.push({
+        ingredient: pathKey(itemLocal),
+        name: item.name,
+        notes: item.notes,
+        owner,
+        language,
+        path: itemPath,
+        compound: item.components.length > 0
+      });
+      addItems(item.components, owner, language, itemPath, itemLocal);
+    }
+  };
+
+  // A sub-recipe without a language of its own is read in its parent's
+  const visit = (current, path, stack, parentLanguage) => {
+    const language = current.language || parentLanguage;
+    for (const ingredient of current.ingredients) {
+      const ingredientPath = [...path, ingredient];
+      const parsed = normalizeIngredient(ingredient);
+      normalized[pathKey(ingredientPath)] = {
+        ...parsed,
+        components: parsed.components.map(c => c.original)
+      };
+      const component = index.find(ingredient) || index.find(parsed.name);
+
+      if (!component) {
+        leaves.push({
+          ingredient,
+          name: parsed.name,
+          notes: parsed.notes,
+          owner: current.recipe_name,
+          language,
+          path: ingredientPath,
+          compound: parsed.components.length > 0
+        });
+        addItems(parsed.components, current.recipe_name, language, ingredientPath, [ingredient]);
+        continue;
+      }
+
+      const key = componentKey(component.recipe_name);
+      if (stack.includes(key)) {
+        const chain = [recipe.recipe_name, ...ingredientPath];
+        cycles.push({
+          path: chain,
+          message: `Circular sub-recipe: ${pathKey(chain)}`
+        });
+        continue;
+      }
+
+      components.push({ ...component, path: ingredientPath });
+      visit(component, ingredientPath, [...stack, key], language);
+      addItems(parsed.components, current.recipe_name, language, ingredientPath, [ingredient]);
+    }
+  };
+
+  visit(recipe, [], [componentKey(recipe.recipe_name)], recipe.language);
+  return { leaves, components, cycles, normalized };
+}
+
+/**
+ * Per-component summary keyed by path, with the allergens rolled up from
+ * everything flagged beneath it.
+ */
+function summarizeComponents(components, flagged) {
+  return Object.fromEntries(components.map(component => {
+    const prefix = pathKey(component.path) + PATH_SEPARATOR;
+    const allergens = new Set(
+      Object.entries(flagged)
+        .filter(([key]) => key.startsWith(prefix))
+        .flatMap(([, detected]) => detected)
+    );
+    return [pathKey(component.path), {
+      recipe_name: component.recipe_name,
+      source: component.source,
+      ingredients: component.ingredients,
+      allergens: [...allergens]
+    }];
+  }));
+}
+
+export { createComponentIndex, expandRecipe, summarizeComponents, pathKey, PATH_SEPARATOR };
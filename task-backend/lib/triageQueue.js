@@ -0,0 +1,119 @@
+// lib/triageQueue.js (ES Module)
+//
+// File-backed queue of the ingredients processing did not recognize,
+// aggregated across recipes: one entry per ingredient name and dictionary
+// language, listing every recipe it occurs in. A reviewer resolves an entry
+// once - maps it to a known ingredient, classifies it or ignores it -
+// instead of recipe by recipe. The queue keeps the last processed input of
+// every recipe with unrecognized ingredients, so a resolution can re-run
+// exactly the recipes it affects.
+
+import { HttpError } from './httpError.js';
+import { createJsonFile } from './jsonFile.js';
+import { normalizeIngredient } from './ingredientNormalizer.js';
+import { PATH_SEPARATOR } from './subRecipes.js';
+
+const STATUSES = ['open', 'resolved', 'ignored'];
+
+const nameKey = name => name.toString().trim().toLowerCase().replace(/\s+/g, ' ');
+
+// The ingredient an unrecognized key stands for: not "200g ..." or its brand,
+// and not the sub-recipe it sits in
+function ingredientName(key) {
+  return nameKey(normalizeIngredient(key.split(PATH_SEPARATOR).pop()).name);
+}
+
+function createTriageQueue({ file }) {
+  const store = createJsonFile(file);
+  let state = { next_id: 1, entries: [], recipes: {} };
+
+  async function load() {
+    state = await store.read(state);
+  }
+
+  function save() {
+    return store.write(state);
+  }
+
+  // Most frequent first
+  function list(status) {
+    if (status !== undefined && !STATUSES.includes(status)) {
+      throw new HttpError(400, `Unknown status "${status}". Use ${STATUSES.join(', ')}`);
+    }
+    return state.entries
+      .filter(e => !status || e.status === status)
+      .sort((a, b) => b.occurrences.length - a.occurrences.length || a.name.localeCompare(b.name));
+  }
+
+  function get(id) {
+    return state.entries.find(e => e.id === Number(id)) || null;
+  }
+
+  const occursIn = (entry, recipeKey) =>
+    entry.occurrences.some(o => nameKey(o.recipe_name) === recipeKey);
+
+  /**
+   * Replace a recipe's occurrences with those of its latest result. A
+   * resolved entry that still occurs was not fixed and opens again; open
+   * entries that no longer occur anywhere leave the queue. Changes stay in
+   * memory until `save()`, so a batch is written once.
+   */
+  function record(recipe, result) {
+    const recipeKey = nameKey(recipe.recipe_name);
+    const now = new Date().toISOString();
+    for (const entry of state.entries) {
+      entry.occurrences = entry.occurrences.filter(o => nameKey(o.recipe_name) !== recipeKey);
+    }
+
+    const { language } = result;
+    for (const ingredient of result.unrecognized_ingredients || []) {
+      const name = ingredientName(ingredient);
+      if (!name) continue;
+      let entry = state.entries.find(e => e.name === name && e.language === language);
+      if (!entry) {
+        entry = { id: state.next_id++, name, language, status: 'open', occurrences: [], first_seen: now };
+        state.entries.push(entry);
+      } else if (entry.status === 'resolved') {
+        entry.status = 'open';
+        delete entry.resolution;
+      }
+      entry.occurrences.push({ recipe_name: recipe.recipe_name, ingredient });
+      entry.last_seen = now;
+    }
+
+    state.entries = state.entries.filter(e => e.status !== 'open' || e.occurrences.length);
+    if (state.entries.some(e => occursIn(e, recipeKey))) {
+      state.recipes[recipeKey] = { ...recipe, language };
+    } else {
+      delete state.recipes[recipeKey];
+    }
+  }
+
+  // Last processed input of every recipe the entry occurs in
+  function recipesFor(entry) {
+    const keys = [...new Set(entry.occurrences.map(o => nameKey(o.recipe_name)))];
+    return keys.map(key => state.recipes[key]).filter(Boolean);
+  }
+
+  /**
+   * Close an entry: `resolution.action` is `map`, `classify` (both
+   * `resolved`) or `ignore` (`ignored`).
+   */
+  async function resolve(id, resolution, user) {
+    const entry = get(id);
+    if (!entry) throw new HttpError(404, `Triage entry ${id} not found`);
+
+    entry.status = resolution.action === 'ignore' ? 'ignored' : 'resolved';
+    entry.resolution = {
+      ...resolution,
+      resolved_by: user || 'anonymous',
+      resolved_at: new Date().toISOString()
+    };
+    await save();
+    return entry;
+  }
+
+  return { load, save, list, get, record, recipesFor, resolve };
+}
+
+export { createTriageQueue };
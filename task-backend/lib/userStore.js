@@ -0,0 +1,161 @@
+// lib/userStore.js (ES Module)
+//
+// File-backed local user accounts. Passwords are stored as scrypt hashes
+// with a per-user salt. Roles are ordered: an admin can do everything a
+// reviewer can, and a reviewer everything an uploader can.
+//
+//   uploader - upload, process, print labels, export
+//   reviewer - plus overrides, approvals, knowledge base and cross-contact edits
+//   admin    - plus user accounts
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { HttpError } from './httpError.js';
+import { createJsonFile } from './jsonFile.js';
+
+const ROLES = ['uploader', 'reviewer', 'admin'];
+const MIN_PASSWORD_LENGTH = 8;
+
+const scrypt = promisify(crypto.scrypt);
+const nameKey = name => name.toString().trim().toLowerCase();
+
+// Whether `role` is at least `required`
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt:${salt}:${hash.toString('hex')}`;
+}
+
+async function checkPassword(password, stored) {
+  const [, salt, hash] = stored.split(':');
+  const actual = await scrypt(password, salt, 64);
+  return crypto.timingSafeEqual(actual, Buffer.from(hash, 'hex'));
+}
+
+function assertPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new HttpError(400, `"password" must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+function assertRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new HttpError(400, `"role" must be one of: ${ROLES.join(', ')}`);
+  }
+}
+
+// The account as the API shows it: never the password hash
+const publicUser = ({ password_hash, ...user }) => user;
+
+function createUserStore({ file }) {
+  const store = createJsonFile(file);
+  let state = { next_id: 1, users: [] };
+
+  /**
+   * Load the accounts. With none yet, create `admin` with `adminPassword`
+   * (or a random one) and return that password so it can be shown once.
+   */
+  async function load({ adminUsername = 'admin', adminPassword } = {}) {
+    state = await store.read(state);
+    if (state.users.length) return null;
+
+    const password = adminPassword || crypto.randomBytes(12).toString('base64url');
+    await create({ username: adminUsername, password, role: 'admin' });
+    return password;
+  }
+
+  function list() {
+    return state.users.map(publicUser);
+  }
+
+  function get(id) {
+    const user = state.users.find(u => u.id === Number(id));
+    return user ? publicUser(user) : null;
+  }
+
+  function findByName(username) {
+    const key = nameKey(username);
+    return state.users.find(u => nameKey(u.username) === key) || null;
+  }
+
+  // The account for a username and password, or null (unknown, wrong or disabled)
+  async function verify(username, password) {
+    if (typeof username !== 'string' || typeof password !== 'string') return null;
+    const user = findByName(username);
+    if (!user || user.disabled) return null;
+    return (await checkPassword(password, user.password_hash)) ? publicUser(user) : null;
+  }
+
+  async function create({ username, password, role }) {
+    if (typeof username !== 'string' || !/^[\w.@-]{2,64}$/.test(username.trim())) {
+      throw new HttpError(400, '"username" must be 2-64 letters, digits or . _ @ -');
+    }
+    assertPassword(password);
+    assertRole(role);
+    if (findByName(username)) {
+      throw new HttpError(409, `User "${username.trim()}" already exists`);
+    }
+
+    const user = {
+      id: state.next_id,
+      username: username.trim(),
+      role,
+      disabled: false,
+      password_hash: await hashPassword(password),
+      created_at: new Date().toISOString()
+    };
+    state.next_id++;
+    state.users.push(user);
+    await store.write(state);
+    return publicUser(user);
+  }
+
+  // Admins are never locked out: the last active admin keeps the role
+  function assertAdminRemains(before, after) {
+    const activeAdmins = state.users.filter(u => u.role === 'admin' && !u.disabled);
+    const losesAdmin = before.role === 'admin' && !before.disabled &&
+      (!after || after.role !== 'admin' || after.disabled);
+    if (losesAdmin && activeAdmins.length === 1) {
+      throw new HttpError(409, 'At least one active admin is required');
+    }
+  }
+
+  async function update(id, { role, password, disabled }) {
+    const before = state.users.find(u => u.id === Number(id));
+    if (!before) throw new HttpError(404, `User ${id} not found`);
+
+    const after = { ...before, updated_at: new Date().toISOString() };
+    if (role !== undefined) {
+      assertRole(role);
+      after.role = role;
+    }
+    if (disabled !== undefined) after.disabled = Boolean(disabled);
+    if (password !== undefined) {
+      assertPassword(password);
+      after.password_hash = await hashPassword(password);
+    }
+    assertAdminRemains(before, after);
+
+    state.users = state.users.map(u => (u.id === before.id ? after : u));
+    await store.write(state);
+    return publicUser(after);
+  }
+
+  async function remove(id) {
+    const before = state.users.find(u => u.id === Number(id));
+    if (!before) throw new HttpError(404, `User ${id} not found`);
+    assertAdminRemains(before, null);
+
+    state.users = state.users.filter(u => u.id !== before.id);
+    await store.write(state);
+    return publicUser(before);
+  }
+
+  return { load, list, get, findByName, verify, create, update, remove };
+}
+
+export { createUserStore, hasRole, ROLES };
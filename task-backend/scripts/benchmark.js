@@ -0,0 +1,125 @@
+// scripts/benchmark.js (ES Module)
+//
+// Compare batch processing strategies against a stubbed external source:
+//
+//   serial    - one recipe after another, one ingredient at a time
+//               (the old WebSocket path)
+//   unbounded - every recipe at once, one ingredient at a time each
+//               (the old Promise.all REST path)
+//   pipeline  - lib/pipeline.js: batch-wide dedupe, bounded concurrency
+//
+// Every strategy gets a fresh allergen source (same provider latency,
+// concurrency limit and in-memory cache), so differences come from how the
+// batch is scheduled. "first result" is when a client could show the first
+// recipe: the unbounded path only answers once everything is done.
+//
+// Usage: node scripts/benchmark.js [--recipes 2000] [--ingredients 8]
+//          [--unique 400] [--latency 20] [--lookup-concurrency 4]
+//          [--concurrency 8] [--only serial,unbounded,pipeline]
+
+import { createAllergenSource } from '../lib/allergenSource.js';
+import { processBatch } from '../lib/pipeline.js';
+import { sleep } from '../lib/concurrency.js';
+
+function option(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i === -1 ? fallback : process.argv[i + 1];
+}
+
+const RECIPES = Number(option('recipes', 2000));
+const INGREDIENTS = Number(option('ingredients', 8));
+const UNIQUE = Number(option('unique', 400));
+const LATENCY = Number(option('latency', 20));
+const LOOKUP_CONCURRENCY = Number(option('lookup-concurrency', 4));
+const CONCURRENCY = Number(option('concurrency', 8));
+const ONLY = option('only', 'serial,unbounded,pipeline').split(',');
+
+// Deterministic pseudo-random batch so runs are comparable
+function makeRecipes() {
+  let seed = 42;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  return Array.from({ length: RECIPES }, (_, r) => ({
+    recipe_name: `Recipe ${r + 1}`,
+    ingredients: Array.from({ length: INGREDIENTS }, () => `ingredient ${Math.floor(random() * UNIQUE)}`)
+  }));
+}
+
+// Stub provider: fixed latency, counts the requests that reach it
+function createStubSource() {
+  const stats = { requests: 0 };
+  const memory = new Map();
+  const provider = {
+    name: 'stub',
+    lookup: async ingredient => {
+      stats.requests++;
+      await sleep(LATENCY);
+      return { allergens: ingredient.endsWith('7') ? ['milk'] : [] };
+    }
+  };
+  const cache = {
+    get: key => (memory.has(key) ? { value: memory.get(key) } : null),
+    set: (key, value) => memory.set(key, value)
+  };
+  const source = createAllergenSource({ providers: [provider], cache, concurrency: LOOKUP_CONCURRENCY });
+  return { source, stats };
+}
+
+// Stand-in for processRecipe: every ingredient goes to the external source
+async function processRecipe(recipe, detect) {
+  const allergens = new Set();
+  for (const ingredient of recipe.ingredients) {
+    const result = await detect(ingredient);
+    result?.allergens?.forEach(a => allergens.add(a));
+  }
+  return { recipe_name: recipe.recipe_name, allergens: [...allergens] };
+}
+
+const STRATEGIES = {
+  serial: async (recipes, detect, onResult) => {
+    const results = [];
+    for (const recipe of recipes) {
+      results.push(await processRecipe(recipe, detect));
+      onResult();
+    }
+    return results;
+  },
+  unbounded: async (recipes, detect, onResult) => {
+    const results = await Promise.all(recipes.map(recipe => processRecipe(recipe, detect)));
+    onResult();
+    return results;
+  },
+  pipeline: (recipes, detect, onResult) =>
+    processBatch(recipes, { processRecipe, detect, concurrency: CONCURRENCY, onResult })
+};
+
+async function main() {
+  const recipes = makeRecipes();
+  console.log(
+    `${RECIPES} recipes x ${INGREDIENTS} ingredients (${UNIQUE} distinct), ` +
+    `${LATENCY}ms latency, lookup concurrency ${LOOKUP_CONCURRENCY}, pipeline concurrency ${CONCURRENCY}\n`
+  );
+
+  for (const name of ONLY) {
+    if (!STRATEGIES[name]) throw new Error(`Unknown strategy "${name}"`);
+    const { source, stats } = createStubSource();
+    const started = process.hrtime.bigint();
+    const elapsed = () => Number(process.hrtime.bigint() - started) / 1e6;
+    let first = null;
+    const results = await STRATEGIES[name](recipes, source.lookup, () => {
+      first ??= elapsed();
+    });
+    const ms = elapsed();
+
+    console.log(
+      `${name.padEnd(10)} ${ms.toFixed(0).padStart(7)} ms  ` +
+      `first result ${first.toFixed(0).padStart(6)} ms  ` +
+      `${(results.length / (ms / 1000)).toFixed(1).padStart(8)} recipes/s  ` +
+      `${stats.requests} provider requests`
+    );
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -4,11 +4,69 @@ import express from 'express';
 import http from 'http';
 import WebSocket, { WebSocketServer } from 'ws';
 import multer from 'multer';
-import xlsx from 'xlsx';
-import axios from 'axios';
 import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createIngredientMatcher, tokenize } from './lib/ingredientMatcher.js';
+import { DIETS, DIET_RULES, CERTIFIED_DIETS, dietCategories, classifyDiet } from './lib/dietary.js';
+import { createIngredientStore } from './lib/ingredientStore.js';
+import { SEED_INGREDIENTS } from './lib/seedIngredients.js';
+import {
+  CANONICAL_ALLERGENS,
+  REGULATORY_PROFILES,
+  canonicalAllergen,
+  canonicalCodes,
+  getProfile,
+  applyProfile
+} from './lib/regulatoryProfiles.js';
+import {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  ALLERGEN_NAMES,
+  isLanguage,
+  allergenName,
+  detectLanguage,
+  localizeResult
+} from './lib/languages.js';
+import { HttpError } from './lib/httpError.js';
+import { createAllergenSource } from './lib/allergenSource.js';
+import { createLookupCache } from './lib/lookupCache.js';
+import { createOpenFoodFactsProvider } from './lib/providers/openFoodFacts.js';
+import { createFixtureProvider } from './lib/providers/fixture.js';
+import { buildDetections, summarizeConfidence } from './lib/provenance.js';
+import { createReviewStore, reviewSummary } from './lib/reviewStore.js';
+import { createEquipmentStore } from './lib/equipmentStore.js';
+import { summarizePrecautions } from './lib/precautions.js';
+import { createRecipeLibrary, diffVersions } from './lib/recipeLibrary.js';
+import { createProductCatalog } from './lib/productCatalog.js';
+import { normalizeGtin } from './lib/gtin.js';
+import { createTriageQueue } from './lib/triageQueue.js';
+import { suggest } from './lib/fuzzyMatch.js';
+import { createUserStore, hasRole } from './lib/userStore.js';
+import { createAuth } from './lib/auth.js';
+import { createAuditLog } from './lib/auditLog.js';
+import { createJobManager } from './lib/jobs.js';
+import { processBatch, ORDERS } from './lib/pipeline.js';
+import { exportRecipes } from './lib/exporter.js';
+import { buildChart, renderChart } from './lib/allergenChart.js';
+import { parseExclusions, filterMenu } from './lib/guestMenu.js';
+import { parseRecipeWorkbook } from './lib/spreadsheet.js';
+import { validateImport, assertRecipesPayload } from './lib/importValidation.js';
+import {
+  createComponentIndex,
+  expandRecipe,
+  summarizeComponents,
+  pathKey,
+  PATH_SEPARATOR
+} from './lib/subRecipes.js';
+import { normalizeIngredient } from './lib/ingredientNormalizer.js';
+import { buildQuid } from './lib/quid.js';
+import {
+  resolveLabelSize,
+  buildLabel,
+  renderLabelsHtml,
+  renderLabelsPdf
+} from './lib/labels.js';
 
 // Fix __dirname in ES module
 const __filename = fileURLToPath(import.meta.url);
@@ -16,10 +74,26 @@ const __dirname = path.dirname(__filename);
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocketServer({ server });
+
+// Browser origins allowed to call the API and open the WebSocket
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:3000')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+// The handshake needs a valid session token: ws://host/?token=...
+const wsToken = req => new URL(req.url, 'http://localhost').searchParams.get('token');
+const wss = new WebSocketServer({
+  server,
+  verifyClient: ({ origin, req }, done) => {
+    if (origin && !CORS_ORIGINS.includes(origin)) return done(false, 403, 'Origin not allowed');
+    if (!auth.userFor(wsToken(req))) return done(false, 401, 'Sign in required');
+    done(true);
+  }
+});
 
 // Middleware
-app.use(cors());
+app.use(cors({ origin: CORS_ORIGINS }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -28,194 +102,1463 @@ const storage = multer.memoryStorage();
 const upload = multer({
   storage,
   fileFilter: (req, file, cb) => {
+    // Some clients send workbooks as application/octet-stream; trust the extension then
     if (
       file.mimetype ===
         'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
-      file.mimetype === 'application/vnd.ms-excel'
+      file.mimetype === 'application/vnd.ms-excel' ||
+      /\.xlsx?$/i.test(file.originalname)
     ) {
       cb(null, true);
     } else {
-      cb(new Error('Only Excel files are allowed'));
+      cb(new HttpError(400, 'Only Excel files (.xlsx, .xls) are allowed'));
     }
   },
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB
 });
 
-// Allergen database (fallback)
-const ALLERGEN_DATABASE = {
-  dough: ['gluten'], wheat: ['gluten'], flour: ['gluten'],
-  bread: ['gluten'], croutons: ['gluten'], pasta: ['gluten'],
-  barley: ['gluten'], rye: ['gluten'], oats: ['gluten'],
+// Ingredient knowledge base (seeded on first start)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const ingredientStore = createIngredientStore({
+  file: path.join(DATA_DIR, 'ingredients.json'),
+  seed: SEED_INGREDIENTS
+});
+await ingredientStore.load();
 
-  cheese: ['milk'], mozzarella: ['milk'], cheddar: ['milk'],
-  parmesan: ['milk'], milk: ['milk'], butter: ['milk'],
-  cream: ['milk'], yogurt: ['milk'], whey: ['milk'],
+// Reviewer overrides and approvals
+const reviewStore = createReviewStore({ file: path.join(DATA_DIR, 'reviews.json') });
+await reviewStore.load();
 
-  egg: ['egg'], eggs: ['egg'], mayonnaise: ['egg'],
+// Shared equipment and kitchen-wide cross-contact ("may contain")
+const equipmentStore = createEquipmentStore({ file: path.join(DATA_DIR, 'equipment.json') });
+await equipmentStore.load();
 
-  fish: ['fish'], salmon: ['fish'], tuna: ['fish'],
-  anchovies: ['fish'], cod: ['fish'], sardines: ['fish'],
+// Saved recipes and their versions
+const recipeLibrary = createRecipeLibrary({ file: path.join(DATA_DIR, 'recipes.json') });
+await recipeLibrary.load();
 
-  shrimp: ['shellfish'], crab: ['shellfish'], lobster: ['shellfish'],
-  prawns: ['shellfish'], oyster: ['shellfish'],
+// Packaged products by barcode, with their supplier spec-sheet allergens
+const productCatalog = createProductCatalog({ file: path.join(DATA_DIR, 'products.json') });
+await productCatalog.load();
 
-  peanut: ['peanuts'], peanuts: ['peanuts'],
+// Unrecognized ingredients across processed recipes, awaiting a decision
+const triageQueue = createTriageQueue({ file: path.join(DATA_DIR, 'triage.json') });
+await triageQueue.load();
 
-  almond: ['tree nuts'], walnut: ['tree nuts'], cashew: ['tree nuts'],
-  pistachio: ['tree nuts'], pecan: ['tree nuts'],
+// Local accounts; the first start creates an admin and prints its password once
+const userStore = createUserStore({ file: path.join(DATA_DIR, 'users.json') });
+const ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'admin';
+const generatedPassword = await userStore.load({
+  adminUsername: ADMIN_USERNAME,
+  adminPassword: process.env.ADMIN_PASSWORD
+});
+if (generatedPassword && !process.env.ADMIN_PASSWORD) {
+  console.log(`Created user "${ADMIN_USERNAME}" with password: ${generatedPassword}`);
+}
+const auth = createAuth({
+  users: userStore,
+  ttlMs: Number(process.env.SESSION_TTL_HOURS || 12) * 60 * 60 * 1000
+});
 
-  soy: ['soy'], tofu: ['soy'], 'soy sauce': ['soy'], edamame: ['soy'],
+// Who did what: append-only, hash-chained
+const auditLog = createAuditLog({ file: path.join(DATA_DIR, 'audit.log') });
+await auditLog.load();
+const audit = (user, action, target = null, details = {}) =>
+  auditLog.record({ user, action, target, details });
 
-  sesame: ['sesame'], tahini: ['sesame']
-};
+// One matcher per dictionary language, rebuilt whenever the knowledge base changes
+const matcherCache = new Map();
+function getIngredientMatcher(language = DEFAULT_LANGUAGE) {
+  const cached = matcherCache.get(language);
+  if (cached?.version === ingredientStore.version) return cached.matcher;
 
-// Parse Excel file
-function parseExcelFile(buffer) {
-  const workbook = xlsx.read(buffer, { type: 'buffer' });
-  const sheetName = workbook.SheetNames[0];
-  const worksheet = workbook.Sheets[sheetName];
-  const rows = xlsx.utils.sheet_to_json(worksheet, { header: 1 });
+  const matcher = createIngredientMatcher(ingredientStore.toDatabase(language), { language });
+  matcherCache.set(language, { version: ingredientStore.version, matcher });
+  return matcher;
+}
 
-  const recipes = [];
-  let currentRecipe = null;
+// Dictionary terms per language, for telling which language a sheet is in
+function languageVocabularies() {
+  return Object.fromEntries(Object.keys(LANGUAGES).map(language => [
+    language,
+    new Set(ingredientStore.list(language)
+      .flatMap(e => [e.name, ...e.synonyms])
+      .flatMap(term => tokenize(term).map(t => t.word)))
+  ]));
+}
 
-  rows.forEach((row, index) => {
-    if (index === 0) return;
+// External allergen providers, asked in order (ALLERGEN_PROVIDERS=fixture,openfoodfacts)
+const PROVIDERS = {
+  openfoodfacts: () => createOpenFoodFactsProvider(),
+  fixture: () => createFixtureProvider({
+    file: process.env.ALLERGEN_FIXTURES || path.join(__dirname, 'fixtures', 'allergens.json')
+  })
+};
 
-    const recipeName = row[0];
-    const ingredient = row[1];
+const providerNames = (process.env.ALLERGEN_PROVIDERS || 'openfoodfacts')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+for (const name of providerNames) {
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown allergen provider "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+}
 
-    if (recipeName?.toString().trim()) {
-      if (currentRecipe) recipes.push(currentRecipe);
+const lookupCache = createLookupCache({
+  file: path.join(DATA_DIR, 'lookup-cache.json'),
+  ttlMs: Number(process.env.LOOKUP_CACHE_TTL_HOURS || 168) * 60 * 60 * 1000
+});
+await lookupCache.load();
 
-      currentRecipe = {
-        recipe_name: recipeName.toString().trim(),
-        ingredients: ingredient ? [ingredient.toString().trim()] : []
-      };
-    } else if (ingredient && currentRecipe) {
-      currentRecipe.ingredients.push(ingredient.toString().trim());
+const allergenSource = createAllergenSource({
+  providers: providerNames.map(name => PROVIDERS[name]()),
+  cache: lookupCache,
+  concurrency: Number(process.env.LOOKUP_CONCURRENCY || 4)
+});
+
+// Packaged ingredient with a barcode: the product catalog first, then an
+// exact product lookup. `{ result }` when either knows the product, else
+// `{}` (or `{ errors }` when the lookup failed).
+async function detectProduct(ingredient, gtin) {
+  const entry = productCatalog.findByGtin(gtin);
+  let match;
+  if (entry) {
+    match = {
+      rule: 'catalog',
+      key: 'catalog',
+      allergens: entry.allergens,
+      may_contain: entry.may_contain,
+      product: {
+        name: entry.name,
+        code: entry.gtin,
+        brand: entry.brand || null,
+        supplier: entry.supplier || null,
+        spec_sheet: entry.spec_sheet || null
+      }
+    };
+  } else {
+    const external = await allergenSource.lookupBarcode(gtin);
+    if (!external || external.errors) return { errors: external?.errors };
+    match = {
+      rule: 'external',
+      key: external.provider,
+      allergens: external.allergens,
+      may_contain: external.may_contain || [],
+      provider: external.provider,
+      cached: external.cached,
+      product: external.product || { name: null, code: gtin },
+      barcode: gtin
+    };
+  }
+
+  const detected = [...new Set(match.allergens.map(canonicalAllergen))];
+  const matches = [{ ...match, term: ingredient, allergens: detected }];
+  return {
+    result: {
+      allergens: detected,
+      matches,
+      detections: buildDetections(ingredient, matches, detected),
+      may_contain: [...new Set(match.may_contain.map(canonicalAllergen))],
+      product: { ...match.product, source: match.rule === 'catalog' ? 'catalog' : match.provider }
     }
-  });
+  };
+}
+
+// Detect allergens (always reported as canonical codes) in an ingredient
+// written in `language`. With a `gtin` the product is looked up by barcode;
+// an unknown product falls back to the name.
+async function detectAllergens(ingredient, language = DEFAULT_LANGUAGE, gtin = null) {
+  if (gtin) {
+    const { result, errors } = await detectProduct(ingredient, gtin);
+    if (result) return result;
+    const byName = await detectAllergens(ingredient, language);
+    return errors ? { ...byName, errors: [...(byName.errors || []), ...errors] } : byName;
+  }
+
+  const { allergens, matches } = getIngredientMatcher(language).match(ingredient);
+
+  // Any local rule firing (including exceptions and negations) is authoritative
+  if (matches.length) {
+    const detected = [...new Set(allergens.map(canonicalAllergen))];
+    const mayContain = matches
+      .filter(m => m.rule === 'key')
+      .flatMap(m => (
+        ingredientStore.findByTerm(m.key, language) || ingredientStore.findByTerm(m.key)
+      )?.may_contain || []);
+    return {
+      allergens: detected,
+      matches,
+      detections: buildDetections(ingredient, matches, detected),
+      may_contain: [...new Set(mayContain.map(canonicalAllergen))]
+    };
+  }
+
+  const external = await allergenSource.lookup(ingredient, { language });
+  if (!external) return { allergens: [], matches: [], detections: [] };
+  if (external.errors) {
+    return { allergens: [], matches: [], detections: [], errors: external.errors };
+  }
 
-  if (currentRecipe) recipes.push(currentRecipe);
-  return recipes;
+  const detected = [...new Set(external.allergens.map(canonicalAllergen))];
+  const externalMatches = [{
+    term: ingredient,
+    key: external.provider,
+    rule: 'external',
+    allergens: detected,
+    provider: external.provider,
+    cached: external.cached,
+    product: external.product || null,
+    score: external.score
+  }];
+  return {
+    allergens: detected,
+    matches: externalMatches,
+    detections: buildDetections(ingredient, externalMatches, detected),
+    may_contain: [...new Set((external.may_contain || []).map(canonicalAllergen))]
+  };
 }
 
-// OpenFoodFacts API
-async function fetchFromOpenFoodFacts(ingredient) {
-  try {
-    const url = `https://world.openfoodfacts.org/cgi/search.pl?search_terms=${encodeURIComponent(
-      ingredient
-    )}&search_simple=1&action=process&json=1`;
-
-    const { data } = await axios.get(url, { timeout: 5000 });
-
-    if (data.products?.length) {
-      return (
-        data.products[0].allergens_tags?.map(tag =>
-          tag.replace('en:', '').replace(/-/g, ' ')
-        ) || null
-      );
-    }
-    return null;
-  } catch {
-    return null;
+// Allergens written in the notes the normalized name leaves out: "Chicken -
+// marinated in soy sauce", "Bread (see label, contains sesame)". Local rules
+// only; a note is never looked up externally. Returns null when the notes
+// name no allergen.
+function detectInNotes(ingredient, notes, language = DEFAULT_LANGUAGE) {
+  const matches = notes.flatMap(note => getIngredientMatcher(language).match(note).matches
+    .filter(m => m.rule !== 'negation')
+    .map(m => ({ ...m, note })));
+  const allergens = [...new Set(matches.flatMap(m => m.allergens).map(canonicalAllergen))];
+  if (!allergens.length) return null;
+  return { allergens, matches, detections: buildDetections(ingredient, matches, allergens) };
+}
+
+// Reviewer override replaces detection for that ingredient of that recipe
+function overrideResult(ingredient, override) {
+  const matches = [{
+    term: ingredient,
+    key: 'review',
+    rule: 'override',
+    allergens: override.allergens,
+    by: override.by,
+    at: override.at
+  }];
+  return {
+    allergens: override.allergens,
+    matches,
+    detections: buildDetections(ingredient, matches, override.allergens)
+  };
+}
+
+// Reject unknown languages (ingredient `language` or output `lang`)
+function assertLanguage(language, field = 'language') {
+  if (language !== undefined && !isLanguage(language)) {
+    throw new HttpError(
+      400,
+      `Unknown ${field} "${language}". Available: ${Object.keys(LANGUAGES).join(', ')}`
+    );
   }
 }
 
-// Detect allergens
-async function detectAllergens(ingredient) {
-  const lower = ingredient.toLowerCase();
-  const found = [];
+// Reject unknown regions before any work is done
+function assertRegion(region) {
+  if (region !== undefined && (typeof region !== 'string' || !getProfile(region))) {
+    throw new HttpError(
+      400,
+      `Unknown region "${region}". Available: ${Object.keys(REGULATORY_PROFILES).join(', ')}`
+    );
+  }
+}
 
-  for (const key in ALLERGEN_DATABASE) {
-    if (lower.includes(key)) {
-      found.push(...ALLERGEN_DATABASE[key]);
-    }
+// Saved (library) and approved recipes can be used as sub-recipes by later uploads
+function savedComponent(name) {
+  const saved = recipeLibrary.findByName(name);
+  if (saved) {
+    const { recipe_name, ingredients, equipment, language, certified } = recipeLibrary.summary(saved);
+    return { recipe_name, ingredients, equipment, language, certified, source: 'library' };
   }
 
-  if (found.length) return [...new Set(found)];
-  return (await fetchFromOpenFoodFacts(ingredient)) || [];
+  const review = reviewStore.get(name);
+  if (!review?.approved_snapshot) return null;
+  return {
+    recipe_name: review.recipe_name,
+    ingredients: review.approved_snapshot.ingredients,
+    source: 'approved'
+  };
+}
+
+// What changed since the recipe was last approved, compared in the
+// approved snapshot's region; null when nothing did (or it never was)
+function approvalChanges(review, ingredients, allergens) {
+  const snapshot = review?.approved_snapshot;
+  if (!snapshot) return null;
+
+  // Region-less results list implied codes; older snapshots may not
+  const current = {
+    ingredients,
+    allergens: snapshot.region ? applyProfile(snapshot.region, allergens).allergens : canonicalCodes(allergens)
+  };
+  const approved = snapshot.region ? snapshot : { ...snapshot, allergens: canonicalCodes(snapshot.allergens) };
+  const diff = diffVersions(approved, current);
+  return diff.changed ? { approved_at: review.approved_at, ...diff } : null;
+}
+
+// Canonical allergens of a processed recipe, whatever region it was run for
+function canonicalAllergens(result) {
+  return canonicalCodes(result.declarations
+    ? [...result.declarations.flatMap(d => d.sources), ...result.other_allergens]
+    : result.allergens);
+}
+
+// What the guest menu needs of a processed recipe, in canonical codes
+// whatever region it was run for (the sources of `may_contain` are canonical)
+function guestMenuEntry(result) {
+  return {
+    allergens: canonicalAllergens(result),
+    may_contain: [...new Set(result.may_contain_sources.map(s => s.allergen))],
+    may_contain_sources: result.may_contain_sources,
+    flagged_ingredients: result.flagged_ingredients,
+    unrecognized_ingredients: result.unrecognized_ingredients,
+    ...(result.lookup_errors && { lookup_errors: result.lookup_errors }),
+    dietary: result.dietary
+  };
+}
+
+// Store a processed recipe in the library; summary for the result
+async function saveToLibrary(recipe, result, user) {
+  const { recipe: saved, status, version, diff } = await recipeLibrary.save(
+    {
+      recipe_name: recipe.recipe_name,
+      ingredients: recipe.ingredients,
+      equipment: recipe.equipment,
+      language: recipe.language,
+      certified: recipe.certified
+    },
+    canonicalAllergens(result),
+    user,
+    'upload'
+  );
+  return { id: saved.id, status, version, diff };
 }
 
-// Process recipe
-async function processRecipe(recipe) {
+// Lookups as the pipeline shares them: `{ ingredient, language, gtin }`
+const detectLookup = ({ ingredient, language, gtin }) => detectAllergens(ingredient, language, gtin);
+const lookupKey = ({ ingredient, language, gtin }) => `${language}\u0000${gtin || ''}\u0000${ingredient}`;
+
+// Barcodes of packaged ingredients (`ingredient_details[i].gtin`), by owning
+// recipe and ingredient text. Bracketed items have none of their own. Like
+// the component index, the first recipe of a name wins.
+function barcodeIndex(recipes) {
+  const index = new Map();
+  const seen = new Set();
+  for (const recipe of recipes) {
+    if (seen.has(recipe.recipe_name)) continue;
+    seen.add(recipe.recipe_name);
+    recipe.ingredients.forEach((ingredient, i) => {
+      const gtin = recipe.ingredient_details?.[i]?.gtin;
+      if (gtin) index.set(`${recipe.recipe_name}\u0000${ingredient}`, normalizeGtin(gtin));
+    });
+  }
+  return (owner, ingredient) => index.get(`${owner}\u0000${ingredient}`) || null;
+}
+
+// Process recipe. `components` are other recipes (usually the rest of the
+// batch) that its ingredients may refer to as sub-recipes; `detect` is
+// replaced by the pipeline's shared, deduplicated lookups in batches.
+// Ingredients are read in the recipe's `language` (else `language`);
+// `lang` adds allergen names in that output language.
+async function processRecipe(recipe, {
+  region,
+  components = [],
+  detect = detectLookup,
+  language = DEFAULT_LANGUAGE,
+  lang
+} = {}) {
+  const recipeLanguage = recipe.language || language;
   const allergens = new Set();
   const flagged = {};
+  const detections = {};
   const unrecognized = [];
+  const lookupErrors = [];
+  const diet = [];
+
+  const precautions = [];
+  const unknownEquipment = [];
+  const products = {};
 
-  for (const ingredient of recipe.ingredients) {
-    const detected = await detectAllergens(ingredient);
+  const index = createComponentIndex([recipe, ...components], savedComponent);
+  const { leaves, components: subRecipes, cycles, normalized } = expandRecipe(recipe, index);
+  const barcodeOf = barcodeIndex([recipe, ...components]);
+
+  for (const { ingredient, name, notes, owner, language: leafLanguage, path, compound } of leaves) {
+    const key = pathKey(path);
+    const override = reviewStore.overrideFor(owner, ingredient);
+    const result = override
+      ? overrideResult(ingredient, override)
+      : await detect({
+        ingredient: name,
+        language: leafLanguage || recipeLanguage,
+        gtin: barcodeOf(owner, ingredient)
+      });
+    // The name decides whether the ingredient was recognized; its notes
+    // only add allergens
+    const noted = !override && detectInNotes(key, notes, leafLanguage || recipeLanguage);
+    const { matches, errors } = result;
+    const detected = noted ? [...new Set([...result.allergens, ...noted.allergens])] : result.allergens;
+    if (errors) lookupErrors.push({ ingredient: key, errors });
+    diet.push({
+      ingredient: key,
+      categories: dietCategories(name, detected, leafLanguage || recipeLanguage)
+    });
+    for (const allergen of result.may_contain || []) {
+      precautions.push({ allergen, source: 'ingredient', name: key });
+    }
+    if (result.product) products[key] = result.product;
 
     if (detected.length) {
       detected.forEach(a => allergens.add(a));
-      flagged[ingredient] = detected;
-    } else {
-      unrecognized.push(ingredient);
+      flagged[key] = detected;
+      detections[key] = [...(result.detections || []), ...(noted ? noted.detections : [])];
+    } else if (!matches.length && !compound) {
+      // A compound ingredient is judged by the items it lists
+      unrecognized.push(key);
     }
   }
 
-  return {
+  // Equipment of the recipe and of every sub-recipe it uses
+  for (const name of [recipe, ...subRecipes].flatMap(r => r.equipment || [])) {
+    const entry = equipmentStore.findByName(name);
+    if (!entry) {
+      if (!unknownEquipment.includes(name)) unknownEquipment.push(name);
+      continue;
+    }
+    entry.may_contain.forEach(allergen =>
+      precautions.push({ allergen, source: 'equipment', name: entry.name })
+    );
+  }
+  for (const entry of equipmentStore.kitchenWide()) {
+    entry.may_contain.forEach(allergen =>
+      precautions.push({ allergen, source: 'kitchen', name: entry.name })
+    );
+  }
+  for (const allergen of recipe.may_contain || []) {
+    precautions.push({ allergen, source: 'recipe', name: recipe.recipe_name });
+  }
+
+  const review = reviewStore.get(recipe.recipe_name);
+  const changedSinceApproval = approvalChanges(review, recipe.ingredients, [...allergens]);
+
+  let message = unrecognized.length
+    ? 'Some ingredients were not recognized.'
+    : 'Processed successfully.';
+  if (cycles.length) message = `Circular sub-recipe references found. ${message}`;
+
+  // Only ingredients whose text was more than a name
+  const normalizedIngredients = Object.fromEntries(
+    Object.entries(normalized).filter(([, n]) => n.name !== n.original)
+  );
+
+  const result = {
     recipe_name: recipe.recipe_name,
-    allergens: [...allergens],
+    language: recipeLanguage,
+    allergens: canonicalCodes([...allergens]),
+    ...(region && applyProfile(region, [...allergens])),
+    ...summarizePrecautions(precautions, [...allergens], region),
+    ...(unknownEquipment.length && { unknown_equipment: unknownEquipment }),
+    dietary: classifyDiet(diet, { unrecognized, certified: recipe.certified }),
     flagged_ingredients: flagged,
+    detections,
+    normalized_ingredients: normalizedIngredients,
+    ...(Object.keys(products).length && { products }),
+    quid: buildQuid(recipe),
+    ...summarizeConfidence(detections),
     unrecognized_ingredients: unrecognized,
-    message: unrecognized.length
-      ? 'Some ingredients were not recognized.'
-      : 'Processed successfully.'
+    sub_recipes: summarizeComponents(subRecipes, flagged),
+    ...(cycles.length && { cycles }),
+    ...(lookupErrors.length && { lookup_errors: lookupErrors }),
+    review: reviewSummary(review),
+    ...(changedSinceApproval && { changed_since_approval: changedSinceApproval }),
+    message
   };
+  return lang ? localizeResult(result, lang) : result;
 }
 
-// WebSocket
-wss.on('connection', ws => {
-  ws.on('message', async msg => {
-    const data = JSON.parse(msg);
-
-    if (data.type === 'PROCESS_RECIPES') {
-      const results = [];
+const PIPELINE_CONCURRENCY = Number(process.env.PIPELINE_CONCURRENCY || 8);
 
-      for (let i = 0; i < data.recipes.length; i++) {
-        ws.send(JSON.stringify({
-          type: 'PROGRESS',
-          current: i + 1,
-          total: data.recipes.length
+/**
+ * Process a batch of recipes through the shared pipeline. The whole batch
+ * (plus `components`) is available for sub-recipes; `save` stores each
+ * result in the library before it is reported to `onResult`; `triage`
+ * records its unrecognized ingredients in the triage queue.
+ */
+function runBatch(recipes, {
+  region,
+  language,
+  lang,
+  components = [],
+  save,
+  triage,
+  user,
+  order,
+  onResult = () => {},
+  isCancelled
+} = {}) {
+  const available = [...recipes, ...components];
+  const barcodeOf = barcodeIndex(available);
+  const batch = processBatch(recipes, {
+    processRecipe: (recipe, detect) =>
+      processRecipe(recipe, { region, language, lang, components: available, detect }),
+    // Leaf ingredients, including those inside sub-recipes, without overrides
+    ingredientsOf: recipe => {
+      const index = createComponentIndex([recipe, ...available], savedComponent);
+      return expandRecipe(recipe, index).leaves
+        .filter(leaf => !reviewStore.overrideFor(leaf.owner, leaf.ingredient))
+        .map(leaf => ({
+          ingredient: leaf.name,
+          language: leaf.language || recipe.language || language || DEFAULT_LANGUAGE,
+          gtin: barcodeOf(leaf.owner, leaf.ingredient)
         }));
+    },
+    detect: detectLookup,
+    lookupKey,
+    concurrency: PIPELINE_CONCURRENCY,
+    order,
+    isCancelled,
+    onResult: async (index, result) => {
+      if (save) result.library = await saveToLibrary(recipes[index], result, user);
+      if (triage) triageQueue.record(recipes[index], result);
+      return onResult(index, result);
+    }
+  });
+  // The queue is written once per batch, cancelled or not
+  return triage ? batch.finally(() => triageQueue.save()) : batch;
+}
+
+// Reject unknown result orders before any work is done
+function assertOrder(order) {
+  if (order !== undefined && !ORDERS.includes(order)) {
+    throw new HttpError(400, `Unknown order "${order}". Use ${ORDERS.join(' or ')}`);
+  }
+}
 
-        const result = await processRecipe(data.recipes[i]);
-        results.push(result);
+// Batch processing jobs, shared by the WebSocket and REST APIs
+const jobManager = createJobManager({
+  runJob: (recipes, options, hooks) => runBatch(recipes, { ...options, ...hooks, triage: true })
+});
 
-        ws.send(JSON.stringify({
-          type: 'RECIPE_RESULT',
-          index: i,
-          result
-        }));
-      }
+// Audit entry for a started job
+function auditJob(user, job, { recipes, region, save }) {
+  return audit(user, 'process', recipes.map(r => r.recipe_name).join(', '), {
+    job_id: job.id,
+    recipes: recipes.length,
+    region: region || null,
+    save: Boolean(save)
+  });
+}
+
+// Validate a processing request and start its job
+function submitJob({ recipes, region, language, lang, save, user, order }) {
+  assertRegion(region);
+  assertLanguage(language);
+  assertLanguage(lang, 'lang');
+  assertOrder(order);
+  assertRecipesPayload(recipes);
+  return jobManager.submit(recipes, { region, language, lang, save: Boolean(save), user, order }, user);
+}
 
-      ws.send(JSON.stringify({ type: 'COMPLETE', recipes: results }));
+// A job is seen and cancelled by the account that started it, or an admin
+function ownJob(id, user) {
+  const job = jobManager.get(id);
+  if (job.owner !== user.username && !hasRole(user.role, 'admin')) {
+    throw new HttpError(403, `Job ${id} was started by another user`);
+  }
+  return job;
+}
+
+// Re-run one edited recipe right away, outside the job queue. The rest of
+// the batch comes as `components` so its sub-recipes still resolve.
+async function reprocessRecipe({ recipe, components, region, language, lang, save, user }) {
+  assertRegion(region);
+  assertLanguage(language);
+  assertLanguage(lang, 'lang');
+  assertRecipesPayload([recipe]);
+
+  const [result] = await runBatch([recipe], {
+    region,
+    language,
+    lang,
+    components: extraComponents({ components }),
+    save: Boolean(save),
+    triage: true,
+    user: user.username
+  });
+  await audit(user, 'process', recipe.recipe_name, { recipes: 1, region: region || null, save: Boolean(save) });
+  return result;
+}
+
+// WebSocket (signed in at the handshake; the session is re-checked per message)
+wss.on('connection', (ws, req) => {
+  const token = wsToken(req);
+  const subscriptions = new Map();
+  const send = message => {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+  };
+  const subscribe = (jobId, afterSeq) => {
+    subscriptions.get(jobId)?.();
+    subscriptions.set(jobId, jobManager.subscribe(jobId, send, afterSeq));
+  };
+
+  ws.on('message', msg => {
+    let data;
+    try {
+      data = JSON.parse(msg);
+    } catch {
+      send({ type: 'ERROR', message: 'Message must be valid JSON' });
+      return;
+    }
+
+    const user = auth.userFor(token);
+    if (!user) {
+      send({ type: 'ERROR', message: 'Session expired. Sign in again' });
+      ws.close(4401, 'Sign in required');
+      return;
     }
+
+    try {
+      switch (data?.type) {
+        case 'PROCESS_RECIPES': {
+          const job = submitJob({ ...data, user: user.username });
+          send({ type: 'JOB_CREATED', job_id: job.id, total: job.total });
+          subscribe(job.id, 0);
+          auditJob(user, job, data).catch(err => console.error('Audit failed:', err));
+          break;
+        }
+        // One recipe after an edit; answered with RECIPE_UPDATED carrying the
+        // client's `request_id` (and `index`) so stale answers can be dropped
+        case 'PROCESS_RECIPE': {
+          const reply = { request_id: data.request_id, index: data.index };
+          reprocessRecipe({ ...data, user })
+            .then(result => send({ type: 'RECIPE_UPDATED', ...reply, result }))
+            .catch(err => send({
+              type: 'ERROR',
+              ...reply,
+              message: err.message,
+              ...(err.details && { details: err.details })
+            }));
+          break;
+        }
+        // Resubscribe after a reconnect; events after `after_seq` are replayed
+        case 'SUBSCRIBE':
+          ownJob(data.job_id, user);
+          subscribe(data.job_id, Number(data.after_seq) || 0);
+          break;
+        case 'CANCEL':
+          ownJob(data.job_id, user);
+          jobManager.cancel(data.job_id);
+          audit(user, 'job.cancel', data.job_id).catch(err => console.error('Audit failed:', err));
+          break;
+        default:
+          send({ type: 'ERROR', message: `Unknown message type "${data?.type}"` });
+      }
+    } catch (err) {
+      send({
+        type: 'ERROR',
+        message: err.message,
+        ...(data?.job_id && { job_id: data.job_id }),
+        ...(err.details && { details: err.details })
+      });
+    }
+  });
+
+  ws.on('close', () => {
+    for (const unsubscribe of subscriptions.values()) unsubscribe();
   });
 });
 
 // REST APIs
+const asyncRoute = fn => (req, res, next) => fn(req, res, next).catch(next);
+const requestUser = req => req.user?.username;
+const { requireRole } = auth;
+
+// Everything else needs a session ("Authorization: Bearer <token>") and at
+// least the uploader role; routes that need more say so
+const PUBLIC_ROUTES = new Set([
+  'GET /api/health',
+  'POST /api/auth/login',
+  'GET /api/allergens/list',
+  'GET /api/diets',
+  'GET /api/languages',
+  'GET /api/regions',
+  'GET /api/menu'
+]);
+app.use('/api', auth.authenticate, (req, res, next) => {
+  if (PUBLIC_ROUTES.has(`${req.method} ${req.baseUrl}${req.path}`)) return next();
+  requireRole('uploader')(req, res, next);
+});
+
+// Optional `components`: recipes that are not processed themselves but can
+// be referenced as sub-recipes (e.g. the rest of the upload)
+function extraComponents(body) {
+  if (body.components === undefined) return [];
+  assertRecipesPayload(body.components);
+  return body.components;
+}
+
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
-app.post('/api/upload', upload.single('file'), (req, res) => {
-  const recipes = parseExcelFile(req.file.buffer);
-  res.json({ success: true, recipes });
+// Sessions
+
+app.post('/api/auth/login', asyncRoute(async (req, res) => {
+  const { username, password } = req.body;
+  try {
+    const session = await auth.login(username, password);
+    await audit(session.user, 'auth.login', session.user.username);
+    res.json(session);
+  } catch (err) {
+    if (err.status === 401) await audit(null, 'auth.login_failed', String(username ?? ''));
+    throw err;
+  }
+}));
+
+app.post('/api/auth/logout', asyncRoute(async (req, res) => {
+  auth.logout(req.token);
+  await audit(req.user, 'auth.logout', req.user.username);
+  res.json({ success: true });
+}));
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user });
+});
+
+// Changing the password ends every session of the account; the response
+// carries a fresh one
+app.put('/api/auth/password', asyncRoute(async (req, res) => {
+  const { current_password, password } = req.body;
+  if (!await userStore.verify(req.user.username, current_password)) {
+    throw new HttpError(400, '"current_password" is incorrect');
+  }
+  await userStore.update(req.user.id, { password });
+  auth.revokeUser(req.user.id);
+  await audit(req.user, 'user.password', req.user.username);
+  res.json(await auth.login(req.user.username, password));
+}));
+
+// User accounts (admin)
+
+app.get('/api/users', requireRole('admin'), (req, res) => {
+  res.json({ users: userStore.list() });
 });
 
-app.post('/api/process', async (req, res) => {
-  const results = await Promise.all(
-    req.body.recipes.map(processRecipe)
-  );
+app.post('/api/users', requireRole('admin'), asyncRoute(async (req, res) => {
+  const user = await userStore.create(req.body);
+  await audit(req.user, 'user.create', user.username, { role: user.role });
+  res.status(201).json({ user });
+}));
+
+// { role, password, disabled }; a new password or disabling signs the user out
+app.put('/api/users/:id', requireRole('admin'), asyncRoute(async (req, res) => {
+  const { role, password, disabled } = req.body;
+  const user = await userStore.update(req.params.id, { role, password, disabled });
+  if (password !== undefined || user.disabled) auth.revokeUser(user.id);
+  await audit(req.user, 'user.update', user.username, {
+    ...(role !== undefined && { role }),
+    ...(disabled !== undefined && { disabled: user.disabled }),
+    ...(password !== undefined && { password_changed: true })
+  });
+  res.json({ user });
+}));
+
+app.delete('/api/users/:id', requireRole('admin'), asyncRoute(async (req, res) => {
+  const user = await userStore.remove(req.params.id);
+  auth.revokeUser(user.id);
+  await audit(req.user, 'user.delete', user.username);
+  res.json({ user });
+}));
+
+// Audit log (?action=review.approve or a prefix like review.&user=&target=&since=&until=&limit=&offset=)
+
+const AUDIT_FILTERS = ['action', 'user', 'target', 'since', 'until', 'limit', 'offset'];
+
+app.get('/api/audit', requireRole('reviewer'), (req, res) => {
+  // A repeated (?user=a&user=b) or nested parameter arrives as an array or object
+  const invalid = AUDIT_FILTERS.filter(name => req.query[name] !== undefined && typeof req.query[name] !== 'string');
+  if (invalid.length) {
+    throw new HttpError(400, `${invalid.map(name => `"${name}"`).join(', ')} must be given once, as text`);
+  }
+  const filters = Object.fromEntries(AUDIT_FILTERS.map(name => [name, req.query[name]]));
+  res.json(auditLog.query(filters));
+});
+
+// Recomputes the hash chain to detect edited or removed entries
+app.get('/api/audit/verify', requireRole('admin'), (req, res) => {
+  res.json(auditLog.verify());
+});
+
+/**
+ * Ingredient language of every selected sheet: its `sheet_options` language,
+ * else the upload's `language`, else (`auto`) detected from its ingredients.
+ * Each recipe takes its sheet's language.
+ */
+function assignLanguages(recipes, workbook, options) {
+  const vocabularies = languageVocabularies();
+  for (const sheet of workbook.sheets) {
+    if (!workbook.selected_sheets.includes(sheet.name)) continue;
+
+    const requested = options.sheet_options?.[sheet.name]?.language ?? options.language ?? 'auto';
+    const own = recipes.filter(r => r.sheet === sheet.name);
+    sheet.detected_language = detectLanguage(own.flatMap(r => r.ingredients), vocabularies);
+    sheet.language = requested === 'auto' ? sheet.detected_language : requested;
+    own.forEach(recipe => {
+      recipe.language = sheet.language;
+    });
+  }
+}
+
+// Optional `options` form field (JSON): { sheets, sheet_options, language } — see
+// lib/spreadsheet.js; `language` (also per sheet) is a dictionary language or "auto".
+// `validation` reports row-level errors (which block processing) and warnings
+app.post('/api/upload', upload.single('file'), asyncRoute(async (req, res) => {
+  if (!req.file) {
+    throw new HttpError(400, 'No file uploaded. Send the workbook in the "file" field');
+  }
+
+  let options = {};
+  if (req.body.options) {
+    try {
+      options = JSON.parse(req.body.options);
+    } catch {
+      throw new HttpError(400, '"options" must be valid JSON');
+    }
+  }
+  for (const language of [options.language, ...Object.values(options.sheet_options || {}).map(o => o?.language)]) {
+    if (language !== 'auto') assertLanguage(language);
+  }
+
+  const { recipes, issues, workbook } = parseRecipeWorkbook(req.file.buffer, options);
+  assignLanguages(recipes, workbook, options);
+  const validation = validateImport(recipes, issues);
+  await audit(req.user, 'upload', req.file.originalname, {
+    recipes: recipes.length,
+    sheets: workbook.selected_sheets,
+    errors: validation.errors.length
+  });
+  res.json({
+    success: validation.valid,
+    recipes,
+    count: recipes.length,
+    message: validation.valid
+      ? `Successfully parsed ${recipes.length} recipe(s)`
+      : `Parsed ${recipes.length} recipe(s) with ${validation.errors.length} error(s)`,
+    validation,
+    workbook
+  });
+}));
+
+// Re-check recipes edited after the upload. Row problems found while reading
+// the sheet are not repeated: the edited recipes are what will be processed.
+app.post('/api/upload/validate', (req, res) => {
+  assertRecipesPayload(req.body.recipes);
+  res.json({ validation: validateImport(req.body.recipes) });
+});
+
+// `language`: ingredient language for recipes without their own;
+// `lang`: output language for allergen names
+app.post('/api/process', asyncRoute(async (req, res) => {
+  const region = req.body.region ?? req.query.region;
+  const { language } = req.body;
+  const lang = req.body.lang ?? req.query.lang;
+  assertRegion(region);
+  assertLanguage(language);
+  assertLanguage(lang, 'lang');
+  assertRecipesPayload(req.body.recipes);
+
+  const results = await runBatch(req.body.recipes, {
+    region,
+    language,
+    lang,
+    components: extraComponents(req.body),
+    save: req.body.save,
+    triage: true,
+    user: requestUser(req)
+  });
+  await audit(req.user, 'process', req.body.recipes.map(r => r.recipe_name).join(', '), {
+    recipes: results.length,
+    region: region || null,
+    save: Boolean(req.body.save)
+  });
   res.json({ recipes: results });
+}));
+
+// ?language= is the ingredient's language, ?lang= adds allergen names in that
+// language, ?gtin= looks the product up by barcode first
+app.get('/api/allergen/:ingredient', asyncRoute(async (req, res) => {
+  const { language = DEFAULT_LANGUAGE, lang } = req.query;
+  assertLanguage(language);
+  assertLanguage(lang, 'lang');
+  const gtin = req.query.gtin ? normalizeGtin(req.query.gtin) : null;
+
+  const { allergens, matches, detections, errors, may_contain, product } =
+    await detectAllergens(req.params.ingredient, language, gtin);
+  res.json({
+    ingredient: req.params.ingredient,
+    language,
+    allergens,
+    ...(lang && { allergen_names: localizeResult({ allergens }, lang).allergen_names }),
+    ...(may_contain?.length && { may_contain }),
+    ...(product && { product }),
+    matches,
+    detections,
+    found: allergens.length > 0,
+    ...(errors && { errors })
+  });
+}));
+
+app.get('/api/allergens/list', (req, res) => {
+  res.json({ allergens: CANONICAL_ALLERGENS, count: CANONICAL_ALLERGENS.length });
+});
+
+// Diets every processed recipe is classified for, with the rules that decide them
+app.get('/api/diets', (req, res) => {
+  res.json({
+    diets: Object.entries(DIETS).map(([code, name]) => ({
+      code,
+      name,
+      rules: DIET_RULES[code],
+      certification_required: CERTIFIED_DIETS.includes(code)
+    }))
+  });
+});
+
+// Dictionary / output languages and every allergen code's name in each
+app.get('/api/languages', (req, res) => {
+  res.json({
+    languages: Object.entries(LANGUAGES).map(([code, name]) => ({
+      code,
+      name,
+      entries: ingredientStore.list(code).length
+    })),
+    default: DEFAULT_LANGUAGE,
+    allergen_names: ALLERGEN_NAMES
+  });
+});
+
+app.get('/api/regions', (req, res) => {
+  res.json({
+    regions: Object.entries(REGULATORY_PROFILES).map(([code, profile]) => ({
+      code,
+      ...profile
+    }))
+  });
+});
+
+// Ingredient knowledge base CRUD
+
+// ?language= lists one dictionary
+app.get('/api/ingredients', (req, res) => {
+  assertLanguage(req.query.language);
+  res.json({ ingredients: ingredientStore.list(req.query.language) });
+});
+
+app.get('/api/ingredients/history', (req, res) => {
+  res.json({ history: ingredientStore.history() });
+});
+
+app.get('/api/ingredients/:id', (req, res) => {
+  const ingredient = ingredientStore.get(req.params.id);
+  if (!ingredient) throw new HttpError(404, `Ingredient ${req.params.id} not found`);
+  res.json({ ingredient });
+});
+
+app.get('/api/ingredients/:id/history', (req, res) => {
+  res.json({ history: ingredientStore.history(req.params.id) });
+});
+
+app.post('/api/ingredients', requireRole('reviewer'), asyncRoute(async (req, res) => {
+  const ingredient = await ingredientStore.create(req.body, requestUser(req));
+  await audit(req.user, 'ingredient.create', ingredient.name, { id: ingredient.id, allergens: ingredient.allergens });
+  res.status(201).json({ ingredient });
+}));
+
+app.put('/api/ingredients/:id', requireRole('reviewer'), asyncRoute(async (req, res) => {
+  const ingredient = await ingredientStore.update(req.params.id, req.body, requestUser(req));
+  await audit(req.user, 'ingredient.update', ingredient.name, { id: ingredient.id, changes: req.body });
+  res.json({ ingredient });
+}));
+
+app.delete('/api/ingredients/:id', requireRole('reviewer'), asyncRoute(async (req, res) => {
+  const ingredient = await ingredientStore.remove(req.params.id, requestUser(req));
+  await audit(req.user, 'ingredient.delete', ingredient.name, { id: ingredient.id });
+  res.json({ ingredient });
+}));
+
+// Batch jobs: the same processing as the WebSocket, for REST clients
+
+// Admins see every job, everyone else their own
+app.get('/api/jobs', (req, res) => {
+  res.json({ jobs: jobManager.list(hasRole(req.user.role, 'admin') ? undefined : req.user.username) });
+});
+
+app.post('/api/jobs', asyncRoute(async (req, res) => {
+  const job = submitJob({ ...req.body, user: requestUser(req) });
+  await auditJob(req.user, job, req.body);
+  res.status(202).json({ job: jobManager.summary(job, { results: false }) });
+}));
+
+app.get('/api/jobs/:id', (req, res) => {
+  res.json({ job: jobManager.summary(ownJob(req.params.id, req.user)) });
+});
+
+app.post('/api/jobs/:id/cancel', asyncRoute(async (req, res) => {
+  const job = jobManager.cancel(ownJob(req.params.id, req.user).id);
+  await audit(req.user, 'job.cancel', job.id);
+  res.json({ job: jobManager.summary(job) });
+}));
+
+// Recipe library: every save is processed so versions record their allergens
+
+app.get('/api/recipes', (req, res) => {
+  res.json({ recipes: recipeLibrary.list() });
+});
+
+app.get('/api/recipes/:id', (req, res) => {
+  const recipe = recipeLibrary.get(req.params.id);
+  if (!recipe) throw new HttpError(404, `Recipe ${req.params.id} not found`);
+  res.json({ recipe });
+});
+
+// ?from=&to= version numbers (default: previous -> current)
+app.get('/api/recipes/:id/diff', (req, res) => {
+  res.json({ diff: recipeLibrary.diff(req.params.id, req.query.from, req.query.to) });
+});
+
+app.post('/api/recipes', asyncRoute(async (req, res) => {
+  assertRecipesPayload([req.body]);
+  const result = await processRecipe(req.body);
+  const recipe = await recipeLibrary.create(req.body, canonicalAllergens(result), requestUser(req));
+  await audit(req.user, 'recipe.create', recipe.recipe_name, { id: recipe.id });
+  res.status(201).json({ recipe });
+}));
+
+app.put('/api/recipes/:id', asyncRoute(async (req, res) => {
+  const existing = recipeLibrary.get(req.params.id);
+  if (!existing) throw new HttpError(404, `Recipe ${req.params.id} not found`);
+
+  const merged = { ...recipeLibrary.summary(existing), ...req.body };
+  assertRecipesPayload([merged]);
+  const result = await processRecipe(merged);
+  const { recipe, status, version, diff } = await recipeLibrary.addVersion(
+    existing.id,
+    req.body,
+    canonicalAllergens(result),
+    requestUser(req)
+  );
+  await audit(req.user, 'recipe.update', recipe.recipe_name, { id: recipe.id, status, version });
+  res.json({ recipe, status, version, diff });
+}));
+
+app.delete('/api/recipes/:id', requireRole('reviewer'), asyncRoute(async (req, res) => {
+  const recipe = await recipeLibrary.remove(req.params.id);
+  await audit(req.user, 'recipe.delete', recipe.recipe_name, { id: recipe.id });
+  res.json({ recipe });
+}));
+
+// Guest allergen filter. GET lists the approved library recipes (below);
+// POST processes the posted `recipes` as they stand now, overrides included.
+function sendMenu(res, results, { exclude, lang }) {
+  const excluded = parseExclusions(exclude);
+  assertLanguage(lang, 'lang');
+
+  const menu = filterMenu(results, excluded);
+  res.json({
+    exclude: excluded,
+    ...menu,
+    counts: Object.fromEntries(Object.entries(menu).map(([group, list]) => [group, list.length])),
+    ...(lang && {
+      allergen_names: Object.fromEntries(CANONICAL_ALLERGENS.map(code => [code, allergenName(code, lang)]))
+    })
+  });
+}
+
+// Public: nothing is processed. Library recipes are listed as a reviewer
+// approved them, and only while their ingredients are still the approved ones.
+app.get('/api/menu', (req, res) => {
+  const results = recipeLibrary.list().flatMap(({ recipe_name, ingredients }) => {
+    const review = reviewStore.get(recipe_name);
+    const snapshot = review?.status === 'approved' && review.approved_snapshot;
+    if (!snapshot?.menu) return [];
+    if (diffVersions({ ingredients: snapshot.ingredients, allergens: [] }, { ingredients, allergens: [] }).changed) {
+      return [];
+    }
+    return [{ recipe_name, ...snapshot.menu, review: reviewSummary(review) }];
+  });
+  sendMenu(res, results, req.query);
+});
+
+app.post('/api/menu', asyncRoute(async (req, res) => {
+  assertRecipesPayload(req.body.recipes);
+  const results = await runBatch(req.body.recipes, { components: extraComponents(req.body) });
+  sendMenu(res, results, { exclude: req.body.exclude, lang: req.body.lang ?? req.query.lang });
+}));
+
+// Cross-contact register: shared equipment and kitchen-wide precautions
+
+app.get('/api/equipment', (req, res) => {
+  res.json({ equipment: equipmentStore.list() });
+});
+
+app.post('/api/equipment', requireRole('reviewer'), asyncRoute(async (req, res) => {
+  const equipment = await equipmentStore.create(req.body);
+  await audit(req.user, 'equipment.create', equipment.name, { id: equipment.id });
+  res.status(201).json({ equipment });
+}));
+
+app.put('/api/equipment/:id', requireRole('reviewer'), asyncRoute(async (req, res) => {
+  const equipment = await equipmentStore.update(req.params.id, req.body);
+  await audit(req.user, 'equipment.update', equipment.name, { id: equipment.id, changes: req.body });
+  res.json({ equipment });
+}));
+
+app.delete('/api/equipment/:id', requireRole('reviewer'), asyncRoute(async (req, res) => {
+  const equipment = await equipmentStore.remove(req.params.id);
+  await audit(req.user, 'equipment.delete', equipment.name, { id: equipment.id });
+  res.json({ equipment });
+}));
+
+// Product catalog: packaged products by barcode with their spec-sheet allergens
+
+// ?q= searches name, brand, supplier and barcode
+app.get('/api/products', (req, res) => {
+  res.json({ products: productCatalog.list(req.query.q) });
+});
+
+// The product behind a barcode: the catalog entry, else the external sources
+app.get('/api/products/barcode/:gtin', asyncRoute(async (req, res) => {
+  const gtin = normalizeGtin(req.params.gtin);
+  const { result, errors } = await detectProduct(gtin, gtin);
+  if (!result) {
+    throw errors
+      ? new HttpError(502, `Barcode lookup failed for ${gtin}`, errors)
+      : new HttpError(404, `No product found for barcode ${gtin}`);
+  }
+  res.json({
+    gtin,
+    product: result.product,
+    allergens: result.allergens,
+    may_contain: result.may_contain,
+    detections: result.detections
+  });
+}));
+
+app.get('/api/products/:id', (req, res) => {
+  const product = productCatalog.get(req.params.id);
+  if (!product) throw new HttpError(404, `Product ${req.params.id} not found`);
+  res.json({ product });
+});
+
+app.post('/api/products', requireRole('reviewer'), asyncRoute(async (req, res) => {
+  const product = await productCatalog.create(req.body, requestUser(req));
+  await audit(req.user, 'product.create', product.gtin, { id: product.id, name: product.name, allergens: product.allergens });
+  res.status(201).json({ product });
+}));
+
+app.put('/api/products/:id', requireRole('reviewer'), asyncRoute(async (req, res) => {
+  const product = await productCatalog.update(req.params.id, req.body, requestUser(req));
+  await audit(req.user, 'product.update', product.gtin, { id: product.id, changes: req.body });
+  res.json({ product });
+}));
+
+app.delete('/api/products/:id', requireRole('reviewer'), asyncRoute(async (req, res) => {
+  const product = await productCatalog.remove(req.params.id);
+  await audit(req.user, 'product.delete', product.gtin, { id: product.id, name: product.name });
+  res.json({ product });
+}));
+
+// Triage queue: unrecognized ingredients across processed recipes
+
+const TRIAGE_ACTIONS = ['map', 'classify', 'ignore'];
+
+// Terms an unrecognized name may have meant: its dictionary and English,
+// which every dictionary includes
+function knownTerms(language) {
+  return [...new Set([DEFAULT_LANGUAGE, language])]
+    .flatMap(l => ingredientStore.list(l))
+    .flatMap(entry => [entry.name, ...entry.synonyms].map(term => ({ term, entry })));
+}
+
+// A queue entry with its counts and, while open, what it may have meant
+function triageView(entry, terms = knownTerms(entry.language)) {
+  return {
+    ...entry,
+    count: entry.occurrences.length,
+    recipes: [...new Set(entry.occurrences.map(o => o.recipe_name))],
+    ...(entry.status === 'open' && {
+      suggestions: suggest(entry.name, terms).map(({ term, entry: known, distance, phonetic, score }) => ({
+        ingredient_id: known.id,
+        name: known.name,
+        term,
+        language: known.language,
+        allergens: known.allergens,
+        may_contain: known.may_contain,
+        distance,
+        phonetic,
+        score
+      }))
+    })
+  };
+}
+
+// ?status=open|resolved|ignored
+app.get('/api/triage', (req, res) => {
+  const terms = new Map();
+  const termsFor = language => {
+    if (!terms.has(language)) terms.set(language, knownTerms(language));
+    return terms.get(language);
+  };
+  res.json({
+    entries: triageQueue.list(req.query.status).map(entry => triageView(entry, termsFor(entry.language)))
+  });
+});
+
+app.get('/api/triage/:id', (req, res) => {
+  const entry = triageQueue.get(req.params.id);
+  if (!entry) throw new HttpError(404, `Triage entry ${req.params.id} not found`);
+  res.json({ entry: triageView(entry) });
+});
+
+// One decision for every occurrence: `map` adds the name as a synonym of
+// knowledge base entry `ingredient_id`, `classify` adds it with `allergens`
+// (and `may_contain`), `ignore` closes it. Mapped and classified names
+// re-run the recipes they occur in (`region`, `lang`, `save` and
+// `components` as for /api/process).
+app.post('/api/triage/:id/resolve', requireRole('reviewer'), asyncRoute(async (req, res) => {
+  const entry = triageQueue.get(req.params.id);
+  if (!entry) throw new HttpError(404, `Triage entry ${req.params.id} not found`);
+
+  const { action, region, lang } = req.body;
+  if (!TRIAGE_ACTIONS.includes(action)) {
+    throw new HttpError(400, `"action" must be one of ${TRIAGE_ACTIONS.join(', ')}`);
+  }
+  assertRegion(region);
+  assertLanguage(lang, 'lang');
+  const components = extraComponents(req.body);
+  const user = requestUser(req);
+
+  let ingredient = null;
+  if (action === 'map') {
+    const known = ingredientStore.get(req.body.ingredient_id);
+    if (!known) throw new HttpError(404, `Ingredient ${req.body.ingredient_id} not found`);
+    if (![entry.language, DEFAULT_LANGUAGE].includes(known.language)) {
+      throw new HttpError(400, `"${known.name}" is a ${known.language} ingredient; "${entry.name}" was found in ${entry.language} recipes`);
+    }
+    ingredient = await ingredientStore.update(known.id, { synonyms: [...known.synonyms, entry.name] }, user);
+  } else if (action === 'classify') {
+    if (!Array.isArray(req.body.allergens)) {
+      throw new HttpError(400, '"allergens" is required ([] for none)');
+    }
+    const mapping = { allergens: req.body.allergens, may_contain: req.body.may_contain };
+    const existing = ingredientStore.findByTerm(entry.name, entry.language);
+    ingredient = existing
+      ? await ingredientStore.update(existing.id, mapping, user)
+      : await ingredientStore.create({ name: entry.name, language: entry.language, ...mapping }, user);
+  }
+
+  const recipes = triageQueue.recipesFor(entry);
+  await triageQueue.resolve(entry.id, {
+    action,
+    ...(ingredient && { ingredient_id: ingredient.id }),
+    recipes: recipes.map(r => r.recipe_name)
+  }, user);
+
+  // Re-running records the recipes again, reopening the entry if the name
+  // is still not recognized
+  const results = action === 'ignore' || !recipes.length
+    ? []
+    : await runBatch(recipes, { region, lang, components, save: req.body.save, triage: true, user });
+
+  await audit(req.user, 'triage.resolve', entry.name, {
+    id: entry.id,
+    action,
+    ...(ingredient && { ingredient: ingredient.id }),
+    recipes: recipes.length
+  });
+  res.json({ entry: triageView(triageQueue.get(entry.id)), ingredient, recipes: results });
+}));
+
+// Recipe review: overrides and approval
+app.get('/api/reviews/:recipeName', (req, res) => {
+  res.json({
+    review: reviewStore.get(req.params.recipeName) ||
+      { recipe_name: req.params.recipeName, status: 'pending', overrides: {}, history: [] }
+  });
+});
+
+app.put('/api/reviews/:recipeName/ingredients/:ingredient', requireRole('reviewer'), asyncRoute(async (req, res) => {
+  const { recipeName, ingredient } = req.params;
+  const user = requestUser(req);
+  const review = await reviewStore.setOverride(recipeName, ingredient, req.body.allergens, user);
+
+  // Optionally teach the knowledge base (the recipe's `language` dictionary)
+  // so the ingredient is recognized next time
+  let learned = null;
+  if (req.body.learn) {
+    const { language = DEFAULT_LANGUAGE } = req.body;
+    assertLanguage(language);
+    const { allergens } = reviewStore.overrideFor(recipeName, ingredient);
+    // Learn the ingredient itself, not "200g ..." or its brand
+    const { name } = normalizeIngredient(ingredient.split(PATH_SEPARATOR).pop());
+    const existing = ingredientStore.findByTerm(name, language);
+    learned = existing
+      ? await ingredientStore.update(existing.id, { allergens }, user)
+      : await ingredientStore.create({ name, allergens, language }, user);
+  }
+
+  await audit(req.user, 'review.override', recipeName, {
+    ingredient,
+    allergens: reviewStore.overrideFor(recipeName, ingredient).allergens,
+    ...(learned && { learned: learned.id })
+  });
+  res.json({ review, learned });
+}));
+
+app.delete('/api/reviews/:recipeName/ingredients/:ingredient', requireRole('reviewer'), asyncRoute(async (req, res) => {
+  const { recipeName, ingredient } = req.params;
+  const review = await reviewStore.clearOverride(recipeName, ingredient, requestUser(req));
+  await audit(req.user, 'review.clear_override', recipeName, { ingredient });
+  res.json({ review });
+}));
+
+// Approval snapshots the recipe exactly as it processes now
+app.post('/api/reviews/:recipeName/approve', requireRole('reviewer'), asyncRoute(async (req, res) => {
+  const { recipe, region, lang } = req.body;
+  if (!recipe || !Array.isArray(recipe.ingredients)) {
+    throw new HttpError(400, '"recipe" with an "ingredients" array is required');
+  }
+  assertRegion(region);
+  assertLanguage(recipe.language, 'recipe.language');
+  assertLanguage(lang, 'lang');
+  assertRecipesPayload([{ ...recipe, recipe_name: req.params.recipeName }]);
+
+  // The approved snapshot keeps canonical codes; only the response is localized
+  const name = req.params.recipeName;
+  const result = await processRecipe(
+    { ...recipe, recipe_name: name },
+    { region, components: extraComponents(req.body) }
+  );
+  const review = await reviewStore.approve(
+    name,
+    { ...result, ingredients: recipe.ingredients, menu: guestMenuEntry(result) },
+    requestUser(req)
+  );
+  await audit(req.user, 'review.approve', name, { allergens: result.allergens, region: region || null });
+  const shown = lang ? localizeResult(result, lang) : result;
+  res.json({ review, result: { ...shown, review: reviewSummary(review) } });
+}));
+
+// Printable labels (?format=html|pdf&size=small|medium|large|a4&width=&height=)
+async function sendLabels(req, res, recipes) {
+  const format = req.query.format || 'html';
+  if (!['html', 'pdf'].includes(format)) {
+    throw new HttpError(400, `Unknown label format "${format}". Use html or pdf`);
+  }
+  const size = resolveLabelSize(req.query);
+  const { region, language } = req.body;
+  const lang = req.body.lang ?? req.query.lang;
+  assertRegion(region);
+  assertLanguage(language);
+  assertLanguage(lang, 'lang');
+
+  for (const recipe of recipes) {
+    if (!recipe?.recipe_name || !Array.isArray(recipe.ingredients)) {
+      throw new HttpError(400, 'Each recipe needs "recipe_name" and an "ingredients" array');
+    }
+  }
+
+  const results = await runBatch(recipes, {
+    region,
+    language,
+    lang,
+    components: extraComponents(req.body)
+  });
+  const labels = results.map((result, i) => buildLabel(result, recipes[i].ingredients));
+  await audit(req.user, 'labels', recipes.map(r => r.recipe_name).join(', '), { format, region: region || null });
+
+  if (format === 'pdf') {
+    res.type('application/pdf').send(await renderLabelsPdf(labels, size));
+  } else {
+    res.type('html').send(renderLabelsHtml(labels, size));
+  }
+}
+
+app.post('/api/labels', asyncRoute(async (req, res) => {
+  await sendLabels(req, res, [req.body.recipe]);
+}));
+
+app.post('/api/labels/batch', asyncRoute(async (req, res) => {
+  if (!Array.isArray(req.body.recipes) || !req.body.recipes.length) {
+    throw new HttpError(400, '"recipes" must be a non-empty array');
+  }
+  await sendLabels(req, res, req.body.recipes);
+}));
+
+// Export processed results (?format=xlsx|csv|json)
+app.post('/api/export', asyncRoute(async (req, res) => {
+  const { recipes, region } = req.body;
+  if (!Array.isArray(recipes)) {
+    throw new HttpError(400, '"recipes" must be an array of processed recipes');
+  }
+  assertRegion(region);
+
+  const { body, contentType, filename } = exportRecipes(recipes, {
+    format: req.query.format || 'xlsx',
+    region
+  });
+  await audit(req.user, 'export', recipes.map(r => r.recipe_name).join(', '), {
+    format: req.query.format || 'xlsx',
+    recipes: recipes.length
+  });
+  res.attachment(filename).type(contentType).send(body);
+}));
+
+// Menu-wide allergen chart of processed recipes (?format=json|html|pdf);
+// HTML and PDF are the printable in-store chart
+app.post('/api/export/chart', asyncRoute(async (req, res) => {
+  const { recipes, region } = req.body;
+  const lang = req.body.lang ?? req.query.lang;
+  if (!Array.isArray(recipes)) {
+    throw new HttpError(400, '"recipes" must be an array of processed recipes');
+  }
+  assertRegion(region);
+  assertLanguage(lang, 'lang');
+
+  const format = req.query.format || 'json';
+  const { body, contentType } = await renderChart(buildChart(recipes, { region, lang }), format);
+  if (format !== 'json') {
+    await audit(req.user, 'export', recipes.map(r => r.recipe_name).join(', '), {
+      format: `chart-${format}`,
+      recipes: recipes.length
+    });
+  }
+  res.type(contentType).send(body);
+}));
+
+// Unknown API routes answer in JSON like every other error
+app.use('/api', (req, res, next) => {
+  next(new HttpError(404, `No route for ${req.method} ${req.originalUrl}`));
 });
 
-app.get('/api/allergen/:ingredient', async (req, res) => {
-  const allergens = await detectAllergens(req.params.ingredient);
-  res.json({ allergens });
+// JSON errors (HttpError carries its own status and optional details)
+app.use((err, req, res, next) => {
+  let status = err.status || 500;
+  if (err instanceof multer.MulterError) {
+    status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+  }
+  if (status >= 500) console.error(err);
+
+  res.status(status).json({
+    error: err.message,
+    ...(err.details && { details: err.details })
+  });
 });
 
 // Start server
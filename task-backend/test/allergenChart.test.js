@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildChart } from '../lib/allergenChart.js';
+import { exportRecipes } from '../lib/exporter.js';
+
+// Results as they are stored or posted back: canonical codes, no region
+const recipes = [
+  { recipe_name: 'Pasta Bake', allergens: ['wheat', 'milk'], unrecognized_ingredients: [] },
+  { recipe_name: 'Barley Soup', allergens: ['gluten'], may_contain: ['tree nuts'], unrecognized_ingredients: [] }
+];
+
+test('the gluten column is filled by wheat recipes without a region', () => {
+  const chart = buildChart(recipes);
+  assert.deepEqual(chart.recipes.map(r => [r.cells.gluten, r.cells.wheat]), [
+    ['contains', 'contains'],
+    ['contains', null]
+  ]);
+  assert.deepEqual(chart.frequency.find(f => f.code === 'gluten'), {
+    code: 'gluten', name: 'Gluten', contains: 2, may_contain: 0
+  });
+});
+
+test('region columns are filled by the canonical codes they cover', () => {
+  const chart = buildChart(recipes, { region: 'EU' });
+  assert.deepEqual(chart.recipes.map(r => [r.cells.gluten, r.cells.nuts]), [
+    ['contains', null],
+    ['contains', 'may_contain']
+  ]);
+  // Covered codes get no extra column of their own
+  assert.equal(chart.allergens.some(c => c.code === 'wheat' || c.code === 'tree nuts'), false);
+});
+
+test('the exported matrix ticks gluten for wheat recipes', () => {
+  const { allergens, recipes: rows } = JSON.parse(exportRecipes(recipes, { format: 'json' }).body);
+  assert.ok(allergens.includes('gluten'));
+  assert.equal(rows[0].allergens.gluten, true);
+  assert.equal(rows[1].allergens.wheat, false);
+
+  const eu = JSON.parse(exportRecipes(recipes, { format: 'json', region: 'EU' }).body);
+  assert.deepEqual(eu.recipes.map(r => r.allergens.gluten), [true, true]);
+});
+
+test('results processed for another region fill the columns they fall under', () => {
+  const eu = [{ recipe_name: 'Pesto', allergens: ['nuts', 'milk'], may_contain: ['peanuts'], unrecognized_ingredients: [] }];
+  const chart = buildChart(eu, { region: 'US' });
+  assert.deepEqual([chart.recipes[0].cells['tree nuts'], chart.recipes[0].cells.peanuts], ['contains', 'may_contain']);
+
+  const { allergens, recipes: rows } = JSON.parse(exportRecipes(eu, { format: 'json' }).body);
+  assert.equal(allergens.includes('nuts'), false);
+  assert.equal(rows[0].allergens['tree nuts'], true);
+});
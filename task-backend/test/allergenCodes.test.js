@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { allergenCodes } from '../lib/regulatoryProfiles.js';
+import { createReviewStore } from '../lib/reviewStore.js';
+import { createIngredientStore } from '../lib/ingredientStore.js';
+import { createEquipmentStore } from '../lib/equipmentStore.js';
+
+test('allergen lists take canonical codes and aliases only', () => {
+  assert.deepEqual(allergenCodes(['Dairy', 'peanut', 'milk', ' ']), ['milk', 'peanuts']);
+  assert.throws(() => allergenCodes(['milkk']), { status: 400, message: /"milkk"/ });
+  assert.throws(() => allergenCodes('milk'), { status: 400 });
+  assert.throws(() => allergenCodes([1]), { status: 400 });
+});
+
+test('stores reject unknown allergen codes', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'allergen-codes-test-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const reviews = createReviewStore({ file: path.join(dir, 'reviews.json') });
+  const ingredients = createIngredientStore({ file: path.join(dir, 'ingredients.json') });
+  const equipment = createEquipmentStore({ file: path.join(dir, 'equipment.json') });
+  await Promise.all([reviews.load(), ingredients.load(), equipment.load()]);
+
+  const unknown = { status: 400, message: /Unknown allergen/ };
+  await assert.rejects(reviews.setOverride('Pesto', 'Basil', ['peanutz'], 'alice'), unknown);
+  await assert.rejects(ingredients.create({ name: 'zaatar', allergens: ['sesam'] }, 'alice'), unknown);
+  await assert.rejects(ingredients.create({ name: 'zaatar', allergens: ['sesame'], may_contain: ['nutz'] }, 'alice'), unknown);
+  await assert.rejects(equipment.create({ name: 'Fryer', may_contain: ['shelfish'] }), unknown);
+
+  const review = await reviews.setOverride('Pesto', 'Basil', ['Dairy'], 'alice');
+  assert.deepEqual(review.overrides.basil.allergens, ['milk']);
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createAllergenSource } from '../lib/allergenSource.js';
+import { createLookupCache } from '../lib/lookupCache.js';
+import { createFixtureProvider } from '../lib/providers/fixture.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'allergens.json');
+
+// A provider that answers after `delayMs`, failing the first `failures` calls
+function stubProvider({ failures = 0, delayMs = 0, answer = { allergens: ['milk'] } } = {}) {
+  const calls = [];
+  return {
+    calls,
+    name: 'stub',
+    async lookup(ingredient) {
+      calls.push(ingredient);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+      if (calls.filter(c => c === ingredient).length <= failures) throw new Error('upstream down');
+      return answer;
+    }
+  };
+}
+
+test('fixture text lookups keep may_contain', async () => {
+  const provider = createFixtureProvider({ file: FIXTURES });
+  assert.deepEqual(await provider.lookup('Curry Paste'), {
+    allergens: ['mustard'],
+    may_contain: ['peanuts'],
+    product: { name: 'Red Curry Paste', code: null }
+  });
+  assert.equal(await provider.lookup('unobtainium'), null);
+});
+
+test('the source records the provider, caches answers and reports cache hits', async () => {
+  const source = createAllergenSource({
+    providers: [createFixtureProvider({ file: FIXTURES })],
+    cache: createLookupCache()
+  });
+  const first = await source.lookup('pesto');
+  assert.equal(first.provider, 'fixture');
+  assert.equal(first.cached, false);
+  assert.deepEqual(first.allergens, ['milk', 'tree nuts']);
+
+  const second = await source.lookup('Pesto');
+  assert.equal(second.cached, true);
+  assert.deepEqual((await source.lookup('curry paste')).may_contain, ['peanuts']);
+});
+
+test('concurrent lookups of one ingredient share a request', async () => {
+  const provider = stubProvider({ delayMs: 20 });
+  const source = createAllergenSource({ providers: [provider], cache: createLookupCache() });
+  await Promise.all([source.lookup('salt'), source.lookup('salt'), source.lookup(' SALT ')]);
+  assert.equal(provider.calls.length, 1);
+});
+
+test('failed lookups are retried, and reported without being cached', async () => {
+  const flaky = stubProvider({ failures: 2 });
+  const source = createAllergenSource({ providers: [flaky], cache: createLookupCache(), backoffMs: 1 });
+  assert.deepEqual((await source.lookup('butter')).allergens, ['milk']);
+  assert.equal(flaky.calls.length, 3);
+
+  const down = stubProvider({ failures: 10 });
+  const failing = createAllergenSource({ providers: [down], cache: createLookupCache(), retries: 1, backoffMs: 1 });
+  const result = await failing.lookup('cream');
+  assert.equal(result.allergens, null);
+  assert.deepEqual(result.errors, [{ provider: 'stub', message: 'upstream down' }]);
+  await failing.lookup('cream');
+  assert.equal(down.calls.length, 4);
+});
+
+test('a lookup waiting to retry does not hold a concurrency slot', async () => {
+  let flakyCalls = 0;
+  const provider = {
+    name: 'stub',
+    async lookup(ingredient) {
+      if (ingredient === 'flaky' && ++flakyCalls === 1) throw new Error('upstream down');
+      return { allergens: [] };
+    }
+  };
+  const source = createAllergenSource({
+    providers: [provider],
+    cache: createLookupCache(),
+    concurrency: 1,
+    backoffMs: 200
+  });
+  const finished = [];
+  await Promise.all([
+    source.lookup('flaky').then(() => finished.push('flaky')),
+    new Promise(resolve => setTimeout(resolve, 20))
+      .then(() => source.lookup('steady'))
+      .then(() => finished.push('steady'))
+  ]);
+  assert.deepEqual(finished, ['steady', 'flaky']);
+});
+
+test('a barcode with or without leading zeros is one cache entry', async () => {
+  const calls = [];
+  const source = createAllergenSource({
+    providers: [{
+      name: 'stub',
+      async lookup() { return null; },
+      async lookupBarcode(gtin) { calls.push(gtin); return { allergens: ['milk'] }; }
+    }],
+    cache: createLookupCache()
+  });
+
+  assert.equal((await source.lookupBarcode('4006381333931')).cached, false);
+  assert.equal((await source.lookupBarcode('04006381333931')).cached, true);
+  assert.deepEqual(calls, ['4006381333931']);
+});
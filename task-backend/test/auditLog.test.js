@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createAuditLog } from '../lib/auditLog.js';
+import { startServer } from './helpers/server.js';
+
+const admin = { username: 'admin', role: 'admin' };
+
+test('a failed append does not stop later entries', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'audit-test-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  // A file where the log's directory should be makes the first append fail
+  const blocker = path.join(dir, 'data');
+  await fs.writeFile(blocker, '');
+  const file = path.join(blocker, 'audit.log');
+  const log = createAuditLog({ file });
+
+  await assert.rejects(log.record({ user: admin, action: 'upload' }));
+  await fs.rm(blocker);
+  const entry = await log.record({ user: admin, action: 'process', target: 'Pizza' });
+  assert.equal(entry.seq, 1);
+  assert.deepEqual(log.verify(), { valid: true, entries: 1 });
+
+  const reloaded = createAuditLog({ file });
+  await reloaded.load();
+  assert.deepEqual(reloaded.query().entries.map(e => e.action), ['process']);
+  assert.deepEqual(reloaded.verify(), { valid: true, entries: 1 });
+});
+
+test('a repeated audit filter is a 400', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const token = await server.login();
+
+  const { status, body } = await server.request('GET', '/api/audit?target=a&target=b', { token });
+  assert.equal(status, 400);
+  assert.match(body.error, /"target"/);
+  assert.equal((await server.request('GET', '/api/audit?target=a', { token })).status, 200);
+});
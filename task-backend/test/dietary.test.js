@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyDiet, dietCategories } from '../lib/dietary.js';
+
+// Verdicts of a recipe from `[ingredient text, detected allergens]`
+function diets(ingredients, options) {
+  return classifyDiet(
+    ingredients.map(([text, allergens = []]) => ({ ingredient: text, categories: dietCategories(text, allergens) })),
+    options
+  );
+}
+
+test('halal and kosher need a certificate to be "yes"', () => {
+  const salad = diets([['Lettuce'], ['Tomato']]);
+  assert.equal(salad.vegan.status, 'yes');
+  assert.deepEqual(salad.halal, { status: 'unknown', reasons: [{ category: 'not certified', ingredients: [] }] });
+  assert.equal(salad.kosher.status, 'unknown');
+
+  const certified = diets([['Chicken'], ['Rice']], { certified: ['halal'] });
+  assert.deepEqual(certified.halal, { status: 'yes', reasons: [] });
+  assert.equal(certified.kosher.status, 'unknown');
+
+  // A certificate does not overrule what the ingredients rule out
+  assert.equal(diets([['Bacon']], { certified: ['halal'] }).halal.status, 'no');
+});
+
+test('animal rennet is not vegetarian', () => {
+  assert.deepEqual(diets([['Parmesan', ['milk']]]).vegetarian, {
+    status: 'no',
+    reasons: [{ category: 'animal rennet', ingredients: ['Parmesan'] }]
+  });
+  assert.equal(diets([['Cheddar (calf rennet)']]).vegetarian.status, 'no');
+  assert.equal(diets([['Cheese with rennet']]).vegetarian.status, 'unknown');
+  assert.equal(diets([['Cheese with microbial rennet']]).vegetarian.status, 'yes');
+  assert.equal(diets([['Vegetarian parmesan']]).vegetarian.status, 'yes');
+});
+
+test('a substitute only covers its own ingredient', () => {
+  assert.deepEqual(dietCategories('vegan sausage'), []);
+  assert.deepEqual(dietCategories('vegan sausage and bacon'), ['meat', 'pork']);
+  assert.deepEqual(dietCategories('vegan butter and cream', ['milk']), ['milk']);
+  assert.deepEqual(dietCategories('veggie burger with honey'), ['honey']);
+  assert.deepEqual(dietCategories('no meat or fish'), []);
+});
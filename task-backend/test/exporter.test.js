@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import xlsx from 'xlsx';
+import { exportRecipes } from '../lib/exporter.js';
+
+const recipes = [
+  {
+    recipe_name: 'Pesto Pasta',
+    ingredients: ['Pasta', 'Pine nuts', 'Parmesan'],
+    allergens: ['wheat', 'milk'],
+    flagged_ingredients: { Pasta: ['wheat'], Parmesan: ['milk'] },
+    unrecognized_ingredients: [],
+    message: ''
+  },
+  {
+    recipe_name: 'Mystery Stew',
+    ingredients: ['Beef', 'Zorblax'],
+    allergens: ['zorblax'],
+    flagged_ingredients: {},
+    unrecognized_ingredients: ['Zorblax'],
+    message: 'Unrecognized ingredients: Zorblax'
+  }
+];
+
+test('an unknown format is rejected', () => {
+  assert.throws(() => exportRecipes(recipes, { format: 'pdf' }), {
+    status: 400,
+    message: 'Unknown export format "pdf". Use xlsx, csv, json'
+  });
+});
+
+test('csv has one row per recipe and one column per allergen', () => {
+  const { body, contentType, filename } = exportRecipes(recipes, { format: 'csv' });
+  assert.equal(contentType, 'text/csv; charset=utf-8');
+  assert.match(filename, /^allergen-matrix-\d{4}-\d{2}-\d{2}\.csv$/);
+
+  const sheet = xlsx.read(body, { type: 'string' }).Sheets.Sheet1;
+  const [header, pesto, stew] = xlsx.utils.sheet_to_json(sheet, { header: 1 });
+  const cell = (row, name) => row[header.indexOf(name)];
+  assert.deepEqual(header.slice(0, 2), ['Recipe Name', 'Ingredients']);
+  assert.deepEqual([cell(pesto, 'Milk'), cell(pesto, 'Wheat'), cell(pesto, 'Egg')], [true, true, false]);
+  assert.equal(cell(pesto, 'Flagged Ingredients'), 'Pasta: wheat; Parmesan: milk');
+  // Codes outside the known allergens get a column of their own
+  assert.equal(cell(stew, 'Zorblax'), true);
+  assert.equal(cell(stew, 'Unrecognized Ingredients'), 'Zorblax');
+  assert.equal(cell(stew, 'Status'), 'Unrecognized ingredients: Zorblax');
+});
+
+test('xlsx holds the matrix in one sheet', () => {
+  const { body, contentType } = exportRecipes(recipes);
+  assert.equal(contentType, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+  const workbook = xlsx.read(body, { type: 'buffer' });
+  assert.deepEqual(workbook.SheetNames, ['Allergen Matrix']);
+  const rows = xlsx.utils.sheet_to_json(workbook.Sheets['Allergen Matrix']);
+  assert.deepEqual(rows.map(r => [r['Recipe Name'], r.Ingredients, r.Milk]), [
+    ['Pesto Pasta', 'Pasta, Pine nuts, Parmesan', true],
+    ['Mystery Stew', 'Beef, Zorblax', false]
+  ]);
+});
+
+test('json lists the allergen codes and a boolean per code for each recipe', () => {
+  const { allergens, region, recipes: rows } = JSON.parse(exportRecipes(recipes, { format: 'json' }).body);
+  assert.equal(region, null);
+  assert.equal(allergens.at(-1), 'zorblax');
+  assert.deepEqual(Object.keys(rows[0].allergens), allergens);
+  assert.equal(rows[0].allergens.milk, true);
+  assert.deepEqual(rows[0].flagged_ingredients, recipes[0].flagged_ingredients);
+  assert.deepEqual(rows[1].unrecognized_ingredients, ['Zorblax']);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { gtinProblem, normalizeGtin, gtinKey } from '../lib/gtin.js';
+
+test('valid barcodes of every length pass the checksum', () => {
+  for (const code of ['96385074', '036000291452', '4006381333931', '10614141000415']) {
+    assert.equal(gtinProblem(code), null, code);
+  }
+});
+
+test('a mistyped barcode is caught by its check digit', () => {
+  assert.equal(gtinProblem('4006381333932'), 'has an invalid check digit (expected 1)');
+  assert.equal(gtinProblem('40063813339A1'), 'must contain only digits');
+  assert.equal(gtinProblem('400638133393'), 'has an invalid check digit (expected 0)');
+  assert.equal(gtinProblem('4006381'), 'must have 8, 12, 13 or 14 digits');
+  assert.throws(() => normalizeGtin('4006381333932'), { status: 400 });
+});
+
+test('spaces, dashes and lost leading zeros do not change a barcode', () => {
+  assert.equal(normalizeGtin('4 006381-333931'), '4006381333931');
+  // A spreadsheet number without the UPC-A's leading zero
+  assert.equal(normalizeGtin(36000291452), '0036000291452');
+  assert.equal(gtinKey(normalizeGtin('036000291452')), gtinKey(normalizeGtin(36000291452)));
+  assert.notEqual(gtinKey('4006381333931'), gtinKey('036000291452'));
+});
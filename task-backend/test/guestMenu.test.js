@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { filterMenu, parseExclusions } from '../lib/guestMenu.js';
+import { startServer } from './helpers/server.js';
+
+const result = (recipe_name, allergens, flagged, extra = {}) => ({
+  recipe_name,
+  allergens,
+  flagged_ingredients: flagged,
+  unrecognized_ingredients: [],
+  ...extra
+});
+
+test('exclusions accept aliases and reject unknown names', () => {
+  assert.deepEqual(parseExclusions('dairy, Peanut'), ['milk', 'peanuts']);
+  assert.throws(() => parseExclusions('peanutz'), { status: 400 });
+});
+
+test('excluding gluten excludes wheat dishes', () => {
+  const menu = filterMenu([
+    result('Pasta Bake', ['wheat', 'milk'], { Pasta: ['wheat'], Cheddar: ['milk'] }),
+    result('Risotto', ['milk'], { Parmesan: ['milk'] }),
+    result('Salad', [], {}, { may_contain: ['wheat'], may_contain_sources: [{ allergen: 'wheat', name: 'Croutons' }] })
+  ], ['gluten']);
+
+  assert.deepEqual(menu.safe.map(r => r.recipe_name), ['Risotto']);
+  assert.deepEqual(menu.unsafe.map(r => r.reasons), [
+    [{ allergen: 'gluten', type: 'contains', ingredients: ['Pasta'] }],
+    [{ allergen: 'gluten', type: 'may_contain', sources: ['Croutons'] }]
+  ]);
+});
+
+test('excluding wheat does not exclude other gluten cereals', () => {
+  const menu = filterMenu([result('Barley Soup', ['gluten'], { Barley: ['gluten'] })], ['wheat']);
+  assert.deepEqual(menu.safe.map(r => r.recipe_name), ['Barley Soup']);
+});
+
+test('the guest menu lists a wheat dish as unsafe for gluten', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const token = await server.login();
+
+  const { status, body } = await server.request('POST', '/api/menu', {
+    token,
+    body: {
+      exclude: ['gluten'],
+      recipes: [
+        { recipe_name: 'Pasta Bake', ingredients: ['Pasta', 'Cheddar'] },
+        { recipe_name: 'Salted Risotto', ingredients: ['Salt', 'Parmesan'] }
+      ]
+    }
+  });
+  assert.equal(status, 200);
+  assert.deepEqual(body.unsafe.map(r => [r.recipe_name, r.reasons[0].ingredients]), [['Pasta Bake', ['Pasta']]]);
+  assert.deepEqual(body.safe.map(r => r.recipe_name), ['Salted Risotto']);
+});
+
+test('the public menu lists approved recipes as they were approved', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const token = await server.login();
+
+  const pasta = { recipe_name: 'Pasta Bake', ingredients: ['Pasta', 'Cheddar'] };
+  const risotto = { recipe_name: 'Salted Risotto', ingredients: ['Salt', 'Parmesan'] };
+  for (const recipe of [pasta, risotto, { recipe_name: 'Tahini Dip', ingredients: ['Tahini'] }]) {
+    assert.equal((await server.request('POST', '/api/recipes', { token, body: recipe })).status, 201);
+  }
+  for (const recipe of [pasta, risotto]) {
+    const approval = await server.request('POST', `/api/reviews/${encodeURIComponent(recipe.recipe_name)}/approve`, {
+      token,
+      body: { recipe, region: 'EU' }
+    });
+    assert.equal(approval.status, 200);
+  }
+  // Edited after approval: off the menu until approved again
+  const saved = (await server.request('GET', '/api/recipes', { token })).body.recipes
+    .find(r => r.recipe_name === risotto.recipe_name);
+  await server.request('PUT', `/api/recipes/${saved.id}`, { token, body: { ingredients: ['Salt', 'Butter'] } });
+
+  const { status, body } = await server.request('GET', '/api/menu?exclude=gluten');
+  assert.equal(status, 200);
+  assert.deepEqual(body.unsafe.map(r => [r.recipe_name, r.approved, r.reasons[0].ingredients]), [
+    ['Pasta Bake', true, ['Pasta']]
+  ]);
+  assert.ok(body.unsafe[0].allergens.includes('wheat'));
+  assert.deepEqual(body.counts, { safe: 0, unsafe: 1, ask_kitchen: 0 });
+});
@@ -0,0 +1,94 @@
+// test/helpers/server.js (ES Module)
+//
+// Runs the real server in a child process on a free port, with a throwaway
+// data directory and the offline fixture provider, for API-level tests.
+
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import fs from 'node:fs/promises';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const ADMIN_PASSWORD = 'secret123';
+
+async function freePort() {
+  const probe = net.createServer();
+  await new Promise(resolve => probe.listen(0, resolve));
+  const { port } = probe.address();
+  await new Promise(resolve => probe.close(resolve));
+  return port;
+}
+
+// Resolves once the server logs that it is listening
+function listening(child) {
+  return new Promise((resolve, reject) => {
+    let output = '';
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('Server running')) resolve();
+    });
+    child.stderr.on('data', chunk => {
+      output += chunk;
+    });
+    child.on('exit', code => reject(new Error(`Server exited (${code}):\n${output}`)));
+  });
+}
+
+/**
+ * Start a server; `env` adds or overrides environment variables. Returns
+ * `{ url, request, login, stop }`. `request(method, path, { body, token })`
+ * resolves to `{ status, body }` (parsed JSON when the answer is JSON).
+ */
+async function startServer(env = {}) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'allergen-test-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      ALLERGEN_PROVIDERS: 'fixture',
+      ADMIN_PASSWORD,
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  await listening(child);
+  const url = `http://localhost:${port}`;
+
+  async function request(method, route, { body, token } = {}) {
+    const res = await fetch(url + route, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const json = res.headers.get('content-type')?.includes('application/json');
+    return { status: res.status, body: json ? await res.json() : await res.text() };
+  }
+
+  async function login(username = 'admin', password = ADMIN_PASSWORD) {
+    const { status, body } = await request('POST', '/api/auth/login', { body: { username, password } });
+    if (status !== 200) throw new Error(`Login failed for ${username}: ${body.error}`);
+    return body.token;
+  }
+
+  async function stop() {
+    child.removeAllListeners('exit');
+    if (child.exitCode === null) {
+      child.kill();
+      await once(child, 'exit');
+    }
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+
+  return { url, request, login, stop };
+}
+
+export { startServer };
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateImport, assertRecipesPayload } from '../lib/importValidation.js';
+
+// A parsed recipe whose ingredients sit in column B from `row` down
+function parsed(name, ingredients, row = 2) {
+  return {
+    recipe_name: name,
+    ingredients,
+    ingredient_details: ingredients.map((ingredient, i) =>
+      ({ name: ingredient, sheet: 'Menu', row: row + i, column: 'B' })),
+    sheet: 'Menu',
+    row,
+    column: 'A'
+  };
+}
+
+test('an empty upload is an error', () => {
+  assert.deepEqual(validateImport([]).errors.map(e => e.code), ['NO_RECIPES']);
+});
+
+test('duplicate and empty recipes are errors that point at their cells', () => {
+  const { valid, errors } = validateImport([
+    parsed('Soup', ['Leek']),
+    parsed('Bread', [], 3),
+    parsed('soup', ['Salt'], 4)
+  ]);
+  assert.equal(valid, false);
+  assert.deepEqual(errors.map(({ code, sheet, row, column }) => ({ code, sheet, row, column })), [
+    { code: 'EMPTY_RECIPE', sheet: 'Menu', row: 3, column: 'A' },
+    { code: 'DUPLICATE_RECIPE', sheet: 'Menu', row: 4, column: 'A' }
+  ]);
+  assert.equal(errors[1].message, 'Recipe "soup" is also defined at Menu!A2');
+});
+
+test('repeated and numeric ingredients are warnings only', () => {
+  const { valid, warnings } = validateImport([parsed('Salad', ['Lettuce', 'lettuce', '200'])]);
+  assert.equal(valid, true);
+  assert.deepEqual(warnings.map(({ code, row }) => [code, row]), [
+    ['DUPLICATE_INGREDIENT', 3],
+    ['NUMERIC_INGREDIENT', 4]
+  ]);
+});
+
+test('the parser issues and invalid barcodes are reported with the rest', () => {
+  const recipe = parsed('Cereal', ['Oats']);
+  recipe.ingredient_details[0].gtin = '4006381333932';
+  const orphan = { severity: 'error', code: 'ORPHAN_INGREDIENT', message: 'x', sheet: 'Menu', row: 1, column: 'B' };
+  const { errors } = validateImport([recipe], [orphan]);
+  assert.deepEqual(errors.map(e => e.code), ['ORPHAN_INGREDIENT', 'INVALID_GTIN']);
+  assert.match(errors[1].message, /invalid check digit \(expected 1\)/);
+});
+
+test('a malformed payload is rejected with every problem by recipe index', () => {
+  assert.throws(() => assertRecipesPayload({}), { status: 400, message: '"recipes" must be an array' });
+  assert.doesNotThrow(() => assertRecipesPayload([{ recipe_name: 'Soup', ingredients: ['Leek'] }]));
+
+  assert.throws(() => assertRecipesPayload([
+    { recipe_name: 'Soup', ingredients: ['Leek'] },
+    { recipe_name: ' ', ingredients: [1] },
+    'Bread',
+    { recipe_name: 'Tea', ingredients: [], language: 'xx', ingredient_details: [{ gtin: '123' }] }
+  ]), {
+    status: 400,
+    message: '3 invalid recipe(s) in request',
+    details: [
+      { index: 1, message: '"recipe_name" must be a non-empty string' },
+      { index: 1, message: '"ingredients" must be an array of strings' },
+      { index: 2, message: 'Recipe must be an object' },
+      { index: 3, message: 'Unknown language "xx"' },
+      { index: 3, message: 'Ingredient 1 barcode "123" must have 8, 12, 13 or 14 digits' }
+    ]
+  });
+});
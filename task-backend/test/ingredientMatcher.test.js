@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createIngredientMatcher } from '../lib/ingredientMatcher.js';
+import { SEED_INGREDIENTS } from '../lib/seedIngredients.js';
+
+// The seeded knowledge base of a language, as the server hands it to the matcher
+function seedDatabase(language) {
+  const database = {};
+  for (const entry of SEED_INGREDIENTS.filter(e => (e.language || 'en') === language || !e.language)) {
+    for (const term of [entry.name, ...(entry.synonyms || [])]) database[term] = entry.allergens;
+  }
+  return database;
+}
+
+const en = createIngredientMatcher(seedDatabase('en'));
+const allergensOf = (matcher, text) => matcher.match(text).allergens.sort();
+
+test('keys match whole words, plurals and multi-word keys', () => {
+  assert.deepEqual(allergensOf(en, 'Eggs, free-range'), ['egg']);
+  assert.deepEqual(allergensOf(en, 'eggplant'), []);
+  assert.deepEqual(allergensOf(en, 'buttercup squash'), []);
+  assert.deepEqual(allergensOf(en, 'light soy sauce'), ['soy']);
+});
+
+test('exceptions win over the keys they contain', () => {
+  assert.deepEqual(allergensOf(en, 'coconut milk'), []);
+  assert.deepEqual(allergensOf(en, 'peanut butter'), ['peanuts']);
+  assert.deepEqual(allergensOf(en, 'roasted butternut'), []);
+});
+
+test('negations cover their own words', () => {
+  assert.deepEqual(allergensOf(en, 'dairy-free spread'), []);
+  assert.deepEqual(allergensOf(en, 'stock, without nuts'), []);
+  const { matches } = en.match('cod-free stock');
+  assert.equal(matches.find(m => m.rule === 'negation').term, 'cod-free');
+});
+
+test('a negation does not hide the same allergen elsewhere in the text', () => {
+  assert.deepEqual(allergensOf(en, 'without nuts, almonds'), ['tree nuts']);
+  assert.deepEqual(allergensOf(en, 'egg-free mayo with egg'), ['egg']);
+  assert.deepEqual(allergensOf(en, 'nut-free walnut cake'), ['tree nuts']);
+  assert.deepEqual(allergensOf(en, 'no milk, butter'), ['milk']);
+});
+
+test('every match reports the rule and key that fired', () => {
+  const { matches } = en.match('egg-free mayo with egg');
+  assert.deepEqual(
+    matches.map(({ rule, key }) => ({ rule, key })),
+    [{ rule: 'negation', key: 'egg' }, { rule: 'key', key: 'egg' }]
+  );
+});
+
+const de = createIngredientMatcher(seedDatabase('de'), { language: 'de' });
+
+test('English compounds match their parts', () => {
+  assert.deepEqual(allergensOf(en, 'Breadcrumbs'), ['wheat']);
+  assert.deepEqual(allergensOf(en, 'Cheesecake base'), ['milk']);
+  assert.deepEqual(allergensOf(en, 'buttermilk'), ['milk']);
+  assert.deepEqual(allergensOf(en, 'Buttercream'), ['milk']);
+  assert.deepEqual(allergensOf(en, 'oatmeal'), ['gluten']);
+  assert.deepEqual(allergensOf(en, 'soya lecithin'), ['soy']);
+});
+
+test('English words that only look like compounds are exceptions', () => {
+  assert.deepEqual(allergensOf(en, 'Butter beans'), []);
+  assert.deepEqual(allergensOf(en, 'buttercup'), []);
+  assert.deepEqual(allergensOf(en, 'cornflour'), []);
+  assert.deepEqual(allergensOf(en, 'buckwheat'), []);
+  assert.deepEqual(allergensOf(en, 'crabapple jelly'), []);
+  assert.deepEqual(allergensOf(en, 'butterfish'), ['fish']);
+});
+
+test('German compounds match their parts', () => {
+  assert.deepEqual(allergensOf(de, 'Weizenmehl'), ['wheat']);
+  assert.deepEqual(allergensOf(de, 'Eiernudeln'), ['egg', 'wheat']);
+  assert.deepEqual(allergensOf(de, 'Sesamöl'), ['sesame']);
+  assert.deepEqual(allergensOf(de, 'Muskatnuss'), []);
+});
+
+test('a compound part needs a word for the rest', () => {
+  assert.deepEqual(allergensOf(de, 'mehlig'), []);
+  assert.deepEqual(allergensOf(de, 'Reisnudeln'), []);
+  assert.deepEqual(allergensOf(de, 'Glasnudeln'), []);
+  assert.deepEqual(allergensOf(de, 'Kokosmehl'), []);
+  assert.deepEqual(allergensOf(de, 'Mandelmehl'), ['tree nuts']);
+  assert.deepEqual(allergensOf(en, 'coconut flour'), []);
+});
+
+test('inflected German negations are recognized', () => {
+  for (const text of ['glutenfrei', 'glutenfreie', 'glutenfreies', 'glutenfreien']) {
+    const { matches } = de.match(`${text} Brot`);
+    assert.deepEqual(matches[0], { term: text, key: 'gluten', rule: 'negation', allergens: ['gluten', 'wheat'] });
+  }
+});
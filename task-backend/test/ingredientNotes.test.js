@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeIngredient } from '../lib/ingredientNormalizer.js';
+import { expandRecipe, createComponentIndex } from '../lib/subRecipes.js';
+import { buildDetections } from '../lib/provenance.js';
+
+test('notes are kept apart from the name that is looked up', () => {
+  assert.deepEqual(
+    ['Chicken - marinated in soy sauce', 'Bread (see label, contains sesame)', 'Salad (to serve with parmesan)']
+      .map(text => { const { name, notes } = normalizeIngredient(text); return { name, notes }; }),
+    [
+      { name: 'Chicken', notes: ['marinated in soy sauce'] },
+      { name: 'Bread', notes: ['see label, contains sesame'] },
+      { name: 'Salad', notes: ['to serve with parmesan'] }
+    ]
+  );
+});
+
+test('leaves carry their notes', () => {
+  const recipe = { recipe_name: 'Stir Fry', ingredients: ['Rice - cooked in butter'] };
+  const { leaves } = expandRecipe(recipe, createComponentIndex([recipe]));
+  assert.deepEqual(leaves.map(({ name, notes }) => ({ name, notes })), [
+    { name: 'Rice', notes: ['cooked in butter'] }
+  ]);
+});
+
+test('an allergen named in a note is reported as a note detection', () => {
+  const match = { allergens: ['milk'], rule: 'key', key: 'butter', term: 'butter', note: 'cooked in butter' };
+  assert.deepEqual(buildDetections('Rice - cooked in butter', [match], ['milk']), [{
+    allergen: 'milk',
+    source: 'note',
+    note: 'cooked in butter',
+    confidence: 0.8,
+    rule: 'key',
+    key: 'butter',
+    matched_term: 'butter'
+  }]);
+});
+
+test('a bracket is split into components only when it lists them', () => {
+  const parts = text => {
+    const { name, notes, components } = normalizeIngredient(text);
+    return { name, notes, components: components.map(c => c.name) };
+  };
+  assert.deepEqual(
+    ['Butter (unsalted)', 'Sugar (caster)', 'Eggs (free range)'].map(parts),
+    [
+      { name: 'Butter', notes: ['unsalted'], components: [] },
+      { name: 'Sugar', notes: ['caster'], components: [] },
+      { name: 'Eggs', notes: ['free range'], components: [] }
+    ]
+  );
+  assert.deepEqual(parts('Mozzarella (milk, salt, rennet)').components, ['milk', 'salt', 'rennet']);
+  assert.deepEqual(parts('Pesto (basil; pine nuts)').components, ['basil', 'pine nuts']);
+  assert.deepEqual(parts('Stock cube (contains: celery)').components, ['celery']);
+});
+
+test('a number that is part of the name is not a quantity', () => {
+  const quantity = text => {
+    const { name, quantity, unit } = normalizeIngredient(text);
+    return { name, quantity, unit };
+  };
+  assert.deepEqual(
+    ['00 flour', '5 spice powder', '500g 00 flour', '2 tsp 5 spice powder', '2 eggs'].map(quantity),
+    [
+      { name: '00 flour', quantity: null, unit: null },
+      { name: '5 spice powder', quantity: null, unit: null },
+      { name: '00 flour', quantity: 500, unit: 'g' },
+      { name: '5 spice powder', quantity: 2, unit: 'tsp' },
+      { name: 'eggs', quantity: 2, unit: null }
+    ]
+  );
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createIngredientStore } from '../lib/ingredientStore.js';
+
+const seed = [
+  { name: 'butter', allergens: ['milk'] },
+  { name: 'Weizen', language: 'de', allergens: ['wheat'] }
+];
+
+async function openStore(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ingredient-store-test-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'ingredients.json');
+  const open = async () => {
+    const store = createIngredientStore({ file, seed });
+    await store.load();
+    return store;
+  };
+  return { store: await open(), reopen: open };
+}
+
+test('entries are created, updated and deleted with a history', async t => {
+  const { store, reopen } = await openStore(t);
+  assert.deepEqual(store.list().map(e => [e.name, e.language]), [['butter', 'en'], ['weizen', 'de']]);
+
+  const tahini = await store.create({ name: ' Tahini ', synonyms: ['Sesame Paste'], allergens: ['sesame'] }, 'alice');
+  assert.deepEqual([tahini.name, tahini.synonyms], ['tahini', ['sesame paste']]);
+  await assert.rejects(store.create({ name: 'sesame paste', allergens: ['sesame'] }), { status: 409 });
+
+  const updated = await store.update(tahini.id, { may_contain: ['peanuts'] }, 'bob');
+  assert.deepEqual([updated.allergens, updated.may_contain], [['sesame'], ['peanuts']]);
+  await store.remove(tahini.id, 'carol');
+  await assert.rejects(store.update(tahini.id, { allergens: [] }), { status: 404 });
+
+  assert.deepEqual(store.history(tahini.id).map(h => [h.action, h.changed_by]), [
+    ['create', 'alice'],
+    ['update', 'bob'],
+    ['delete', 'carol']
+  ]);
+  assert.equal(store.history(tahini.id)[1].before.may_contain.length, 0);
+
+  const reopened = await reopen();
+  assert.equal(reopened.get(tahini.id), null);
+  assert.equal(reopened.history().length, store.history().length);
+});
+
+test('a retired dictionary is not seeded again', async t => {
+  const { store, reopen } = await openStore(t);
+  await store.remove(store.findByTerm('weizen', 'de').id, 'alice');
+
+  const reopened = await reopen();
+  assert.deepEqual(reopened.list('de'), []);
+  assert.equal(reopened.history().filter(h => h.action === 'seed').length, 2);
+});
+
+test('a dictionary includes the English terms', async t => {
+  const { store } = await openStore(t);
+  await store.create({ name: 'Sahne', language: 'de', allergens: ['milk'] }, 'alice');
+  assert.deepEqual(store.toDatabase('de'), { butter: ['milk'], weizen: ['wheat'], sahne: ['milk'] });
+  assert.deepEqual(store.toDatabase(), { butter: ['milk'] });
+});
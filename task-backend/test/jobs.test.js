@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import WebSocket from 'ws';
+import { startServer } from './helpers/server.js';
+
+const recipes = [{ recipe_name: 'Pasta Bake', ingredients: ['Pasta', 'Cheddar'] }];
+
+// Send one message and resolve with the first answer
+async function exchange(ws, message) {
+  ws.send(JSON.stringify(message));
+  const [data] = await once(ws, 'message');
+  return JSON.parse(data);
+}
+
+test('jobs are only seen and cancelled by their owner or an admin', async t => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const admin = await server.login();
+  for (const username of ['alice', 'bob']) {
+    const created = await server.request('POST', '/api/users', {
+      token: admin,
+      body: { username, password: 'password123', role: 'uploader' }
+    });
+    assert.equal(created.status, 201);
+  }
+  const alice = await server.login('alice', 'password123');
+  const bob = await server.login('bob', 'password123');
+
+  const { status, body } = await server.request('POST', '/api/jobs', { token: alice, body: { recipes } });
+  assert.equal(status, 202);
+  const { id, owner } = body.job;
+  assert.equal(owner, 'alice');
+
+  assert.equal((await server.request('GET', `/api/jobs/${id}`, { token: bob })).status, 403);
+  assert.equal((await server.request('POST', `/api/jobs/${id}/cancel`, { token: bob })).status, 403);
+  assert.deepEqual((await server.request('GET', '/api/jobs', { token: bob })).body.jobs, []);
+  assert.deepEqual((await server.request('GET', '/api/jobs', { token: alice })).body.jobs.map(j => j.id), [id]);
+  assert.equal((await server.request('GET', `/api/jobs/${id}`, { token: alice })).status, 200);
+  assert.equal((await server.request('GET', `/api/jobs/${id}`, { token: admin })).status, 200);
+
+  const ws = new WebSocket(`${server.url.replace('http', 'ws')}/?token=${bob}`);
+  t.after(() => ws.close());
+  await once(ws, 'open');
+  for (const type of ['SUBSCRIBE', 'CANCEL']) {
+    const answer = await exchange(ws, { type, job_id: id });
+    assert.equal(answer.type, 'ERROR');
+    assert.match(answer.message, /another user/);
+  }
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildLabel } from '../lib/labels.js';
+
+const local = (allergen, term) => ({ allergen, source: 'local', rule: 'key', key: term.toLowerCase(), matched_term: term });
+
+// "<b>bold</b> plain" reading of the segments of each listed ingredient
+const rendered = label => label.ingredients.map(segments =>
+  segments.map(s => (s.bold ? `<b>${s.text}</b>` : s.text)).join(''));
+
+test('only whole matched words are set in bold', () => {
+  const result = {
+    recipe_name: 'Moussaka',
+    allergens: ['egg', 'tree nuts', 'milk'],
+    flagged_ingredients: {
+      'Eggplant with egg': ['egg'],
+      'Nutmeg and walnuts': ['tree nuts'],
+      Butter: ['milk']
+    },
+    detections: {
+      'Eggplant with egg': [local('egg', 'egg')],
+      'Nutmeg and walnuts': [local('tree nuts', 'walnuts')],
+      Butter: [local('milk', 'Butter')]
+    }
+  };
+  const label = buildLabel(result, ['Eggplant with egg', 'Nutmeg and walnuts', 'Butter', 'Nutmeg']);
+  assert.deepEqual(rendered(label), [
+    'Eggplant with <b>egg</b>',
+    'Nutmeg and <b>walnuts</b> (<b>tree nuts</b>)',
+    '<b>Butter</b> (<b>milk</b>)',
+    'Nutmeg'
+  ]);
+});
+
+test('an allergen named in the ingredient as a word is not repeated', () => {
+  const result = {
+    recipe_name: 'Custard',
+    allergens: ['milk', 'egg'],
+    flagged_ingredients: { 'Whole milk': ['milk'], 'Eggnog': ['egg'] },
+    detections: { 'Whole milk': [local('milk', 'milk')], 'Eggnog': [] }
+  };
+  assert.deepEqual(rendered(buildLabel(result, ['Whole milk', 'Eggnog'])), [
+    'Whole <b>milk</b>',
+    'Eggnog (<b>egg</b>)'
+  ]);
+});
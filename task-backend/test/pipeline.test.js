@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { processBatch } from '../lib/pipeline.js';
+import { createJobManager } from '../lib/jobs.js';
+import { sleep } from '../lib/concurrency.js';
+
+const recipes = Array.from({ length: 6 }, (_, i) => ({ recipe_name: `R${i}`, ingredients: [`I${i}`] }));
+
+// Recipe R1 fails at once; every other one takes a while
+function failingBatch(options = {}) {
+  const started = [];
+  const detected = [];
+  const batch = processBatch(recipes, {
+    concurrency: 2,
+    detect: async lookup => {
+      detected.push(lookup);
+      await sleep(5);
+      return [];
+    },
+    processRecipe: async (recipe, detect) => {
+      started.push(recipe.recipe_name);
+      if (recipe.recipe_name === 'R1') throw new Error('Lookup failed');
+      await detect(recipe.ingredients[0]);
+      await sleep(20);
+      return { recipe_name: recipe.recipe_name };
+    },
+    ...options
+  });
+  return { batch, started, detected };
+}
+
+test('a failed recipe stops the rest of the batch', async () => {
+  const delivered = [];
+  const { batch, started, detected } = failingBatch({ onResult: index => delivered.push(index) });
+  await assert.rejects(batch, /Lookup failed/);
+  await sleep(50);
+
+  assert.deepEqual(started, ['R0', 'R1']);
+  assert.deepEqual(detected, ['I0', 'I1']);
+  assert.deepEqual(delivered, []);
+});
+
+test('a failed job sends nothing after its error', async () => {
+  const jobs = createJobManager({
+    runJob: (items, options, { onResult, isCancelled }) =>
+      failingBatch({ onResult, isCancelled, order: 'completion' }).batch
+  });
+  const { id } = jobs.submit(recipes, {}, 'alice');
+  const events = [];
+  jobs.subscribe(id, event => events.push(event));
+  while (jobs.get(id).status === 'running' || jobs.get(id).status === 'queued') await sleep(5);
+  await sleep(50);
+
+  assert.equal(jobs.get(id).status, 'failed');
+  assert.deepEqual(events.map(e => e.type), ['ERROR']);
+});
+
+test('a subscription replays and delivers each event once', async () => {
+  let release;
+  const jobs = createJobManager({
+    runJob: async (items, options, { onResult }) => {
+      onResult(0, 'first');
+      await new Promise(resolve => { release = resolve; });
+      onResult(1, 'second');
+    }
+  });
+  const { id } = jobs.submit(['a', 'b'], {}, 'alice');
+  await sleep(5);
+
+  const events = [];
+  jobs.subscribe(id, event => events.push(event), 1);
+  release();
+  await sleep(5);
+
+  assert.deepEqual(events.map(e => [e.seq, e.type]), [
+    [2, 'RECIPE_RESULT'],
+    [3, 'PROGRESS'],
+    [4, 'RECIPE_RESULT'],
+    [5, 'COMPLETE']
+  ]);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { summarizePrecautions } from '../lib/precautions.js';
+import { createEquipmentStore } from '../lib/equipmentStore.js';
+
+const precautions = [
+  { allergen: 'peanut', source: 'ingredient', name: 'Chocolate chips' },
+  { allergen: 'peanuts', source: 'ingredient', name: 'Chocolate chips' },
+  { allergen: 'crustaceans', source: 'equipment', name: 'Fryer' },
+  { allergen: 'milk', source: 'kitchen', name: 'Dairy handled on site' },
+  { allergen: 'nuts', source: 'recipe', name: 'Cookies' }
+];
+
+test('may-contain allergens are listed once per source and never repeat a contained one', () => {
+  const { may_contain, may_contain_sources } = summarizePrecautions(precautions, ['milk', 'wheat']);
+  assert.deepEqual(may_contain, ['peanuts', 'crustaceans', 'tree nuts']);
+  assert.deepEqual(may_contain_sources.map(p => [p.allergen, p.source, p.name]), [
+    ['peanuts', 'ingredient', 'Chocolate chips'],
+    ['crustaceans', 'equipment', 'Fryer'],
+    ['tree nuts', 'recipe', 'Cookies']
+  ]);
+});
+
+test('with a region the codes are the region\'s and a declared one is left out', () => {
+  // Canada declares crustaceans as shellfish; EU declares wheat as gluten
+  const ca = summarizePrecautions(precautions, ['milk'], 'CA');
+  assert.deepEqual(ca.may_contain, ['peanuts', 'shellfish', 'tree nuts']);
+  const eu = summarizePrecautions([{ allergen: 'gluten', source: 'equipment', name: 'Mixer' }], ['wheat'], 'EU');
+  assert.deepEqual(eu.may_contain, []);
+});
+
+test('the cross-contact register validates, renames and removes entries', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'equipment-store-test-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'equipment.json');
+  const store = createEquipmentStore({ file });
+  await store.load();
+
+  const fryer = await store.create({ name: ' Fryer  2 ', may_contain: ['shellfish', 'fish'] });
+  const site = await store.create({ name: 'Nut bakery', type: 'kitchen', may_contain: ['nuts'] });
+  assert.deepEqual([fryer.name, fryer.type, fryer.may_contain], ['Fryer 2', 'equipment', ['crustaceans', 'fish']]);
+  assert.deepEqual(store.kitchenWide().map(e => e.id), [site.id]);
+  assert.equal(store.findByName('fryer 2').id, fryer.id);
+
+  await assert.rejects(store.create({ name: 'FRYER 2', may_contain: ['fish'] }), { status: 409 });
+  await assert.rejects(store.create({ name: 'Oven', type: 'room', may_contain: [] }), { status: 400 });
+  await assert.rejects(store.create({ name: 'Oven' }), { status: 400, message: '"may_contain" is required' });
+  await assert.rejects(store.update(99, { notes: 'x' }), { status: 404 });
+
+  const updated = await store.update(fryer.id, { notes: 'Cleaned daily' });
+  assert.deepEqual(
+    [updated.name, updated.may_contain, updated.notes],
+    ['Fryer 2', ['crustaceans', 'fish'], 'Cleaned daily']
+  );
+  await store.remove(site.id);
+
+  const reopened = createEquipmentStore({ file });
+  await reopened.load();
+  assert.deepEqual(reopened.list().map(e => e.name), ['Fryer 2']);
+  const next = await reopened.create({ name: 'Wok', may_contain: ['soy'] });
+  assert.equal(next.id, 3);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDetections, summarizeConfidence } from '../lib/provenance.js';
+
+const key = (term, allergens, rule = 'key') => ({ term, key: term.toLowerCase(), rule, allergens });
+
+test('local matches are certain when the key is the whole ingredient', () => {
+  const detections = buildDetections('Butter', [key('Butter', ['milk'])], ['milk']);
+  assert.deepEqual(detections, [{
+    allergen: 'milk',
+    source: 'local',
+    confidence: 1,
+    rule: 'key',
+    key: 'butter',
+    matched_term: 'Butter'
+  }]);
+  assert.equal(buildDetections('Salted butters', [key('butters', ['milk'])], ['milk'])[0].confidence, 0.85);
+  assert.equal(buildDetections('Almond milk', [key('Almond milk', ['tree nuts'], 'exception')], ['tree nuts'])[0].confidence, 0.9);
+});
+
+test('negations and allergens that were dropped are not detections', () => {
+  const matches = [key('egg-free', ['egg'], 'negation'), key('Cheese', ['milk', 'dairy'])];
+  assert.deepEqual(buildDetections('egg-free Cheese', matches, ['milk']).map(d => d.allergen), ['milk']);
+});
+
+test('external confidence follows the provider and the name match', () => {
+  const external = extra => ({ term: 'Pesto', rule: 'external', allergens: ['milk'], ...extra });
+  const confidence = match => buildDetections('Pesto', [match], ['milk'])[0].confidence;
+
+  assert.equal(confidence(external({ provider: 'openfoodfacts', score: 1, product: 'Pesto' })), 0.8);
+  assert.equal(confidence(external({ provider: 'openfoodfacts', score: 0.2 })), 0.4);
+  assert.equal(confidence(external({ provider: 'fixture' })), 0.9);
+  assert.equal(confidence(external({ provider: 'openfoodfacts', barcode: '4006381333931' })), 0.95);
+
+  const [detection] = buildDetections('Pesto', [external({ provider: 'openfoodfacts', cached: true, score: 1, product: 'Pesto' })], ['milk']);
+  assert.deepEqual([detection.source, detection.provider, detection.cached, detection.product], ['external', 'openfoodfacts', true, 'Pesto']);
+});
+
+test('an allergen is confident when any ingredient reports it confidently', () => {
+  const summary = summarizeConfidence({
+    Butter: [{ allergen: 'milk', confidence: 1, source: 'local' }],
+    Pesto: [
+      { allergen: 'milk', confidence: 0.4, source: 'external', product: 'Pesto' },
+      { allergen: 'tree nuts', confidence: 0.4, source: 'external', product: 'Pesto' }
+    ]
+  });
+  assert.deepEqual(summary.confident_allergens, ['milk']);
+  assert.deepEqual(summary.low_confidence_allergens, ['tree nuts']);
+  assert.deepEqual(summary.low_confidence_detections.map(d => [d.ingredient, d.allergen]), [
+    ['Pesto', 'milk'],
+    ['Pesto', 'tree nuts']
+  ]);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildQuid, formatPercent } from '../lib/quid.js';
+
+test('ingredients are declared heaviest first, with the named one as a percentage', () => {
+  const quid = buildQuid({
+    recipe_name: 'Tomato Soup',
+    ingredients: ['100g Onion', '500 g Tomatoes', '0.05 kg Cream']
+  });
+  assert.equal(quid.complete, true);
+  assert.equal(quid.total_grams, 650);
+  assert.deepEqual(quid.ingredients.map(e => [e.name, e.grams, e.percent]), [
+    ['Tomatoes', 500, 76.92],
+    ['Onion', 100, 15.38],
+    ['Cream', 50, 7.69]
+  ]);
+  assert.equal(quid.declaration, 'Tomatoes (77%), Onion, Cream');
+});
+
+test('sheet quantities count, equal weights keep the recipe order', () => {
+  const quid = buildQuid({
+    recipe_name: 'Salad',
+    ingredients: ['Lettuce', 'Cucumber', 'Feta'],
+    ingredient_details: [
+      { quantity: 100, unit: 'g' },
+      { quantity: 100, unit: 'g' },
+      { quantity: 0.2, unit: 'kg', characterizing: true }
+    ]
+  });
+  assert.deepEqual(quid.ingredients.map(e => [e.name, e.quantity_from]), [
+    ['Feta', 'sheet'],
+    ['Lettuce', 'sheet'],
+    ['Cucumber', 'sheet']
+  ]);
+  assert.equal(quid.declaration, 'Feta (50%), Lettuce, Cucumber');
+});
+
+test('an unweighed ingredient keeps the recipe order', () => {
+  const quid = buildQuid({ recipe_name: 'Pesto', ingredients: ['20g Basil', 'Pine nuts', '100 ml Olive oil'] });
+  assert.equal(quid.complete, false);
+  assert.deepEqual(quid.ingredients.map(e => e.name), ['Basil', 'Pine nuts', 'Olive oil']);
+  assert.deepEqual(quid.warnings.map(w => w.code), ['MISSING_QUANTITY', 'VOLUME_AS_MASS']);
+  assert.equal(quid.declaration, 'Basil, Pine nuts, Olive oil');
+});
+
+test('percentages below 10 keep one decimal', () => {
+  assert.deepEqual([52.4, 9.96, 7.69, 2.5].map(formatPercent), ['52%', '10%', '7.7%', '2.5%']);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createRecipeLibrary, diffVersions } from '../lib/recipeLibrary.js';
+
+async function openLibrary(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'recipe-library-test-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'recipes.json');
+  const open = async () => {
+    const library = createRecipeLibrary({ file });
+    await library.load();
+    return library;
+  };
+  return { library: await open(), reopen: open };
+}
+
+test('diffs compare ingredients and allergens case-insensitively', () => {
+  const diff = diffVersions(
+    { ingredients: ['Flour', 'Butter'], allergens: ['wheat', 'milk'] },
+    { ingredients: ['flour', 'Olive oil'], allergens: ['wheat'] }
+  );
+  assert.deepEqual(diff, {
+    ingredients_added: ['Olive oil'],
+    ingredients_removed: ['Butter'],
+    allergens_gained: [],
+    allergens_lost: ['milk'],
+    changed: true
+  });
+  const recased = diffVersions({ ingredients: ['Feta'], allergens: [] }, { ingredients: ['feta'], allergens: [] });
+  assert.equal(recased.changed, false);
+});
+
+test('saving adds a version only when something changed', async t => {
+  const { library, reopen } = await openLibrary(t);
+  const scones = { recipe_name: 'Scones', ingredients: ['Flour', 'Butter'] };
+  const first = await library.save(scones, ['wheat', 'milk'], 'alice');
+  assert.deepEqual([first.status, first.version, first.diff], ['created', 1, null]);
+
+  const same = await library.save({ ...scones, ingredients: ['flour', 'butter'] }, ['milk', 'wheat'], 'bob');
+  assert.deepEqual([same.status, same.version, same.diff.changed], ['unchanged', 1, false]);
+
+  const vegan = await library.save({ ...scones, ingredients: ['Flour', 'Olive oil'] }, ['wheat'], 'bob');
+  assert.deepEqual([vegan.status, vegan.version], ['updated', 2]);
+  assert.deepEqual(vegan.diff.allergens_lost, ['milk']);
+
+  const { versions } = (await reopen()).get(first.recipe.id);
+  assert.deepEqual(versions.map(v => [v.version, v.created_by, v.ingredients]), [
+    [1, 'alice', ['Flour', 'Butter']],
+    [2, 'bob', ['Flour', 'Olive oil']]
+  ]);
+  assert.deepEqual(library.list().map(r => [r.recipe_name, r.version]), [['Scones', 2]]);
+});
+
+test('a version keeps what the update leaves out and a rename must not clash', async t => {
+  const { library } = await openLibrary(t);
+  const chips = { recipe_name: 'Chips', ingredients: ['Potatoes'], equipment: ['Fryer'] };
+  const { id } = await library.create(chips, [], 'alice');
+  await library.create({ recipe_name: 'Wedges', ingredients: ['Potatoes'] }, [], 'alice');
+
+  const renamed = await library.addVersion(id, { recipe_name: 'Fries' }, [], 'bob');
+  assert.deepEqual([renamed.status, renamed.recipe.recipe_name], ['updated', 'Fries']);
+  assert.deepEqual(library.summary(renamed.recipe).equipment, ['Fryer']);
+
+  await assert.rejects(library.addVersion(id, { recipe_name: 'wedges' }, [], 'bob'), { status: 409 });
+  await assert.rejects(library.create({ recipe_name: ' FRIES ' }, [], 'bob'), { status: 409 });
+  await assert.rejects(library.addVersion(99, {}, [], 'bob'), { status: 404 });
+});
+
+test('any two versions can be compared', async t => {
+  const { library } = await openLibrary(t);
+  const { id } = await library.create({ recipe_name: 'Salad', ingredients: ['Lettuce'] }, [], 'alice');
+  await library.addVersion(id, { ingredients: ['Lettuce', 'Feta'] }, ['milk'], 'alice');
+  await library.addVersion(id, { ingredients: ['Lettuce', 'Feta', 'Croutons'] }, ['milk', 'wheat'], 'alice');
+
+  assert.deepEqual(library.diff(id).ingredients_added, ['Croutons']);
+  const all = library.diff(id, 1, 3);
+  assert.deepEqual(
+    [all.from, all.to, all.ingredients_added, all.allergens_gained],
+    [1, 3, ['Feta', 'Croutons'], ['milk', 'wheat']]
+  );
+  assert.throws(() => library.diff(id, 1, 4), { status: 404, message: `Recipe ${id} has no version 4` });
+});
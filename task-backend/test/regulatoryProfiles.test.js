@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyProfile, canonicalCodes, coveredAllergens } from '../lib/regulatoryProfiles.js';
+
+test('wheat implies gluten, and gluten covers wheat', () => {
+  assert.deepEqual(canonicalCodes(['Wheat', 'dairy']), ['wheat', 'milk', 'gluten']);
+  assert.deepEqual(canonicalCodes(['gluten']), ['gluten']);
+  assert.deepEqual(canonicalCodes(['triticale']), ['wheat', 'gluten']);
+  assert.deepEqual(coveredAllergens('gluten'), ['gluten', 'wheat']);
+  assert.deepEqual(coveredAllergens('milk'), ['milk']);
+});
+
+test('profiles declare wheat under their own codes', () => {
+  assert.deepEqual(applyProfile('EU', ['wheat']).allergens, ['gluten']);
+  assert.deepEqual(applyProfile('US', ['wheat']).allergens, ['wheat']);
+  assert.deepEqual(applyProfile('US', ['wheat']).other_allergens, []);
+  assert.deepEqual(applyProfile('ANZ', ['wheat']).allergens, ['gluten', 'wheat']);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import xlsx from 'xlsx';
+import { parseRecipeWorkbook } from '../lib/spreadsheet.js';
+
+// Workbook buffer from { sheetName: rows }
+function workbook(sheets) {
+  const book = xlsx.utils.book_new();
+  for (const [name, rows] of Object.entries(sheets)) {
+    xlsx.utils.book_append_sheet(book, xlsx.utils.aoa_to_sheet(rows), name);
+  }
+  return xlsx.write(book, { type: 'buffer', bookType: 'xlsx' });
+}
+
+test('the header row is found below a title and mapped by its labels', () => {
+  const buffer = workbook({
+    Mains: [
+      ['Spring menu'],
+      [],
+      ['Qty', 'Dish', 'Ingredient', 'Supplier'],
+      [200, 'Pesto Pasta', 'Pasta', 'Acme'],
+      [50, '', 'Pine nuts', ''],
+      [100, 'Omelette', 'Eggs', '']
+    ]
+  });
+  const { recipes, workbook: { sheets } } = parseRecipeWorkbook(buffer);
+
+  assert.equal(sheets[0].header_row, 3);
+  assert.equal(sheets[0].detected, true);
+  assert.deepEqual(sheets[0].mapping, { quantity: 0, recipe: 1, ingredient: 2, supplier: 3 });
+  assert.equal(sheets[0].layout, 'grouped');
+  assert.deepEqual(recipes.map(r => [r.recipe_name, r.ingredients]), [
+    ['Pesto Pasta', ['Pasta', 'Pine nuts']],
+    ['Omelette', ['Eggs']]
+  ]);
+  assert.deepEqual(recipes[0].ingredient_details[0], {
+    name: 'Pasta', sheet: 'Mains', row: 4, column: 'C', quantity: 200, supplier: 'Acme'
+  });
+});
+
+test('a sheet without a recognizable header is read as recipe in A and ingredient in B', () => {
+  const buffer = workbook({ Sheet1: [['Foo', 'Bar'], ['Pancakes', 'Flour'], ['', 'Milk']] });
+  const { recipes, workbook: { sheets } } = parseRecipeWorkbook(buffer);
+
+  assert.equal(sheets[0].detected, false);
+  assert.deepEqual(recipes.map(r => [r.recipe_name, r.ingredients]), [['Pancakes', ['Flour', 'Milk']]]);
+});
+
+test('one recipe per row with an ingredient list is read as a flat layout', () => {
+  const buffer = workbook({
+    Desserts: [
+      ['Recipe', 'Ingredients', 'Barcode'],
+      ['Crumble', 'Apples, flour, butter', '4006381333931'],
+      ['Sorbet', 'Lemon juice; sugar', '']
+    ]
+  });
+  const { recipes, workbook: { sheets } } = parseRecipeWorkbook(buffer);
+
+  assert.equal(sheets[0].layout, 'flat');
+  assert.deepEqual(recipes.map(r => [r.recipe_name, r.ingredients]), [
+    ['Crumble', ['Apples', 'flour', 'butter']],
+    ['Sorbet', ['Lemon juice', 'sugar']]
+  ]);
+  // A barcode cannot be split between the ingredients of one cell
+  assert.equal(recipes[0].ingredient_details.some(d => d.gtin), false);
+});
+
+test('a confirmed layout overrides detection', () => {
+  const buffer = workbook({ Sheet1: [['Recipe', 'Ingredients'], ['Salad', 'Leaves, dressing'], ['', 'Cream']] });
+  assert.equal(parseRecipeWorkbook(buffer).workbook.sheets[0].layout, 'grouped');
+
+  const { recipes, issues } = parseRecipeWorkbook(buffer, { sheet_options: { Sheet1: { layout: 'flat' } } });
+  assert.deepEqual(recipes[0].ingredients, ['Leaves', 'dressing']);
+  assert.deepEqual(issues.map(i => [i.code, i.row, i.column]), [['MISSING_RECIPE_NAME', 3, 'A']]);
+});
+
+test('sheets are selected by list, by name or all at once', () => {
+  const buffer = workbook({
+    Mains: [['Recipe', 'Ingredient'], ['Stew', 'Beef']],
+    Desserts: [['Recipe', 'Ingredient'], ['Trifle', 'Custard']]
+  });
+  const names = options => parseRecipeWorkbook(buffer, options).recipes.map(r => r.recipe_name);
+
+  assert.deepEqual(names(), ['Stew']);
+  assert.deepEqual(names({ sheets: ['Desserts'] }), ['Trifle']);
+  assert.deepEqual(names({ sheets: 'Desserts' }), ['Trifle']);
+  assert.deepEqual(names({ sheets: 'all' }), ['Stew', 'Trifle']);
+  assert.throws(() => names({ sheets: 'Starters' }), { status: 400, message: 'Unknown sheet(s): Starters' });
+  assert.throws(() => names({ sheets: 2 }), { status: 400 });
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createComponentIndex, expandRecipe, summarizeComponents } from '../lib/subRecipes.js';
+
+const pizza = { recipe_name: 'Pizza', ingredients: ['Dough', 'House Pesto', 'Mozzarella'] };
+const pesto = { recipe_name: 'House Pesto', ingredients: ['Basil', '50g Pine nuts', 'Parmesan'] };
+const dough = { recipe_name: 'Dough', ingredients: ['Flour', 'Water'] };
+
+test('sub-recipes expand to any depth and their leaves keep their path and owner', () => {
+  const { leaves, components, cycles } = expandRecipe(pizza, createComponentIndex([pizza, pesto, dough]));
+
+  assert.deepEqual(components.map(c => [c.recipe_name, c.path, c.source]), [
+    ['Dough', ['Dough'], 'upload'],
+    ['House Pesto', ['House Pesto'], 'upload']
+  ]);
+  assert.deepEqual(leaves.map(l => [l.path.join(' → '), l.name, l.owner]), [
+    ['Dough → Flour', 'Flour', 'Dough'],
+    ['Dough → Water', 'Water', 'Dough'],
+    ['House Pesto → Basil', 'Basil', 'House Pesto'],
+    ['House Pesto → 50g Pine nuts', 'Pine nuts', 'House Pesto'],
+    ['House Pesto → Parmesan', 'Parmesan', 'House Pesto'],
+    ['Mozzarella', 'Mozzarella', 'Pizza']
+  ]);
+  assert.deepEqual(cycles, []);
+});
+
+test('a quantity does not hide a sub-recipe and the fallback is asked last', () => {
+  const saved = { recipe_name: 'Dough', ingredients: ['Rye flour'], source: 'library' };
+  const library = name => (name === 'dough' ? saved : null);
+  const recipe = { recipe_name: 'Bread', ingredients: ['500g dough'] };
+
+  const fromBatch = expandRecipe(recipe, createComponentIndex([dough], library));
+  assert.deepEqual(fromBatch.leaves.map(l => l.name), ['Flour', 'Water']);
+
+  const fromLibrary = expandRecipe(recipe, createComponentIndex([], library));
+  assert.deepEqual(fromLibrary.components.map(c => c.source), ['library']);
+  assert.deepEqual(fromLibrary.leaves.map(l => l.path), [['500g dough', 'Rye flour']]);
+});
+
+test('a sub-recipe that leads back is reported as a cycle and not expanded again', () => {
+  const a = { recipe_name: 'Sauce A', ingredients: ['Sauce B', 'Salt'] };
+  const b = { recipe_name: 'Sauce B', ingredients: ['Sauce A', 'Cream'] };
+  const { leaves, cycles } = expandRecipe(a, createComponentIndex([a, b]));
+
+  assert.deepEqual(cycles, [{
+    path: ['Sauce A', 'Sauce B', 'Sauce A'],
+    message: 'Circular sub-recipe: Sauce A → Sauce B → Sauce A'
+  }]);
+  assert.deepEqual(leaves.map(l => l.path), [['Sauce B', 'Cream'], ['Salt']]);
+
+  const self = { recipe_name: 'Stock', ingredients: ['Stock', 'Bones'] };
+  assert.deepEqual(expandRecipe(self, createComponentIndex([self])).cycles.map(c => c.path), [['Stock', 'Stock']]);
+});
+
+test('component summaries roll up the allergens flagged beneath them', () => {
+  const { components } = expandRecipe(pizza, createComponentIndex([pizza, pesto, dough]));
+  const summary = summarizeComponents(components, {
+    'Dough → Flour': ['wheat'],
+    'House Pesto → 50g Pine nuts': ['tree nuts'],
+    'House Pesto → Parmesan': ['milk'],
+    Mozzarella: ['milk']
+  });
+
+  assert.deepEqual(summary.Dough.allergens, ['wheat']);
+  assert.deepEqual(summary['House Pesto'], {
+    recipe_name: 'House Pesto',
+    source: 'upload',
+    ingredients: pesto.ingredients,
+    allergens: ['tree nuts', 'milk']
+  });
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { suggest, editDistance, soundex } from '../lib/fuzzyMatch.js';
+import { createTriageQueue } from '../lib/triageQueue.js';
+import { SEED_INGREDIENTS } from '../lib/seedIngredients.js';
+
+// The English seed terms as the server offers them
+const vocabulary = SEED_INGREDIENTS
+  .filter(entry => !entry.language)
+  .flatMap((entry, id) => [entry.name, ...(entry.synonyms || [])]
+    .map(term => ({ term, entry: { ...entry, id } })));
+
+test('a misspelt name suggests the known ingredient it was meant to be', () => {
+  const [best] = suggest('mozarela', vocabulary);
+  assert.deepEqual(
+    [best.term, best.entry.allergens, best.distance, best.phonetic],
+    ['mozzarella', ['milk'], 2, true]
+  );
+  // Each word of a longer name is compared too
+  assert.ok(suggest('Parmesean cheese', vocabulary).some(s => s.term === 'parmesan'));
+  assert.deepEqual(suggest('xyzzy', vocabulary), []);
+});
+
+test('a swap of neighbouring letters is one edit and names that sound alike share a key', () => {
+  assert.equal(editDistance('sesmae', 'sesame'), 1);
+  assert.equal(editDistance('mozarela', 'mozzarella'), 2);
+  assert.equal(soundex('mozarela'), soundex('mozzarella'));
+});
+
+async function openQueue(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'triage-test-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const queue = createTriageQueue({ file: path.join(dir, 'triage.json') });
+  await queue.load();
+  return queue;
+}
+
+test('unrecognized ingredients are queued once per name across recipes', async t => {
+  const queue = await openQueue(t);
+  const pizza = { recipe_name: 'Pizza', ingredients: ['200g Mozarela', 'Dough'] };
+  const salad = { recipe_name: 'Salad', ingredients: ['mozarela', 'Zorblax'] };
+  queue.record(pizza, { language: 'en', unrecognized_ingredients: ['200g Mozarela'] });
+  queue.record(salad, { language: 'en', unrecognized_ingredients: ['mozarela', 'Zorblax'] });
+
+  assert.deepEqual(queue.list().map(e => [e.name, e.occurrences.length]), [['mozarela', 2], ['zorblax', 1]]);
+  const [mozarela] = queue.list();
+  assert.deepEqual(queue.recipesFor(mozarela).map(r => r.recipe_name), ['Pizza', 'Salad']);
+
+  // A recipe processed again without the name drops its occurrence
+  queue.record(salad, { language: 'en', unrecognized_ingredients: [] });
+  assert.deepEqual(queue.list().map(e => [e.name, e.occurrences.length]), [['mozarela', 1]]);
+  assert.throws(() => queue.list('closed'), { status: 400 });
+});
+
+test('a resolved entry opens again when a re-run still does not recognize it', async t => {
+  const queue = await openQueue(t);
+  const pizza = { recipe_name: 'Pizza', ingredients: ['Mozarela', 'Zorblax'] };
+  queue.record(pizza, { language: 'en', unrecognized_ingredients: ['Mozarela', 'Zorblax'] });
+  const [mozarela, zorblax] = queue.list();
+
+  await queue.resolve(mozarela.id, { action: 'map', ingredient_id: 1 }, 'alice');
+  await queue.resolve(zorblax.id, { action: 'ignore' }, 'alice');
+  assert.deepEqual(queue.list('resolved').map(e => [e.name, e.resolution.resolved_by]), [['mozarela', 'alice']]);
+
+  queue.record(pizza, { language: 'en', unrecognized_ingredients: ['Mozarela', 'Zorblax'] });
+  assert.deepEqual(queue.list('open').map(e => [e.name, e.resolution]), [['mozarela', undefined]]);
+  assert.deepEqual(queue.list('ignored').map(e => e.name), ['zorblax']);
+
+  await assert.rejects(queue.resolve(99, { action: 'ignore' }), { status: 404 });
+});
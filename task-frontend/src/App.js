@@ -9,10 +9,218 @@ import {
   ChevronLeft,
   ChevronRight,
   XCircle,
+  Download,
 } from "lucide-react";
-import * as XLSX from "xlsx";
+import ColumnMappingPanel from "./components/ColumnMappingPanel";
+import LoginForm from "./components/LoginForm";
+import RecipeGrid from "./components/RecipeGrid";
+import AllergenMatrix from "./components/AllergenMatrix";
+import TriageQueue from "./components/TriageQueue";
+import {
+  apiFetch,
+  apiRequest,
+  wsUrl,
+  setAuthToken,
+  setUnauthorizedHandler,
+} from "./api";
+import { setIngredient } from "./recipeEdits";
 import "./App.css";
 
+const SESSION_KEY = "allergen-label-session";
+
+/**
+ * The session saved by an earlier visit, unless it has expired
+ */
+const loadSession = () => {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+    return session && new Date(session.expires_at) > new Date()
+      ? session
+      : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Upload a workbook for parsing, optionally with a confirmed column mapping
+ */
+const uploadWorkbook = async (workbookFile, options) => {
+  const form = new FormData();
+  form.append("file", workbookFile);
+  if (options) form.append("options", JSON.stringify(options));
+
+  const res = await apiFetch("/api/upload", {
+    method: "POST",
+    body: form,
+  });
+  const data = await res.json();
+  if (!res.ok) {
+    throw new Error(data.error || `Upload failed (${res.status})`);
+  }
+  return data;
+};
+
+/**
+ * The part of a recipe the backend needs to process it (quantities feed the
+ * weight-ordered declaration, barcodes identify packaged products)
+ */
+const recipePayload = (recipe) => ({
+  recipe_name: recipe.recipe_name,
+  ingredients: recipe.ingredients,
+  equipment: recipe.equipment,
+  language: recipe.language,
+  certified: recipe.certified,
+  ingredient_details: recipe.ingredient_details?.map((d) => ({
+    quantity: d.quantity,
+    unit: d.unit,
+    characterizing: d.characterizing,
+    gtin: d.gtin,
+  })),
+});
+
+/**
+ * Display name of an allergen code: the processed result's own rendering
+ * when it was made for `lang`, else the backend dictionary, else the code
+ */
+const allergenLabel = (code, recipe, dictionary, lang) =>
+  (recipe?.lang === lang && recipe.allergen_names?.[code]) ||
+  dictionary[code]?.[lang] ||
+  code.charAt(0).toUpperCase() + code.slice(1);
+
+/**
+ * Whether a processed recipe is confirmed suitable for `diet` ("" is any)
+ */
+const matchesDiet = (recipe, diet) =>
+  !diet || recipe.dietary?.[diet]?.status === "yes";
+
+/**
+ * "meat: Bacon; unrecognized: Lettuce" summary of a dietary verdict
+ * ("not certified" has no ingredients)
+ */
+const formatDietReasons = (verdict) =>
+  verdict.reasons
+    .map((r) =>
+      r.ingredients.length
+        ? `${r.category}: ${r.ingredients.join(", ")}`
+        : r.category
+    )
+    .join("; ");
+
+/**
+ * ": gained peanuts; added Satay Sauce" summary of a recipe diff
+ */
+const formatDiff = (diff) => {
+  const parts = [
+    ["gained", diff.allergens_gained],
+    ["lost", diff.allergens_lost],
+    ["added", diff.ingredients_added],
+    ["removed", diff.ingredients_removed],
+  ]
+    .filter(([, items]) => items.length > 0)
+    .map(([label, items]) => `${label} ${items.join(", ")}`);
+  return parts.length ? `: ${parts.join("; ")}` : "";
+};
+
+/**
+ * Import issues that point at a recipe's own row or one of its ingredient rows
+ */
+const issuesForRecipe = (recipe, issues) =>
+  issues.filter(
+    (issue) =>
+      issue.sheet === recipe.sheet &&
+      (issue.row === recipe.row ||
+        (recipe.ingredient_details || []).some((d) => d.row === issue.row))
+  );
+
+/**
+ * "Sheet!B7" style reference for an import issue
+ */
+const issueLocation = (issue) =>
+  issue.sheet ? `${issue.sheet}!${issue.column || ""}${issue.row}` : "Workbook";
+
+/**
+ * Upload options matching what the backend detected for each sheet
+ */
+const detectedOptions = (workbook) => ({
+  sheets: workbook.selected_sheets,
+  sheet_options: Object.fromEntries(
+    workbook.sheets.map((sheet) => [
+      sheet.name,
+      {
+        header_row: sheet.header_row,
+        mapping: sheet.mapping,
+        layout: sheet.layout,
+      },
+    ])
+  ),
+});
+
+/**
+ * POST to the backend and return the response body as a Blob
+ */
+const apiBlob = async (path, body) => {
+  const res = await apiFetch(path, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || `Request failed (${res.status})`);
+  }
+  return res.blob();
+};
+
+/**
+ * Save a Blob to disk under the given file name
+ */
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Human-readable source of a single allergen detection
+ */
+const describeDetection = (d) => {
+  if (d.source === "external") {
+    const product = d.product
+      ? ` "${d.product.name}"${d.product.code ? ` [${d.product.code}]` : ""}`
+      : "";
+    return `${d.provider}${product}${d.cached ? ", cached" : ""}`;
+  }
+  if (d.source === "catalog") {
+    return `product catalog "${d.product.name}" [${d.product.code}]`;
+  }
+  if (d.source === "override") return "manual override";
+  if (d.source === "note") {
+    return `knowledge base "${d.key}" in the note "${d.note}"`;
+  }
+  return `knowledge base "${d.key}" matched "${d.matched_term}"`;
+};
+
+/**
+ * "soy sauce · 2 tbsp · Kikkoman" reading of a normalized ingredient
+ */
+const describeNormalized = (n) => {
+  const quantity =
+    n.quantity !== null
+      ? [
+          n.quantity,
+          n.quantity_max && `–${n.quantity_max}`,
+          n.unit && ` ${n.unit}`,
+        ]
+          .filter(Boolean)
+          .join("")
+      : null;
+  return [n.name, quantity, n.brand, ...n.notes].filter(Boolean).join(" · ");
+};
+
 const AllergenLabelSystem = () => {
   // State management
   const [file, setFile] = useState(null);
@@ -27,26 +235,94 @@ const AllergenLabelSystem = () => {
   const [error, setError] = useState("");
   const [validated, setValidated] = useState(false);
   const [wsConnected, setWsConnected] = useState(false);
+  const [regions, setRegions] = useState([]);
+  const [region, setRegion] = useState("EU");
+  const [languages, setLanguages] = useState([]);
+  const [allergenNames, setAllergenNames] = useState({});
+  const [lang, setLang] = useState("en");
+  const [diets, setDiets] = useState([]);
+  const [dietFilter, setDietFilter] = useState("");
+  const [allergenOptions, setAllergenOptions] = useState([]);
+  const [session, setSession] = useState(loadSession);
+  const [editingIngredient, setEditingIngredient] = useState(null);
+  const [draftAllergens, setDraftAllergens] = useState([]);
+  const [learnOverride, setLearnOverride] = useState(false);
+  // Ingredient being edited after processing: { index, text, gtin }
+  const [editingItem, setEditingItem] = useState(null);
+  // Results as one recipe at a time ("details"), the menu-wide "matrix" or
+  // the queue of unrecognized ingredients ("triage")
+  const [view, setView] = useState("details");
+  // Bumped per upload so the validation grid starts a fresh undo history
+  const [importId, setImportId] = useState(0);
+  const [labelSize, setLabelSize] = useState("medium");
+  const [workbook, setWorkbook] = useState(null);
+  const [uploadOptions, setUploadOptions] = useState(null);
+  const [validation, setValidation] = useState(null);
 
   const wsRef = useRef(null);
   const reconnectTimeoutRef = useRef(null);
+  // Running job and the last event seen, to resubscribe after a reconnect
+  const jobIdRef = useRef(null);
+  const lastSeqRef = useRef(0);
+  // Latest single-recipe request per recipe index; older answers are dropped
+  const reprocessSeqRef = useRef(0);
+  const pendingReprocessRef = useRef({});
+  const revalidateSeqRef = useRef(0);
 
-  // WebSocket connection with auto-reconnect
+  // Send the session with every request and keep it across reloads; a
+  // rejected token signs out (the loaded recipes stay for the next sign-in)
   useEffect(() => {
+    setAuthToken(session?.token);
+    setUnauthorizedHandler(() => setSession(null));
+    if (session) localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    else localStorage.removeItem(SESSION_KEY);
+  }, [session]);
+
+  // WebSocket connection with auto-reconnect, once signed in
+  const token = session?.token;
+  useEffect(() => {
+    if (!token) return;
+
     const connectWebSocket = () => {
       try {
-        wsRef.current = new WebSocket("ws://localhost:3001");
+        wsRef.current = new WebSocket(wsUrl(token));
 
         wsRef.current.onopen = () => {
           console.log("✓ WebSocket connected");
           setWsConnected(true);
           setError("");
+
+          // Pick up a job that was running when the connection dropped
+          if (jobIdRef.current) {
+            wsRef.current.send(
+              JSON.stringify({
+                type: "SUBSCRIBE",
+                job_id: jobIdRef.current,
+                after_seq: lastSeqRef.current,
+              })
+            );
+          }
         };
         wsRef.current.onmessage = (event) => {
           try {
             const data = JSON.parse(event.data);
+            if (data.seq) {
+              // A replay can repeat events that already arrived
+              if (
+                data.job_id === jobIdRef.current &&
+                data.seq <= lastSeqRef.current
+              ) {
+                return;
+              }
+              lastSeqRef.current = data.seq;
+            }
 
             switch (data.type) {
+              case "JOB_CREATED":
+                jobIdRef.current = data.job_id;
+                lastSeqRef.current = 0;
+                break;
+
               case "PROGRESS":
                 setProgress({
                   current: data.current,
@@ -74,11 +350,45 @@ const AllergenLabelSystem = () => {
                   message: "Processing complete!",
                 });
                 setProcessing(false);
+                jobIdRef.current = null;
+                break;
+
+              case "CANCELLED":
+                setProgress({
+                  current: data.processed,
+                  total: data.total,
+                  message: "Processing cancelled",
+                });
+                setProcessing(false);
+                jobIdRef.current = null;
+                break;
+
+              case "RECIPE_UPDATED":
+                if (
+                  pendingReprocessRef.current[data.index] !== data.request_id
+                ) {
+                  break;
+                }
+                delete pendingReprocessRef.current[data.index];
+                setRecipes((prev) => {
+                  const newRecipes = [...prev];
+                  newRecipes[data.index] = {
+                    ...newRecipes[data.index],
+                    ...data.result,
+                  };
+                  return newRecipes;
+                });
                 break;
 
               case "ERROR":
                 setError(data.message);
+                // A failed single-recipe request leaves any running job alone
+                if (data.request_id) {
+                  delete pendingReprocessRef.current[data.index];
+                  break;
+                }
                 setProcessing(false);
+                jobIdRef.current = null;
                 break;
 
               default:
@@ -93,10 +403,19 @@ const AllergenLabelSystem = () => {
           setWsConnected(false);
         };
 
-        wsRef.current.onclose = () => {
+        wsRef.current.onclose = (event) => {
           console.log("✗ WebSocket disconnected");
           setWsConnected(false);
 
+          // The session ended while connected
+          if (event.code === 4401) {
+            setSession(null);
+            return;
+          }
+          // A refused handshake looks like any other drop; asking the REST
+          // API signs out if the session is gone
+          apiRequest("/api/auth/me").catch(() => {});
+
           // Auto-reconnect after 3 seconds
           reconnectTimeoutRef.current = setTimeout(() => {
             console.log("Attempting to reconnect...");
@@ -117,78 +436,30 @@ const AllergenLabelSystem = () => {
         clearTimeout(reconnectTimeoutRef.current);
       }
       if (wsRef.current) {
+        wsRef.current.onclose = null;
         wsRef.current.close();
       }
     };
-  }, []);
-
-  /**
-   * Parse Excel file and extract recipes
-   */
-  const parseExcelFile = async (file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-
-      reader.onload = async (e) => {
-        try {
-          const data = new Uint8Array(e.target.result);
-          const workbook = XLSX.read(data, { type: "array" });
-          const sheetName = workbook.SheetNames[0];
-          const worksheet = workbook.Sheets[sheetName];
-          const jsonData = window.XLSX.utils.sheet_to_json(worksheet, {
-            header: 1,
-          });
-
-          const parsedRecipes = [];
-          let currentRecipe = null;
-
-          jsonData.forEach((row, index) => {
-            if (index === 0) return; // Skip header row
-
-            const recipeName = row[0];
-            const ingredient = row[1];
-
-            if (recipeName && recipeName.toString().trim() !== "") {
-              // New recipe found
-              if (currentRecipe) {
-                parsedRecipes.push(currentRecipe);
-              }
-              currentRecipe = {
-                recipe_name: recipeName.toString().trim(),
-                ingredients: ingredient ? [ingredient.toString().trim()] : [],
-                allergens: [],
-                flagged_ingredients: {},
-                unrecognized_ingredients: [],
-                message: "Pending validation",
-              };
-            } else if (ingredient && currentRecipe) {
-              // Additional ingredient for current recipe
-              currentRecipe.ingredients.push(ingredient.toString().trim());
-            }
-          });
+  }, [token]);
 
-          // Add last recipe
-          if (currentRecipe) {
-            parsedRecipes.push(currentRecipe);
-          }
-
-          if (parsedRecipes.length === 0) {
-            reject(new Error("No recipes found in file"));
-          } else {
-            resolve(parsedRecipes);
-          }
-        } catch (err) {
-          reject(new Error(`Failed to parse Excel: ${err.message}`));
-        }
-      };
-
-      reader.onerror = () => {
-        reject(new Error("Failed to read file"));
-      };
-
-      reader.readAsArrayBuffer(file);
-    });
-  };
+  // Load available regulatory profiles and allergen codes
+  useEffect(() => {
+    apiRequest("/api/regions")
+      .then((data) => setRegions(data.regions))
+      .catch((err) => console.error("Failed to load regions:", err));
+    apiRequest("/api/allergens/list")
+      .then((data) => setAllergenOptions(data.allergens))
+      .catch((err) => console.error("Failed to load allergens:", err));
+    apiRequest("/api/languages")
+      .then((data) => {
+        setLanguages(data.languages);
+        setAllergenNames(data.allergen_names);
+      })
+      .catch((err) => console.error("Failed to load languages:", err));
+    apiRequest("/api/diets")
+      .then((data) => setDiets(data.diets))
+      .catch((err) => console.error("Failed to load diets:", err));
+  }, []);
 
   /**
    * Handle file upload
@@ -214,15 +485,97 @@ const AllergenLabelSystem = () => {
     setValidated(false);
 
     try {
-      const parsedRecipes = await parseExcelFile(uploadedFile);
-      setRecipes(parsedRecipes);
-      setCurrentRecipeIndex(0);
+      const data = await uploadWorkbook(uploadedFile);
+      showParsedRecipes(data.recipes, data.validation);
+      setWorkbook(data.workbook);
+      setUploadOptions(detectedOptions(data.workbook));
+      setProcessing(false);
+      console.log(`Successfully parsed ${data.recipes.length} recipes`);
+    } catch (err) {
+      setError(err.message);
+      setProcessing(false);
+      setFile(null);
+    }
+  };
+
+  /**
+   * Re-parse the uploaded file with the user's confirmed column mapping
+   */
+  const applyMapping = async () => {
+    setError("");
+    setProcessing(true);
+    try {
+      const data = await uploadWorkbook(file, uploadOptions);
+      showParsedRecipes(data.recipes, data.validation);
       setProcessing(false);
-      console.log(`Successfully parsed ${parsedRecipes.length} recipes`);
     } catch (err) {
       setError(err.message);
       setProcessing(false);
+    }
+  };
+
+  /**
+   * Load the saved recipe library in place of an upload
+   */
+  const loadLibrary = async () => {
+    setError("");
+    try {
+      const data = await apiRequest("/api/recipes");
+      if (data.recipes.length === 0) {
+        setError("The recipe library is empty");
+        return;
+      }
       setFile(null);
+      setWorkbook(null);
+      setUploadOptions(null);
+      showParsedRecipes(data.recipes, null);
+    } catch (err) {
+      setError("Failed to load recipe library: " + err.message);
+    }
+  };
+
+  /**
+   * Show freshly parsed recipes and their import report, pending validation
+   */
+  const showParsedRecipes = (parsedRecipes, importValidation) => {
+    setValidation(importValidation);
+    setImportId((id) => id + 1);
+    setRecipes(
+      parsedRecipes.map((recipe) => ({
+        ...recipe,
+        allergens: [],
+        flagged_ingredients: {},
+        unrecognized_ingredients: [],
+        message: "Pending validation",
+      }))
+    );
+    setCurrentRecipeIndex(0);
+  };
+
+  /**
+   * Apply an edit from the validation grid and re-check the edited recipes
+   */
+  const editRecipes = async (edited) => {
+    setRecipes(edited);
+    const requestId = ++revalidateSeqRef.current;
+    try {
+      const data = await apiRequest("/api/upload/validate", {
+        method: "POST",
+        body: {
+          recipes: edited.map((recipe) => ({
+            ...recipePayload(recipe),
+            ingredient_details: recipe.ingredient_details,
+            sheet: recipe.sheet,
+            row: recipe.row,
+            column: recipe.column,
+          })),
+        },
+      });
+      if (requestId === revalidateSeqRef.current) {
+        setValidation(data.validation);
+      }
+    } catch (err) {
+      setError("Failed to validate recipes: " + err.message);
     }
   };
 
@@ -250,10 +603,10 @@ const AllergenLabelSystem = () => {
       wsRef.current.send(
         JSON.stringify({
           type: "PROCESS_RECIPES",
-          recipes: recipes.map((r) => ({
-            recipe_name: r.recipe_name,
-            ingredients: r.ingredients,
-          })),
+          region,
+          lang,
+          recipes: recipes.map(recipePayload),
+          save: true,
         })
       );
     } catch (err) {
@@ -262,18 +615,341 @@ const AllergenLabelSystem = () => {
     }
   };
 
+  /**
+   * Stop the running job; results received so far are kept
+   */
+  const cancelProcessing = () => {
+    if (jobIdRef.current && wsRef.current?.readyState === WebSocket.OPEN) {
+      wsRef.current.send(
+        JSON.stringify({ type: "CANCEL", job_id: jobIdRef.current })
+      );
+    }
+  };
+
+  /**
+   * Re-run detection for one recipe so review changes show up; `recipe`
+   * replaces the loaded one (e.g. with edited ingredient details)
+   */
+  const refreshRecipe = async (index, recipe = recipes[index]) => {
+    const data = await apiRequest("/api/process", {
+      method: "POST",
+      body: {
+        region: recipe.region,
+        lang,
+        recipes: [recipePayload(recipe)],
+        components: recipes.map(recipePayload),
+      },
+    });
+    setRecipes((prev) => {
+      const newRecipes = [...prev];
+      newRecipes[index] = {
+        ...newRecipes[index],
+        ingredient_details: recipe.ingredient_details,
+        ...data.recipes[0],
+      };
+      return newRecipes;
+    });
+  };
+
+  /**
+   * Re-run detection for one edited recipe over the WebSocket (REST when it
+   * is down); the rest of the batch is left as it is
+   */
+  const reprocessRecipe = async (index, recipe) => {
+    setRecipes((prev) => {
+      const newRecipes = [...prev];
+      newRecipes[index] = {
+        ...newRecipes[index],
+        ingredients: recipe.ingredients,
+        ingredient_details: recipe.ingredient_details,
+      };
+      return newRecipes;
+    });
+
+    if (!wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) {
+      await refreshRecipe(index, recipe);
+      return;
+    }
+    const requestId = ++reprocessSeqRef.current;
+    pendingReprocessRef.current[index] = requestId;
+    wsRef.current.send(
+      JSON.stringify({
+        type: "PROCESS_RECIPE",
+        request_id: requestId,
+        index,
+        region: recipe.region,
+        lang,
+        recipe: recipePayload(recipe),
+        components: recipes.filter((_, i) => i !== index).map(recipePayload),
+        save: true,
+      })
+    );
+  };
+
+  /**
+   * Save the ingredient being edited (its text and barcode) and re-run
+   * its recipe
+   */
+  const saveIngredient = async () => {
+    const { index, text, gtin } = editingItem;
+    if (!text.trim()) return;
+    const [edited] = setIngredient([currentRecipe], 0, index, text.trim());
+    edited.ingredient_details[index] = {
+      ...edited.ingredient_details[index],
+      gtin: gtin.trim() || undefined,
+    };
+    try {
+      await reprocessRecipe(currentRecipeIndex, edited);
+      setEditingItem(null);
+    } catch (err) {
+      setError("Failed to save ingredient: " + err.message);
+    }
+  };
+
+  /**
+   * Start editing the allergens of one ingredient
+   */
+  const startOverride = (ingredient) => {
+    setEditingIngredient(ingredient);
+    setDraftAllergens(currentRecipe.flagged_ingredients?.[ingredient] || []);
+    setLearnOverride(false);
+  };
+
+  /**
+   * Toggle one allergen in the override being edited
+   */
+  const toggleDraftAllergen = (allergen) => {
+    setDraftAllergens((prev) =>
+      prev.includes(allergen)
+        ? prev.filter((a) => a !== allergen)
+        : [...prev, allergen]
+    );
+  };
+
+  /**
+   * Persist the override being edited and refresh the recipe
+   */
+  const saveOverride = async () => {
+    const recipePath = encodeURIComponent(currentRecipe.recipe_name);
+    const ingredientPath = encodeURIComponent(editingIngredient);
+    try {
+      await apiRequest(
+        `/api/reviews/${recipePath}/ingredients/${ingredientPath}`,
+        {
+          method: "PUT",
+          body: {
+            allergens: draftAllergens,
+            learn: learnOverride,
+            language: currentRecipe.language,
+          },
+        }
+      );
+      await refreshRecipe(currentRecipeIndex);
+      setEditingIngredient(null);
+    } catch (err) {
+      setError("Failed to save override: " + err.message);
+    }
+  };
+
+  /**
+   * Drop an override so automatic detection applies again
+   */
+  const clearOverride = async (ingredient) => {
+    const recipePath = encodeURIComponent(currentRecipe.recipe_name);
+    const ingredientPath = encodeURIComponent(ingredient);
+    try {
+      await apiRequest(
+        `/api/reviews/${recipePath}/ingredients/${ingredientPath}`,
+        { method: "DELETE" }
+      );
+      await refreshRecipe(currentRecipeIndex);
+      setEditingIngredient(null);
+    } catch (err) {
+      setError("Failed to clear override: " + err.message);
+    }
+  };
+
+  /**
+   * Approve the current recipe's allergen result
+   */
+  const approveRecipe = async () => {
+    try {
+      const data = await apiRequest(
+        `/api/reviews/${encodeURIComponent(currentRecipe.recipe_name)}/approve`,
+        {
+          method: "POST",
+          body: {
+            region: currentRecipe.region,
+            lang,
+            recipe: {
+              ingredients: currentRecipe.ingredients,
+              language: currentRecipe.language,
+              ingredient_details:
+                recipePayload(currentRecipe).ingredient_details,
+            },
+            components: recipes.map(recipePayload),
+          },
+        }
+      );
+      setRecipes((prev) => {
+        const newRecipes = [...prev];
+        newRecipes[currentRecipeIndex] = {
+          ...newRecipes[currentRecipeIndex],
+          ...data.result,
+        };
+        return newRecipes;
+      });
+    } catch (err) {
+      setError("Failed to approve recipe: " + err.message);
+    }
+  };
+
+  /**
+   * Render labels for the current recipe (or all recipes) and open them
+   */
+  const openLabels = async (format, allRecipes = false) => {
+    const toLabel = allRecipes ? recipes : [currentRecipe];
+    const payload = toLabel.map(recipePayload);
+    const components = recipes.map(recipePayload);
+    try {
+      const blob = await apiBlob(
+        `/api/labels${allRecipes ? "/batch" : ""}?format=${format}&size=${labelSize}`,
+        {
+          region: currentRecipe.region,
+          lang,
+          components,
+          ...(allRecipes ? { recipes: payload } : { recipe: payload[0] }),
+        }
+      );
+      window.open(URL.createObjectURL(blob), "_blank");
+    } catch (err) {
+      setError("Failed to generate label: " + err.message);
+    }
+  };
+
+  /**
+   * Print the menu-wide allergen chart (html) or download it (pdf)
+   */
+  const openChart = async (format, toPrint) => {
+    try {
+      const blob = await apiBlob(`/api/export/chart?format=${format}`, {
+        region,
+        lang,
+        recipes: toPrint,
+      });
+      if (format === "pdf") downloadBlob(blob, "allergen-chart.pdf");
+      else window.open(URL.createObjectURL(blob), "_blank");
+    } catch (err) {
+      setError("Failed to print the allergen chart: " + err.message);
+    }
+  };
+
+  /**
+   * Open one recipe of the matrix in the details view
+   */
+  const showRecipe = (index) => {
+    if (!matchesDiet(recipes[index], dietFilter)) setDietFilter("");
+    setCurrentRecipeIndex(index);
+    setView("details");
+  };
+
+  /**
+   * Resolve an unrecognized ingredient for every recipe it occurs in; the
+   * recipes the server re-ran replace the loaded ones of the same name
+   */
+  const resolveTriage = async (id, decision) => {
+    const data = await apiRequest(`/api/triage/${id}/resolve`, {
+      method: "POST",
+      body: {
+        ...decision,
+        region,
+        lang,
+        components: recipes.map(recipePayload),
+      },
+    });
+    const rerun = new Map(
+      data.recipes.map((r) => [r.recipe_name.toLowerCase(), r])
+    );
+    setRecipes((prev) =>
+      prev.map((recipe) => {
+        const result = rerun.get(recipe.recipe_name.toLowerCase());
+        return result ? { ...recipe, ...result } : recipe;
+      })
+    );
+    return data;
+  };
+
+  /**
+   * Open a recipe of the triage queue by name, when it is loaded
+   */
+  const showRecipeNamed = (name) => {
+    const index = recipes.findIndex(
+      (r) => r.recipe_name.toLowerCase() === name.toLowerCase()
+    );
+    if (index === -1) setError(`"${name}" is not among the loaded recipes`);
+    else showRecipe(index);
+  };
+
+  /**
+   * Download all processed results as xlsx, csv or json
+   */
+  const exportResults = async (format) => {
+    try {
+      const blob = await apiBlob(`/api/export?format=${format}`, {
+        region: currentRecipe.region,
+        recipes,
+      });
+      const baseName = file
+        ? file.name.replace(/\.[^.]+$/, "")
+        : "allergen-matrix";
+      downloadBlob(blob, `${baseName}-allergens.${format}`);
+    } catch (err) {
+      setError("Failed to export results: " + err.message);
+    }
+  };
+
+  // Recipes shown by the diet filter, and the current one's place among them
+  const visibleIndexes = recipes
+    .map((_, idx) => idx)
+    .filter((idx) => matchesDiet(recipes[idx], dietFilter));
+  const visiblePosition = visibleIndexes.indexOf(currentRecipeIndex);
+
   /**
    * Navigate to previous recipe
    */
   const goToPreviousRecipe = () => {
-    setCurrentRecipeIndex(Math.max(0, currentRecipeIndex - 1));
+    if (visiblePosition > 0) {
+      setCurrentRecipeIndex(visibleIndexes[visiblePosition - 1]);
+    }
   };
 
   /**
    * Navigate to next recipe
    */
   const goToNextRecipe = () => {
-    setCurrentRecipeIndex(Math.min(recipes.length - 1, currentRecipeIndex + 1));
+    if (visiblePosition < visibleIndexes.length - 1) {
+      setCurrentRecipeIndex(visibleIndexes[visiblePosition + 1]);
+    }
+  };
+
+  /**
+   * Only show recipes suitable for `diet`, moving off the current recipe
+   * when it no longer matches
+   */
+  const selectDietFilter = (diet) => {
+    setDietFilter(diet);
+    if (!matchesDiet(recipes[currentRecipeIndex], diet)) {
+      const first = recipes.findIndex((recipe) => matchesDiet(recipe, diet));
+      if (first !== -1) setCurrentRecipeIndex(first);
+    }
+  };
+
+  /**
+   * End the session on the server and show the sign-in form
+   */
+  const signOut = () => {
+    apiRequest("/api/auth/logout", { method: "POST" }).catch(() => {});
+    setSession(null);
   };
 
   /**
@@ -287,9 +963,27 @@ const AllergenLabelSystem = () => {
     setProgress({ current: 0, total: 0, message: "" });
     setError("");
     setValidated(false);
+    setEditingIngredient(null);
+    setEditingItem(null);
+    setView("details");
+    setWorkbook(null);
+    setUploadOptions(null);
+    setValidation(null);
+    setDietFilter("");
   };
 
-  const currentRecipe = recipes[currentRecipeIndex];
+  const importIssues = validation
+    ? [...validation.errors, ...validation.warnings]
+    : [];
+
+  const currentRecipe =
+    visiblePosition === -1 ? undefined : recipes[currentRecipeIndex];
+  const nameOf = (code) =>
+    allergenLabel(code, currentRecipe, allergenNames, lang);
+  // Overrides and approvals need the reviewer role (admins have it too)
+  const canReview = session?.user.role !== "uploader";
+
+  if (!session) return <LoginForm onLogin={setSession} />;
 
   return (
     <div className="app-container">
@@ -311,6 +1005,21 @@ const AllergenLabelSystem = () => {
               <div className="status-dot"></div>
               <span>{wsConnected ? "Connected" : "Disconnected"}</span>
             </div>
+            <a
+              href="?guest"
+              target="_blank"
+              rel="noreferrer"
+              className="link-btn"
+            >
+              Open guest menu
+            </a>
+            <div className="session-info">
+              Signed in as <strong>{session.user.username}</strong> (
+              {session.user.role})
+              <button onClick={signOut} className="link-btn">
+                Sign out
+              </button>
+            </div>
           </div>
 
           {/* File Upload Section */}
@@ -336,6 +1045,14 @@ const AllergenLabelSystem = () => {
                 />
               </label>
 
+              <button
+                onClick={loadLibrary}
+                className="link-btn"
+                disabled={processing}
+              >
+                Or load saved recipes
+              </button>
+
               {file && (
                 <div className="file-info">
                   <FileSpreadsheet className="file-icon" />
@@ -377,6 +1094,42 @@ const AllergenLabelSystem = () => {
                   }}
                 />
               </div>
+              <button onClick={cancelProcessing} className="btn-secondary">
+                Cancel
+              </button>
+            </div>
+          )}
+
+          {/* Column Mapping */}
+          {workbook && uploadOptions && !validated && (
+            <ColumnMappingPanel
+              workbook={workbook}
+              options={uploadOptions}
+              onChange={setUploadOptions}
+              onApply={applyMapping}
+              languages={languages}
+              disabled={processing}
+            />
+          )}
+
+          {/* Import Validation Report */}
+          {importIssues.length > 0 && !validated && (
+            <div className="validation-section">
+              <h2 className="section-title">Import Issues</h2>
+              <ul className="validation-list">
+                {importIssues.map((issue, idx) => (
+                  <li key={idx} className={`validation-${issue.severity}`}>
+                    <strong>{issueLocation(issue)}</strong> [{issue.severity}]{" "}
+                    {issue.message}
+                  </li>
+                ))}
+              </ul>
+              {!validation.valid && (
+                <p className="warning-text">
+                  Fix the errors in the workbook, the column mapping or the
+                  table below before processing.
+                </p>
+              )}
             </div>
           )}
 
@@ -384,34 +1137,53 @@ const AllergenLabelSystem = () => {
           {recipes.length > 0 && !validated && (
             <div className="table-section">
               <h2 className="section-title">Validate Extracted Data</h2>
-              <div className="table-container">
-                <table className="recipe-table">
-                  <thead>
-                    <tr>
-                      <th>Recipe Name</th>
-                      <th>Ingredients</th>
-                      <th>Count</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {recipes.map((recipe, idx) => (
-                      <tr key={idx}>
-                        <td className="recipe-name">{recipe.recipe_name}</td>
-                        <td className="ingredients-cell">
-                          {recipe.ingredients.join(", ")}
-                        </td>
-                        <td className="count-cell">
-                          {recipe.ingredients.length}
-                        </td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
+              <RecipeGrid
+                key={importId}
+                recipes={recipes}
+                onChange={editRecipes}
+                issuesFor={(recipe) => issuesForRecipe(recipe, importIssues)}
+                disabled={processing}
+              />
+
+              <div className="region-select">
+                <label htmlFor="region">Labeling region:</label>
+                <select
+                  id="region"
+                  value={region}
+                  onChange={(e) => setRegion(e.target.value)}
+                  disabled={processing}
+                >
+                  {regions.map((r) => (
+                    <option key={r.code} value={r.code} title={r.name}>
+                      {r.code}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="region-select">
+                <label htmlFor="lang">Allergen names in:</label>
+                <select
+                  id="lang"
+                  value={lang}
+                  onChange={(e) => setLang(e.target.value)}
+                  disabled={processing}
+                >
+                  {languages.map((l) => (
+                    <option key={l.code} value={l.code}>
+                      {l.name}
+                    </option>
+                  ))}
+                </select>
               </div>
 
               <button
                 onClick={processAllergens}
-                disabled={processing || !wsConnected}
+                disabled={
+                  processing ||
+                  !wsConnected ||
+                  (validation && !validation.valid)
+                }
                 className="btn-primary"
               >
                 {processing ? (
@@ -435,8 +1207,79 @@ const AllergenLabelSystem = () => {
             </div>
           )}
 
+          {/* Diet filter */}
+          {validated && recipes.length > 0 && (
+            <div className="region-select">
+              <label htmlFor="diet-filter">Show:</label>
+              <select
+                id="diet-filter"
+                value={dietFilter}
+                onChange={(e) => selectDietFilter(e.target.value)}
+              >
+                <option value="">All recipes</option>
+                {diets.map((d) => (
+                  <option key={d.code} value={d.code}>
+                    {d.name}
+                  </option>
+                ))}
+              </select>
+              {dietFilter && (
+                <span className="mapping-hint">
+                  {" "}
+                  {visibleIndexes.length} of {recipes.length} recipes
+                </span>
+              )}
+              <button
+                onClick={() =>
+                  setView(view === "matrix" ? "details" : "matrix")
+                }
+                className="btn-secondary"
+              >
+                {view === "matrix" ? "Recipe details" : "Menu allergen matrix"}
+              </button>
+              <button
+                onClick={() =>
+                  setView(view === "triage" ? "details" : "triage")
+                }
+                className="btn-secondary"
+              >
+                {view === "triage"
+                  ? "Recipe details"
+                  : "Unrecognized ingredients"}
+              </button>
+            </div>
+          )}
+
+          {/* Menu-wide Allergen Matrix */}
+          {validated && recipes.length > 0 && view === "matrix" && (
+            <div className="table-section">
+              <h2 className="section-title">Menu Allergen Matrix</h2>
+              <AllergenMatrix
+                recipes={recipes}
+                region={region}
+                lang={lang}
+                onSelect={showRecipe}
+                onPrint={openChart}
+              />
+            </div>
+          )}
+
+          {/* Unrecognized ingredients across all processed recipes */}
+          {validated && recipes.length > 0 && view === "triage" && (
+            <div className="table-section">
+              <h2 className="section-title">Unrecognized Ingredients</h2>
+              <TriageQueue
+                recipes={recipes}
+                canReview={canReview}
+                allergenOptions={allergenOptions}
+                onResolve={resolveTriage}
+                onSelect={showRecipeNamed}
+              />
+            </div>
+          )}
+
           {/* Recipe Details View */}
-          {validated && currentRecipe && (
+          {validated && currentRecipe && view === "details" && (
             <div className="recipe-details">
               {/* Navigation Header */}
               <div className="navigation-header">
@@ -444,18 +1287,18 @@ const AllergenLabelSystem = () => {
                 <div className="navigation-controls">
                   <button
                     onClick={goToPreviousRecipe}
-                    disabled={currentRecipeIndex === 0}
+                    disabled={visiblePosition === 0}
                     className="nav-btn"
                     title="Previous recipe"
                   >
                     <ChevronLeft />
                   </button>
                   <span className="recipe-counter">
-                    {currentRecipeIndex + 1} / {recipes.length}
+                    {visiblePosition + 1} / {visibleIndexes.length}
                   </span>
                   <button
                     onClick={goToNextRecipe}
-                    disabled={currentRecipeIndex === recipes.length - 1}
+                    disabled={visiblePosition === visibleIndexes.length - 1}
                     className="nav-btn"
                     title="Next recipe"
                   >
@@ -468,16 +1311,285 @@ const AllergenLabelSystem = () => {
               <div className="recipe-content">
                 <h3 className="recipe-title">{currentRecipe.recipe_name}</h3>
 
+                {/* Review Status */}
+                {currentRecipe.review && (
+                  <div
+                    className={`review-status ${currentRecipe.review.status}`}
+                  >
+                    {currentRecipe.review.status === "approved"
+                      ? `Approved by ${currentRecipe.review.approved_by}`
+                      : currentRecipe.review.status === "reviewed"
+                      ? `Reviewed by ${currentRecipe.review.reviewed_by}`
+                      : "Pending review"}
+                  </div>
+                )}
+
+                {/* Allergen profile changed since the label was approved */}
+                {currentRecipe.changed_since_approval && (
+                  <div
+                    className={`alert ${
+                      currentRecipe.changed_since_approval.allergens_gained
+                        .length > 0
+                        ? "alert-error"
+                        : "alert-info"
+                    }`}
+                  >
+                    <AlertCircle className="alert-icon" />
+                    <span>
+                      Changed since last approval
+                      {formatDiff(currentRecipe.changed_since_approval)}
+                    </span>
+                  </div>
+                )}
+
+                {/* Library version */}
+                {currentRecipe.library && (
+                  <p className="library-status">
+                    {currentRecipe.library.status === "created"
+                      ? "Saved to the recipe library"
+                      : `Library version ${currentRecipe.library.version}`}
+                    {currentRecipe.library.status === "updated" &&
+                      ` (new${formatDiff(currentRecipe.library.diff)})`}
+                  </p>
+                )}
+
                 {/* Ingredients */}
                 <div className="detail-section">
                   <h4 className="detail-title">Ingredients:</h4>
                   <ul className="ingredient-list">
-                    {currentRecipe.ingredients.map((ing, idx) => (
-                      <li key={idx}>{ing}</li>
-                    ))}
+                    {currentRecipe.ingredients.map((ing, idx) => {
+                      const overridden = currentRecipe.detections?.[ing]?.some(
+                        (d) => d.source === "override"
+                      );
+                      const subRecipe = currentRecipe.sub_recipes?.[ing];
+                      const normalized =
+                        currentRecipe.normalized_ingredients?.[ing];
+                      const gtin =
+                        currentRecipe.ingredient_details?.[idx]?.gtin;
+                      const product = currentRecipe.products?.[ing];
+                      return (
+                        <li key={idx}>
+                          {ing}
+                          {normalized && (
+                            <span
+                              className="normalized-name"
+                              title={
+                                normalized.components.length > 0
+                                  ? `Checked separately: ${normalized.components.join(
+                                      ", "
+                                    )}`
+                                  : undefined
+                              }
+                            >
+                              {describeNormalized(normalized)}
+                            </span>
+                          )}
+                          {overridden && (
+                            <span className="override-badge">reviewed</span>
+                          )}
+                          {gtin && (
+                            <span
+                              className="gtin-badge"
+                              title={
+                                product
+                                  ? `${product.name} (${product.code})`
+                                  : "No product found; matched by name"
+                              }
+                            >
+                              GTIN {gtin}
+                            </span>
+                          )}
+                          {subRecipe && (
+                            <span
+                              className="sub-recipe-badge"
+                              title={subRecipe.ingredients.join(", ")}
+                            >
+                              sub-recipe
+                              {subRecipe.allergens.length > 0 &&
+                                `: ${subRecipe.allergens.map(nameOf).join(", ")}`}
+                            </span>
+                          )}
+                          {canReview &&
+                            !processing &&
+                            !subRecipe &&
+                            editingIngredient !== ing && (
+                              <button
+                                onClick={() => startOverride(ing)}
+                                className="link-btn"
+                                title="Correct allergens for this ingredient"
+                              >
+                                Edit allergens
+                              </button>
+                            )}
+                          {!processing && editingItem?.index !== idx && (
+                            <button
+                              onClick={() =>
+                                setEditingItem({
+                                  index: idx,
+                                  text: ing,
+                                  gtin: gtin ? String(gtin) : "",
+                                })
+                              }
+                              className="link-btn"
+                              title="Fix the ingredient text or add its barcode"
+                            >
+                              Edit ingredient
+                            </button>
+                          )}
+                          {editingItem?.index === idx && (
+                            <div className="override-editor">
+                              <input
+                                type="text"
+                                placeholder="Ingredient"
+                                value={editingItem.text}
+                                onChange={(e) =>
+                                  setEditingItem({
+                                    ...editingItem,
+                                    text: e.target.value,
+                                  })
+                                }
+                              />
+                              {!subRecipe && (
+                                <input
+                                  type="text"
+                                  inputMode="numeric"
+                                  placeholder="Barcode (GTIN / EAN)"
+                                  value={editingItem.gtin}
+                                  onChange={(e) =>
+                                    setEditingItem({
+                                      ...editingItem,
+                                      gtin: e.target.value,
+                                    })
+                                  }
+                                />
+                              )}
+                              <div className="override-actions">
+                                <button
+                                  onClick={saveIngredient}
+                                  disabled={!editingItem.text.trim()}
+                                  className="btn-primary"
+                                >
+                                  Save
+                                </button>
+                                <button
+                                  onClick={() => setEditingItem(null)}
+                                  className="btn-secondary"
+                                >
+                                  Cancel
+                                </button>
+                              </div>
+                            </div>
+                          )}
+                          {editingIngredient === ing && (
+                            <div className="override-editor">
+                              <div className="allergen-options">
+                                {allergenOptions.map((allergen) => (
+                                  <label key={allergen}>
+                                    <input
+                                      type="checkbox"
+                                      checked={draftAllergens.includes(
+                                        allergen
+                                      )}
+                                      onChange={() =>
+                                        toggleDraftAllergen(allergen)
+                                      }
+                                    />
+                                    {allergen}
+                                  </label>
+                                ))}
+                              </div>
+                              <label>
+                                <input
+                                  type="checkbox"
+                                  checked={learnOverride}
+                                  onChange={(e) =>
+                                    setLearnOverride(e.target.checked)
+                                  }
+                                />
+                                Remember for future uploads
+                              </label>
+                              <div className="override-actions">
+                                <button
+                                  onClick={saveOverride}
+                                  className="btn-primary"
+                                >
+                                  Save
+                                </button>
+                                {overridden && (
+                                  <button
+                                    onClick={() => clearOverride(ing)}
+                                    className="btn-secondary"
+                                  >
+                                    Use automatic detection
+                                  </button>
+                                )}
+                                <button
+                                  onClick={() => setEditingIngredient(null)}
+                                  className="btn-secondary"
+                                >
+                                  Cancel
+                                </button>
+                              </div>
+                            </div>
+                          )}
+                        </li>
+                      );
+                    })}
                   </ul>
                 </div>
 
+                {/* Weight-ordered ingredient declaration (QUID) */}
+                {currentRecipe.quid && (
+                  <div className="detail-section">
+                    <h4 className="detail-title">Declaration (by weight):</h4>
+                    <p>{currentRecipe.quid.declaration}</p>
+                    {currentRecipe.quid.complete && (
+                      <ul className="provenance-list">
+                        {currentRecipe.quid.ingredients.map((q, idx) => (
+                          <li key={idx}>
+                            {q.name}: {q.grams} g, {q.percent.toFixed(1)}%
+                            {q.estimated ? " (weighed as water)" : ""}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    {currentRecipe.quid.warnings.length > 0 && (
+                      <ul className="unrecognized-list">
+                        {currentRecipe.quid.warnings.map((w, idx) => (
+                          <li key={idx}>{w.message}</li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
+
+                {/* Dietary profile */}
+                {currentRecipe.dietary && (
+                  <div className="detail-section">
+                    <h4 className="detail-title">Dietary:</h4>
+                    <div className="allergen-tags">
+                      {diets.map((d) => {
+                        const verdict = currentRecipe.dietary[d.code];
+                        if (!verdict) return null;
+                        return (
+                          <span
+                            key={d.code}
+                            className={`diet-tag ${verdict.status}`}
+                            title={formatDietReasons(verdict)}
+                          >
+                            {verdict.status === "yes"
+                              ? "✓"
+                              : verdict.status === "no"
+                              ? "✗"
+                              : "?"}{" "}
+                            {d.name}
+                          </span>
+                        );
+                      })}
+                    </div>
+                  </div>
+                )}
+
                 {/* Allergens */}
                 {currentRecipe.allergens &&
                   currentRecipe.allergens.length > 0 && (
@@ -486,8 +1598,53 @@ const AllergenLabelSystem = () => {
                       <div className="allergen-tags">
                         {currentRecipe.allergens.map((allergen, idx) => (
                           <span key={idx} className="allergen-tag">
-                            {allergen.charAt(0).toUpperCase() +
-                              allergen.slice(1)}
+                            {nameOf(allergen)}
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                {/* Precautionary allergens, kept apart from "contains" */}
+                {currentRecipe.may_contain &&
+                  currentRecipe.may_contain.length > 0 && (
+                    <div className="detail-section">
+                      <h4 className="detail-title">May Contain:</h4>
+                      <div className="allergen-tags">
+                        {currentRecipe.may_contain.map((allergen, idx) => (
+                          <span key={idx} className="allergen-tag may-contain">
+                            {nameOf(allergen)}
+                          </span>
+                        ))}
+                      </div>
+                      <ul className="provenance-list">
+                        {currentRecipe.may_contain_sources.map((p, idx) => (
+                          <li key={idx}>
+                            {p.allergen}: {p.source} "{p.name}"
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                {currentRecipe.unknown_equipment && (
+                  <p className="warning-text">
+                    Equipment not in the cross-contact register:{" "}
+                    {currentRecipe.unknown_equipment.join(", ")}
+                  </p>
+                )}
+
+                {/* Allergens outside the selected regulatory profile */}
+                {currentRecipe.other_allergens &&
+                  currentRecipe.other_allergens.length > 0 && (
+                    <div className="detail-section">
+                      <h4 className="detail-title">
+                        Not declarable in {currentRecipe.region}:
+                      </h4>
+                      <div className="allergen-tags">
+                        {currentRecipe.other_allergens.map((allergen, idx) => (
+                          <span key={idx} className="allergen-tag other">
+                            {nameOf(allergen)}
                           </span>
                         ))}
                       </div>
@@ -511,6 +1668,27 @@ const AllergenLabelSystem = () => {
                     </div>
                   )}
 
+                {/* Low-confidence detections need a reviewer's attention */}
+                {currentRecipe.low_confidence_detections &&
+                  currentRecipe.low_confidence_detections.length > 0 && (
+                    <div className="detail-section">
+                      <h4 className="detail-title">
+                        Low-Confidence Detections:
+                      </h4>
+                      <ul className="low-confidence-list">
+                        {currentRecipe.low_confidence_detections.map(
+                          (d, idx) => (
+                            <li key={idx}>
+                              <strong>{d.ingredient}</strong> → {d.allergen} (
+                              {Math.round(d.confidence * 100)}%
+                              {d.product ? `, via "${d.product.name}"` : ""})
+                            </li>
+                          )
+                        )}
+                      </ul>
+                    </div>
+                  )}
+
                 {/* Warnings */}
                 {currentRecipe.flagged_ingredients &&
                   Object.keys(currentRecipe.flagged_ingredients).length > 0 && (
@@ -523,10 +1701,23 @@ const AllergenLabelSystem = () => {
                               <AlertCircle className="warning-icon" />
                               <p>
                                 <strong>{ing}</strong> contains{" "}
-                                <strong>{allergens.join(", ")}</strong>, which{" "}
+                                <strong>
+                                  {allergens.map(nameOf).join(", ")}
+                                </strong>
+                                , which{" "}
                                 {allergens.length === 1 ? "is a" : "are"} common
                                 allergen{allergens.length > 1 ? "s" : ""}.
                               </p>
+                              {currentRecipe.detections?.[ing] && (
+                                <ul className="provenance-list">
+                                  {currentRecipe.detections[ing].map((d, i) => (
+                                    <li key={i}>
+                                      {d.allergen}: {describeDetection(d)} (
+                                      {Math.round(d.confidence * 100)}%)
+                                    </li>
+                                  ))}
+                                </ul>
+                              )}
                             </div>
                           )
                         )}
@@ -534,6 +1725,18 @@ const AllergenLabelSystem = () => {
                     </div>
                   )}
 
+                {/* Circular sub-recipes are not expanded */}
+                {currentRecipe.cycles && currentRecipe.cycles.length > 0 && (
+                  <div className="detail-section">
+                    <h4 className="detail-title">Circular Sub-Recipes:</h4>
+                    <ul className="unrecognized-list">
+                      {currentRecipe.cycles.map((cycle, idx) => (
+                        <li key={idx}>{cycle.path.join(" → ")}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
                 {/* Status Message */}
                 <div className="status-message">
                   <p>{currentRecipe.message}</p>
@@ -542,6 +1745,60 @@ const AllergenLabelSystem = () => {
 
               {/* Action Buttons */}
               <div className="action-buttons">
+                {canReview && (
+                  <button
+                    onClick={approveRecipe}
+                    disabled={
+                      processing || currentRecipe.review?.status === "approved"
+                    }
+                    className="btn-primary"
+                  >
+                    <CheckCircle className="btn-icon" />
+                    Approve Recipe
+                  </button>
+                )}
+                <div className="export-buttons">
+                  <Download className="btn-icon" />
+                  {["xlsx", "csv", "json"].map((format) => (
+                    <button
+                      key={format}
+                      onClick={() => exportResults(format)}
+                      disabled={processing}
+                      className="btn-secondary"
+                      title={`Download all results as ${format.toUpperCase()}`}
+                    >
+                      {format.toUpperCase()}
+                    </button>
+                  ))}
+                </div>
+                <select
+                  value={labelSize}
+                  onChange={(e) => setLabelSize(e.target.value)}
+                  title="Label size"
+                >
+                  <option value="small">Small (62×29 mm)</option>
+                  <option value="medium">Medium (102×76 mm)</option>
+                  <option value="large">Large (102×152 mm)</option>
+                  <option value="a4">A4</option>
+                </select>
+                <button
+                  onClick={() => openLabels("html")}
+                  className="btn-secondary"
+                >
+                  Print Label
+                </button>
+                <button
+                  onClick={() => openLabels("pdf")}
+                  className="btn-secondary"
+                >
+                  Label PDF
+                </button>
+                <button
+                  onClick={() => openLabels("pdf", true)}
+                  className="btn-secondary"
+                >
+                  All Labels PDF
+                </button>
                 <button onClick={resetApp} className="btn-secondary">
                   Upload New File
                 </button>
@@ -0,0 +1,56 @@
+/**
+ * Backend endpoints and the request helpers shared by the views
+ */
+const API_URL = "http://localhost:3001";
+const WS_URL = "ws://localhost:3001";
+
+// Session token sent with every request, and who to tell when it is rejected
+let authToken = null;
+let onUnauthorized = () => {};
+
+const setAuthToken = (token) => {
+  authToken = token;
+};
+
+const setUnauthorizedHandler = (handler) => {
+  onUnauthorized = handler;
+};
+
+/**
+ * fetch() against the backend with the session token; a rejected token
+ * (401) signs the user out
+ */
+const apiFetch = async (path, { headers, ...init } = {}) => {
+  const res = await fetch(`${API_URL}${path}`, {
+    ...init,
+    headers: {
+      ...headers,
+      ...(authToken && { Authorization: `Bearer ${authToken}` }),
+    },
+  });
+  if (res.status === 401 && authToken) onUnauthorized();
+  return res;
+};
+
+/**
+ * JSON request against the backend; throws with the server's error message
+ */
+const apiRequest = async (path, { method = "GET", body } = {}) => {
+  const res = await apiFetch(path, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: body && JSON.stringify(body),
+  });
+  const data = await res.json();
+  if (!res.ok) {
+    throw new Error(data.error || `Request failed (${res.status})`);
+  }
+  return data;
+};
+
+/**
+ * WebSocket URL for a session (the handshake is refused without one)
+ */
+const wsUrl = (token) => `${WS_URL}/?token=${encodeURIComponent(token)}`;
+
+export { apiFetch, apiRequest, wsUrl, setAuthToken, setUnauthorizedHandler };
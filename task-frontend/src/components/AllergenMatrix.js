@@ -0,0 +1,239 @@
+import React, { useState, useEffect } from "react";
+import { AlertCircle, Download, Printer } from "lucide-react";
+import { apiRequest } from "../api";
+
+const MARKS = { contains: "●", may_contain: "○", unknown: "?" };
+// Sorting by an allergen puts contains first, then may contain, then unknown
+const CELL_RANK = { contains: 0, may_contain: 1, unknown: 2 };
+const CELL_TITLES = {
+  contains: "Contains",
+  may_contain: "May contain",
+  unknown: "Unknown: an ingredient was not recognized",
+};
+
+/**
+ * The whole processed menu at once: recipes as rows, allergens as columns
+ * (contains / may contain / unknown), with search, sorting and an allergen
+ * filter, how often each allergen occurs and the unrecognized ingredients
+ * that leave the most recipes unresolved. The chart comes from
+ * POST /api/export/chart; `onPrint(format, recipes)` prints the rows shown,
+ * in the order shown. `onSelect(index)` opens a recipe.
+ */
+const AllergenMatrix = ({ recipes, region, lang, onSelect, onPrint }) => {
+  const [chart, setChart] = useState(null);
+  const [error, setError] = useState("");
+  const [search, setSearch] = useState("");
+  const [filter, setFilter] = useState({ allergen: "", mode: "contains" });
+  const [sort, setSort] = useState({ key: "name", dir: 1 });
+
+  // Rebuild whenever the results change; ignore answers that arrive late
+  useEffect(() => {
+    let current = true;
+    apiRequest("/api/export/chart", {
+      method: "POST",
+      body: { recipes, region, lang },
+    })
+      .then((data) => {
+        if (!current) return;
+        setChart(data);
+        setError("");
+      })
+      .catch((err) => current && setError(err.message));
+    return () => {
+      current = false;
+    };
+  }, [recipes, region, lang]);
+
+  if (error) {
+    return (
+      <div className="alert alert-error">
+        <AlertCircle className="alert-icon" />
+        <span>Failed to build the allergen chart: {error}</span>
+      </div>
+    );
+  }
+  if (!chart) return null;
+
+  const matchesFilter = (row) => {
+    if (!filter.allergen) return true;
+    const cell = row.cells[filter.allergen];
+    if (filter.mode === "free") return cell === null;
+    return cell === "contains" || cell === "may_contain";
+  };
+
+  const compare = (a, b) => {
+    if (sort.key === "name") return a.recipe_name.localeCompare(b.recipe_name);
+    if (sort.key === "count") {
+      return a.contains - b.contains || a.may_contain - b.may_contain;
+    }
+    const rank = (row) => CELL_RANK[row.cells[sort.key]] ?? 3;
+    return rank(a) - rank(b);
+  };
+
+  const needle = search.trim().toLowerCase();
+  const rows = chart.recipes
+    .map((row, index) => ({ ...row, index }))
+    .filter((row) => row.recipe_name.toLowerCase().includes(needle))
+    .filter(matchesFilter)
+    .sort(
+      (a, b) =>
+        compare(a, b) * sort.dir || a.recipe_name.localeCompare(b.recipe_name)
+    );
+
+  const sortBy = (key) =>
+    setSort((prev) => ({
+      key,
+      dir: prev.key === key ? -prev.dir : 1,
+    }));
+  const arrow = (key) => (sort.key === key ? (sort.dir > 0 ? " ▲" : " ▼") : "");
+
+  const frequency = [...chart.frequency]
+    .filter((f) => f.contains + f.may_contain > 0)
+    .sort((a, b) => b.contains - a.contains || b.may_contain - a.may_contain);
+  const printed = rows.map((row) => recipes[row.index]);
+
+  return (
+    <div className="allergen-matrix">
+      <div className="matrix-controls">
+        <input
+          type="search"
+          placeholder="Search recipes"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        <select
+          value={filter.allergen}
+          onChange={(e) => setFilter({ ...filter, allergen: e.target.value })}
+        >
+          <option value="">All allergens</option>
+          {chart.allergens.map((a) => (
+            <option key={a.code} value={a.code}>
+              {a.name}
+            </option>
+          ))}
+        </select>
+        {filter.allergen && (
+          <select
+            value={filter.mode}
+            onChange={(e) => setFilter({ ...filter, mode: e.target.value })}
+          >
+            <option value="contains">contains or may contain</option>
+            <option value="free">free from</option>
+          </select>
+        )}
+        <span className="matrix-count">
+          {rows.length} / {chart.recipes.length} recipes
+        </span>
+        <button
+          onClick={() => onPrint("html", printed)}
+          disabled={!rows.length}
+          className="btn-secondary"
+        >
+          <Printer className="btn-icon" />
+          Print chart
+        </button>
+        <button
+          onClick={() => onPrint("pdf", printed)}
+          disabled={!rows.length}
+          className="btn-secondary"
+        >
+          <Download className="btn-icon" />
+          Chart PDF
+        </button>
+      </div>
+
+      <div className="table-container">
+        <table className="recipe-table matrix-table">
+          <thead>
+            <tr>
+              <th onClick={() => sortBy("name")}>Recipe{arrow("name")}</th>
+              {chart.allergens.map((a) => (
+                <th
+                  key={a.code}
+                  onClick={() => sortBy(a.code)}
+                  title={`Sort by ${a.name}`}
+                >
+                  {a.name}
+                  {arrow(a.code)}
+                </th>
+              ))}
+              <th onClick={() => sortBy("count")}>Total{arrow("count")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.index}>
+                <td className="recipe-name">
+                  <button
+                    onClick={() => onSelect(row.index)}
+                    className="link-btn"
+                  >
+                    {row.recipe_name}
+                  </button>
+                  {row.approved && " ✓"}
+                </td>
+                {chart.allergens.map((a) => {
+                  const cell = row.cells[a.code];
+                  return (
+                    <td
+                      key={a.code}
+                      className={cell ? `cell-${cell}` : undefined}
+                      title={
+                        cell === "unknown"
+                          ? `${CELL_TITLES.unknown}: ${row.unresolved.join(", ")}`
+                          : CELL_TITLES[cell]
+                      }
+                    >
+                      {cell ? MARKS[cell] : ""}
+                    </td>
+                  );
+                })}
+                <td className="count-cell">
+                  {row.contains}
+                  {row.may_contain > 0 && ` (+${row.may_contain})`}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="mapping-hint">
+        {MARKS.contains} contains · {MARKS.may_contain} may contain ·{" "}
+        {MARKS.unknown} unknown (unrecognized ingredients) · click a column to
+        sort
+      </p>
+
+      <div className="detail-section">
+        <h4 className="detail-title">Allergens across the menu:</h4>
+        {frequency.length === 0 ? (
+          <p>No allergens found.</p>
+        ) : (
+          <ul className="provenance-list">
+            {frequency.map((f) => (
+              <li key={f.code}>
+                {f.name}: {f.contains} of {chart.recipes.length} recipes
+                {f.may_contain > 0 && `, may contain in ${f.may_contain}`}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {chart.blockers.length > 0 && (
+        <div className="detail-section">
+          <h4 className="detail-title">Unrecognized ingredients to resolve:</h4>
+          <ol className="provenance-list">
+            {chart.blockers.slice(0, 10).map((b) => (
+              <li key={b.ingredient} title={b.recipes.join(", ")}>
+                {b.ingredient}: blocks {b.recipes.length} recipe
+                {b.recipes.length === 1 ? "" : "s"}
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AllergenMatrix;
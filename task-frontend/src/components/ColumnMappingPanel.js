@@ -0,0 +1,179 @@
+import React from "react";
+
+const FIELD_LABELS = {
+  recipe: "Recipe name",
+  ingredient: "Ingredient(s)",
+  quantity: "Quantity",
+  unit: "Unit",
+  supplier: "Supplier",
+  gtin: "Barcode (GTIN/EAN)",
+  equipment: "Equipment",
+};
+
+/**
+ * Lets the user confirm or correct how each sheet of an uploaded workbook
+ * is read: which sheets, header row, layout, ingredient language and
+ * column per field.
+ */
+const ColumnMappingPanel = ({
+  workbook,
+  options,
+  onChange,
+  onApply,
+  languages = [],
+  disabled,
+}) => {
+  const selected = options.sheets;
+
+  const toggleSheet = (name) => {
+    const sheets = selected.includes(name)
+      ? selected.filter((s) => s !== name)
+      : [...selected, name];
+    onChange({ ...options, sheets });
+  };
+
+  const updateSheet = (name, changes) => {
+    onChange({
+      ...options,
+      sheet_options: {
+        ...options.sheet_options,
+        [name]: { ...options.sheet_options[name], ...changes },
+      },
+    });
+  };
+
+  const updateMapping = (name, field, value) => {
+    const mapping = { ...options.sheet_options[name].mapping };
+    if (value === "") {
+      delete mapping[field];
+    } else {
+      mapping[field] = Number(value);
+    }
+    updateSheet(name, { mapping });
+  };
+
+  return (
+    <div className="mapping-section">
+      <h2 className="section-title">Confirm Column Mapping</h2>
+
+      <div className="sheet-list">
+        {workbook.sheets.map((sheet) => (
+          <label key={sheet.name} className="sheet-option">
+            <input
+              type="checkbox"
+              checked={selected.includes(sheet.name)}
+              onChange={() => toggleSheet(sheet.name)}
+              disabled={disabled}
+            />
+            {sheet.name}
+            {!sheet.detected && (
+              <span className="mapping-hint"> (no header detected)</span>
+            )}
+          </label>
+        ))}
+        <button
+          onClick={() =>
+            onChange({
+              ...options,
+              sheets: workbook.sheets.map((s) => s.name),
+            })
+          }
+          className="link-btn"
+          disabled={disabled}
+        >
+          All sheets
+        </button>
+      </div>
+
+      {workbook.sheets
+        .filter((sheet) => selected.includes(sheet.name))
+        .map((sheet) => {
+          const sheetOptions = options.sheet_options[sheet.name];
+          return (
+            <div key={sheet.name} className="sheet-mapping">
+              <h4 className="detail-title">{sheet.name}</h4>
+              <label>
+                Header row:
+                <input
+                  type="number"
+                  min="1"
+                  value={sheetOptions.header_row || ""}
+                  onChange={(e) =>
+                    updateSheet(sheet.name, {
+                      header_row: Number(e.target.value) || undefined,
+                    })
+                  }
+                  disabled={disabled}
+                />
+              </label>
+              <label>
+                Layout:
+                <select
+                  value={sheetOptions.layout}
+                  onChange={(e) =>
+                    updateSheet(sheet.name, { layout: e.target.value })
+                  }
+                  disabled={disabled}
+                >
+                  <option value="grouped">One ingredient per row</option>
+                  <option value="flat">One recipe per row</option>
+                </select>
+              </label>
+              <label>
+                Language:
+                <select
+                  value={sheetOptions.language || "auto"}
+                  onChange={(e) =>
+                    updateSheet(sheet.name, { language: e.target.value })
+                  }
+                  disabled={disabled}
+                >
+                  <option value="auto">
+                    Auto
+                    {sheet.detected_language
+                      ? ` (detected: ${sheet.detected_language})`
+                      : ""}
+                  </option>
+                  {languages.map((l) => (
+                    <option key={l.code} value={l.code}>
+                      {l.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {Object.entries(FIELD_LABELS).map(([field, label]) => (
+                <label key={field}>
+                  {label}:
+                  <select
+                    value={sheetOptions.mapping[field] ?? ""}
+                    onChange={(e) =>
+                      updateMapping(sheet.name, field, e.target.value)
+                    }
+                    disabled={disabled}
+                  >
+                    <option value="">— none —</option>
+                    {sheet.columns.map((col) => (
+                      <option key={col.index} value={col.index}>
+                        {col.letter}
+                        {col.header ? `: ${col.header}` : ""}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+          );
+        })}
+
+      <button
+        onClick={onApply}
+        disabled={disabled || selected.length === 0}
+        className="btn-secondary"
+      >
+        Apply Mapping
+      </button>
+    </div>
+  );
+};
+
+export default ColumnMappingPanel;
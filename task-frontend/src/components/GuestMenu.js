@@ -0,0 +1,173 @@
+import React, { useState, useEffect } from "react";
+import { AlertCircle, CheckCircle, XCircle } from "lucide-react";
+import { apiRequest } from "../api";
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Read-only menu for guests: tick the allergens to avoid and see which
+ * dishes are safe, which are not (and why) and which to check with the
+ * kitchen. Reads the approved recipes of the library through GET /api/menu.
+ */
+const GuestMenu = () => {
+  const [allergens, setAllergens] = useState([]);
+  const [languages, setLanguages] = useState([]);
+  const [allergenNames, setAllergenNames] = useState({});
+  const [lang, setLang] = useState("en");
+  const [exclude, setExclude] = useState([]);
+  const [menu, setMenu] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    apiRequest("/api/allergens/list")
+      .then((data) => setAllergens(data.allergens))
+      .catch((err) => setError("Failed to load allergens: " + err.message));
+    apiRequest("/api/languages")
+      .then((data) => {
+        setLanguages(data.languages);
+        setAllergenNames(data.allergen_names);
+      })
+      .catch((err) => console.error("Failed to load languages:", err));
+  }, []);
+
+  // Re-query whenever the selection changes; ignore answers that arrive late
+  useEffect(() => {
+    let current = true;
+    const params = new URLSearchParams({ exclude: exclude.join(","), lang });
+    apiRequest(`/api/menu?${params}`)
+      .then((data) => {
+        if (!current) return;
+        setMenu(data);
+        setError("");
+      })
+      .catch((err) => {
+        if (current) setError("Failed to load the menu: " + err.message);
+      });
+    return () => {
+      current = false;
+    };
+  }, [exclude, lang]);
+
+  const nameOf = (code) => allergenNames[code]?.[lang] || capitalize(code);
+
+  const toggleAllergen = (code) => {
+    setExclude((prev) =>
+      prev.includes(code) ? prev.filter((c) => c !== code) : [...prev, code]
+    );
+  };
+
+  const describeReason = (reason) =>
+    reason.type === "contains"
+      ? `Contains ${nameOf(reason.allergen)} (${reason.ingredients.join(", ")})`
+      : `May contain ${nameOf(reason.allergen)}`;
+
+  const dietText = (dish) =>
+    dish.diets.length ? ` · ${dish.diets.map(capitalize).join(", ")}` : "";
+
+  return (
+    <div className="app-container">
+      <div className="content-wrapper">
+        <div className="main-card">
+          <div className="header">
+            <h1 className="title">🍽️ Our Menu</h1>
+            <p className="subtitle">Tick the allergens you need to avoid</p>
+          </div>
+
+          <div className="region-select">
+            <label htmlFor="guest-lang">Language:</label>
+            <select
+              id="guest-lang"
+              value={lang}
+              onChange={(e) => setLang(e.target.value)}
+            >
+              {languages.map((l) => (
+                <option key={l.code} value={l.code}>
+                  {l.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="allergen-options">
+            {allergens.map((code) => (
+              <label key={code}>
+                <input
+                  type="checkbox"
+                  checked={exclude.includes(code)}
+                  onChange={() => toggleAllergen(code)}
+                />
+                {nameOf(code)}
+              </label>
+            ))}
+          </div>
+
+          {error && (
+            <div className="alert alert-error">
+              <AlertCircle className="alert-icon" />
+              <span>{error}</span>
+            </div>
+          )}
+
+          {menu && (
+            <div className="recipe-content">
+              <div className="detail-section">
+                <h4 className="detail-title">
+                  <CheckCircle className="btn-icon" /> Safe to order (
+                  {menu.counts.safe})
+                </h4>
+                <ul className="ingredients-list">
+                  {menu.safe.map((dish) => (
+                    <li key={dish.recipe_name}>
+                      <strong>{dish.recipe_name}</strong>
+                      {dietText(dish)}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+
+              {menu.ask_kitchen.length > 0 && (
+                <div className="detail-section">
+                  <h4 className="detail-title">
+                    <AlertCircle className="btn-icon" /> Please ask the kitchen
+                    ({menu.counts.ask_kitchen})
+                  </h4>
+                  <ul className="ingredients-list">
+                    {menu.ask_kitchen.map((dish) => (
+                      <li key={dish.recipe_name}>
+                        <strong>{dish.recipe_name}</strong>
+                        {dietText(dish)}
+                        <span className="mapping-hint">
+                          {" "}
+                          (not every ingredient could be checked)
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {menu.unsafe.length > 0 && (
+                <div className="detail-section">
+                  <h4 className="detail-title">
+                    <XCircle className="btn-icon" /> Not suitable (
+                    {menu.counts.unsafe})
+                  </h4>
+                  <ul className="ingredients-list">
+                    {menu.unsafe.map((dish) => (
+                      <li key={dish.recipe_name}>
+                        <strong>{dish.recipe_name}</strong>:{" "}
+                        {dish.reasons.map(describeReason).join("; ")}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GuestMenu;
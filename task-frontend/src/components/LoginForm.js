@@ -0,0 +1,81 @@
+import React, { useState } from "react";
+import { AlertCircle, Loader } from "lucide-react";
+import { apiRequest } from "../api";
+
+/**
+ * Sign-in screen for the kitchen app. Hands the new session
+ * ({ token, user, expires_at }) to `onLogin`.
+ */
+const LoginForm = ({ onLogin }) => {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [signingIn, setSigningIn] = useState(false);
+  const [error, setError] = useState("");
+
+  const signIn = async (e) => {
+    e.preventDefault();
+    setSigningIn(true);
+    setError("");
+    try {
+      const session = await apiRequest("/api/auth/login", {
+        method: "POST",
+        body: { username, password },
+      });
+      onLogin(session);
+    } catch (err) {
+      setError(err.message);
+      setSigningIn(false);
+    }
+  };
+
+  return (
+    <div className="app-container">
+      <div className="content-wrapper">
+        <div className="main-card">
+          <div className="header">
+            <h1 className="title">🍽️ Allergen Label System</h1>
+            <p className="subtitle">Sign in to upload and review recipes</p>
+          </div>
+
+          <form className="login-form" onSubmit={signIn}>
+            <input
+              type="text"
+              placeholder="Username"
+              autoComplete="username"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+            />
+            <input
+              type="password"
+              placeholder="Password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+            />
+            <button
+              type="submit"
+              className="btn-primary"
+              disabled={signingIn || !username || !password}
+            >
+              {signingIn && <Loader className="btn-icon spin" />}
+              Sign in
+            </button>
+          </form>
+
+          {error && (
+            <div className="alert alert-error">
+              <AlertCircle className="alert-icon" />
+              <span>{error}</span>
+            </div>
+          )}
+
+          <a href="?guest" className="link-btn">
+            Guest menu (no sign-in needed)
+          </a>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LoginForm;
@@ -0,0 +1,275 @@
+import React, { useState, useEffect } from "react";
+import {
+  ArrowDown,
+  ArrowUp,
+  Merge,
+  Plus,
+  Redo2,
+  Scissors,
+  Trash2,
+  Undo2,
+  X,
+} from "lucide-react";
+import {
+  renameRecipe,
+  setIngredient,
+  addIngredient,
+  removeIngredient,
+  moveIngredient,
+  splitRecipe,
+  mergeWithNext,
+  removeRecipe,
+} from "../recipeEdits";
+
+/**
+ * Text cell that is saved on Enter or when it loses focus; Escape (or
+ * leaving it empty) restores the saved value
+ */
+const EditableText = ({ value, onSave, disabled, className, placeholder }) => {
+  const [draft, setDraft] = useState(value);
+  useEffect(() => setDraft(value), [value]);
+
+  const save = () => {
+    const text = draft.trim();
+    if (text && text !== value) onSave(text);
+    else setDraft(value);
+  };
+
+  return (
+    <input
+      type="text"
+      className={className}
+      value={draft}
+      placeholder={placeholder}
+      disabled={disabled}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={save}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") e.target.blur();
+        if (e.key === "Escape") setDraft(value);
+      }}
+    />
+  );
+};
+
+/**
+ * Editable table of the parsed recipes: rename recipes, edit, add, remove
+ * and reorder ingredients, split a recipe before an ingredient or merge it
+ * with the next one. Every edit can be undone and redone (also with
+ * Ctrl+Z / Ctrl+Y outside the text fields). Remount it (new `key`) to start
+ * a fresh history for a new upload.
+ */
+const RecipeGrid = ({ recipes, onChange, issuesFor, disabled }) => {
+  const [past, setPast] = useState([]);
+  const [future, setFuture] = useState([]);
+  const [adding, setAdding] = useState({});
+
+  const apply = (next) => {
+    if (next === recipes) return;
+    setPast((prev) => [...prev, recipes]);
+    setFuture([]);
+    onChange(next);
+  };
+
+  const undo = () => {
+    if (!past.length) return;
+    setPast((prev) => prev.slice(0, -1));
+    setFuture((prev) => [recipes, ...prev]);
+    onChange(past[past.length - 1]);
+  };
+
+  const redo = () => {
+    if (!future.length) return;
+    setFuture((prev) => prev.slice(1));
+    setPast((prev) => [...prev, recipes]);
+    onChange(future[0]);
+  };
+
+  // Text fields keep the browser's own undo
+  const handleKeyDown = (e) => {
+    if (disabled || e.target.tagName === "INPUT") return;
+    if (!(e.ctrlKey || e.metaKey)) return;
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if (key === "y" || (key === "z" && e.shiftKey)) {
+      e.preventDefault();
+      redo();
+    }
+  };
+
+  const addTo = (index) => {
+    const text = (adding[index] || "").trim();
+    if (!text) return;
+    apply(addIngredient(recipes, index, text));
+    setAdding((prev) => ({ ...prev, [index]: "" }));
+  };
+
+  return (
+    <div className="recipe-grid" onKeyDown={handleKeyDown} tabIndex={-1}>
+      <div className="grid-toolbar">
+        <button
+          onClick={undo}
+          disabled={disabled || !past.length}
+          className="btn-secondary"
+          title="Undo (Ctrl+Z)"
+        >
+          <Undo2 className="btn-icon" />
+          Undo
+        </button>
+        <button
+          onClick={redo}
+          disabled={disabled || !future.length}
+          className="btn-secondary"
+          title="Redo (Ctrl+Y)"
+        >
+          <Redo2 className="btn-icon" />
+          Redo
+        </button>
+      </div>
+
+      <div className="table-container">
+        <table className="recipe-table">
+          <thead>
+            <tr>
+              <th>Sheet</th>
+              <th>Recipe Name</th>
+              <th>Ingredients</th>
+              <th>Count</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {recipes.map((recipe, idx) => {
+              const rowIssues = issuesFor(recipe);
+              const hasError = rowIssues.some((i) => i.severity === "error");
+              const severity = hasError ? "error" : "warning";
+              return (
+                <tr
+                  key={idx}
+                  className={rowIssues.length ? `row-${severity}` : undefined}
+                  title={rowIssues.map((i) => i.message).join("\n")}
+                >
+                  <td className="sheet-cell">
+                    {recipe.sheet}
+                    {recipe.row ? `:${recipe.row}` : ""}
+                    {recipe.language && (
+                      <span className="mapping-hint"> ({recipe.language})</span>
+                    )}
+                  </td>
+                  <td className="recipe-name">
+                    <EditableText
+                      value={recipe.recipe_name}
+                      disabled={disabled}
+                      onSave={(name) => apply(renameRecipe(recipes, idx, name))}
+                    />
+                  </td>
+                  <td className="ingredients-cell">
+                    <ol className="grid-ingredients">
+                      {recipe.ingredients.map((ing, i) => (
+                        <li key={i}>
+                          <EditableText
+                            value={ing}
+                            disabled={disabled}
+                            onSave={(text) =>
+                              apply(setIngredient(recipes, idx, i, text))
+                            }
+                          />
+                          <button
+                            onClick={() =>
+                              apply(moveIngredient(recipes, idx, i, -1))
+                            }
+                            disabled={disabled || i === 0}
+                            className="icon-btn"
+                            title="Move up"
+                          >
+                            <ArrowUp className="btn-icon" />
+                          </button>
+                          <button
+                            onClick={() =>
+                              apply(moveIngredient(recipes, idx, i, 1))
+                            }
+                            disabled={
+                              disabled || i === recipe.ingredients.length - 1
+                            }
+                            className="icon-btn"
+                            title="Move down"
+                          >
+                            <ArrowDown className="btn-icon" />
+                          </button>
+                          <button
+                            onClick={() => apply(splitRecipe(recipes, idx, i))}
+                            disabled={disabled || i === 0}
+                            className="icon-btn"
+                            title="Start a new recipe with this ingredient"
+                          >
+                            <Scissors className="btn-icon" />
+                          </button>
+                          <button
+                            onClick={() =>
+                              apply(removeIngredient(recipes, idx, i))
+                            }
+                            disabled={disabled}
+                            className="icon-btn"
+                            title="Remove ingredient"
+                          >
+                            <X className="btn-icon" />
+                          </button>
+                        </li>
+                      ))}
+                    </ol>
+                    <div className="grid-add">
+                      <input
+                        type="text"
+                        placeholder="Add ingredient"
+                        value={adding[idx] || ""}
+                        disabled={disabled}
+                        onChange={(e) =>
+                          setAdding((prev) => ({
+                            ...prev,
+                            [idx]: e.target.value,
+                          }))
+                        }
+                        onKeyDown={(e) => e.key === "Enter" && addTo(idx)}
+                      />
+                      <button
+                        onClick={() => addTo(idx)}
+                        disabled={disabled || !(adding[idx] || "").trim()}
+                        className="icon-btn"
+                        title="Add ingredient"
+                      >
+                        <Plus className="btn-icon" />
+                      </button>
+                    </div>
+                  </td>
+                  <td className="count-cell">{recipe.ingredients.length}</td>
+                  <td className="grid-actions">
+                    <button
+                      onClick={() => apply(mergeWithNext(recipes, idx))}
+                      disabled={disabled || idx === recipes.length - 1}
+                      className="icon-btn"
+                      title="Merge with the next recipe"
+                    >
+                      <Merge className="btn-icon" />
+                    </button>
+                    <button
+                      onClick={() => apply(removeRecipe(recipes, idx))}
+                      disabled={disabled || recipes.length === 1}
+                      className="icon-btn"
+                      title="Remove recipe"
+                    >
+                      <Trash2 className="btn-icon" />
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default RecipeGrid;
@@ -0,0 +1,226 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { AlertCircle } from "lucide-react";
+import { apiRequest } from "../api";
+
+const score = (s) => `${Math.round(s.score * 100)}%`;
+
+/**
+ * The unrecognized ingredients of every processed recipe, most frequent
+ * first, with the known ingredients they most likely meant (by spelling and
+ * by sound). One decision resolves every occurrence: map the name to a
+ * suggestion, classify it with its allergens, or ignore it.
+ * `onResolve(id, decision)` posts the decision and takes over the recipes
+ * it re-ran; `onSelect(recipeName)` opens a recipe. The list reloads
+ * whenever `recipes` change.
+ */
+const TriageQueue = ({
+  recipes,
+  canReview,
+  allergenOptions,
+  onResolve,
+  onSelect,
+}) => {
+  const [entries, setEntries] = useState(null);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [busy, setBusy] = useState(null);
+  // Entry being classified: { id, allergens }
+  const [classifying, setClassifying] = useState(null);
+
+  const load = useCallback(
+    () =>
+      apiRequest("/api/triage?status=open")
+        .then((data) => {
+          setEntries(data.entries);
+          setError("");
+        })
+        .catch((err) => setError(err.message)),
+    []
+  );
+
+  useEffect(() => {
+    load();
+  }, [load, recipes]);
+
+  const resolve = async (entry, decision) => {
+    setBusy(entry.id);
+    setNotice("");
+    try {
+      const data = await onResolve(entry.id, decision);
+      setClassifying(null);
+      setNotice(
+        decision.action === "ignore"
+          ? `"${entry.name}" ignored.`
+          : data.entry.status === "open"
+            ? `"${entry.name}" is still not recognized in ${data.entry.recipes.join(", ")}.`
+            : `"${entry.name}" resolved; re-ran ${data.recipes.length} recipe${
+                data.recipes.length === 1 ? "" : "s"
+              }.`
+      );
+      await load();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const toggleAllergen = (allergen) =>
+    setClassifying((prev) => ({
+      ...prev,
+      allergens: prev.allergens.includes(allergen)
+        ? prev.allergens.filter((a) => a !== allergen)
+        : [...prev.allergens, allergen],
+    }));
+
+  if (!entries && !error) return null;
+
+  return (
+    <div className="triage-queue">
+      {error && (
+        <div className="alert alert-error">
+          <AlertCircle className="alert-icon" />
+          <span>{error}</span>
+        </div>
+      )}
+      {notice && <p className="mapping-hint">{notice}</p>}
+      {entries && entries.length === 0 && (
+        <p>Every processed ingredient was recognized.</p>
+      )}
+
+      {entries && entries.length > 0 && (
+        <div className="table-container">
+          <table className="recipe-table">
+            <thead>
+              <tr>
+                <th>Ingredient</th>
+                <th>Count</th>
+                <th>Recipes</th>
+                <th>Did you mean</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => (
+                <tr key={entry.id}>
+                  <td className="recipe-name">
+                    {entry.name}
+                    <span className="mapping-hint"> ({entry.language})</span>
+                  </td>
+                  <td className="count-cell">{entry.count}</td>
+                  <td>
+                    {entry.recipes.map((name, i) => (
+                      <span key={name}>
+                        {i > 0 && ", "}
+                        <button
+                          onClick={() => onSelect(name)}
+                          className="link-btn"
+                        >
+                          {name}
+                        </button>
+                      </span>
+                    ))}
+                  </td>
+                  <td>
+                    {entry.suggestions.length === 0 && (
+                      <span className="mapping-hint">No close match</span>
+                    )}
+                    <ul className="provenance-list">
+                      {entry.suggestions.map((s) => (
+                        <li key={s.ingredient_id}>
+                          <button
+                            onClick={() =>
+                              resolve(entry, {
+                                action: "map",
+                                ingredient_id: s.ingredient_id,
+                              })
+                            }
+                            disabled={!canReview || busy !== null}
+                            className="link-btn"
+                            title={`Treat "${entry.name}" as ${s.name} everywhere`}
+                          >
+                            {s.term}
+                          </button>{" "}
+                          <span className="mapping-hint">
+                            {score(s)}
+                            {s.phonetic && ", sounds alike"}
+                            {s.allergens.length > 0 &&
+                              ` · ${s.allergens.join(", ")}`}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                    {canReview && classifying?.id !== entry.id && (
+                      <div className="override-actions">
+                        <button
+                          onClick={() =>
+                            setClassifying({ id: entry.id, allergens: [] })
+                          }
+                          disabled={busy !== null}
+                          className="link-btn"
+                        >
+                          New ingredient
+                        </button>
+                        <button
+                          onClick={() => resolve(entry, { action: "ignore" })}
+                          disabled={busy !== null}
+                          className="link-btn"
+                          title="Not an ingredient, or nothing to declare"
+                        >
+                          Ignore
+                        </button>
+                      </div>
+                    )}
+                    {classifying?.id === entry.id && (
+                      <div className="override-editor">
+                        <div className="allergen-options">
+                          {allergenOptions.map((allergen) => (
+                            <label key={allergen}>
+                              <input
+                                type="checkbox"
+                                checked={classifying.allergens.includes(
+                                  allergen
+                                )}
+                                onChange={() => toggleAllergen(allergen)}
+                              />
+                              {allergen}
+                            </label>
+                          ))}
+                        </div>
+                        <div className="override-actions">
+                          <button
+                            onClick={() =>
+                              resolve(entry, {
+                                action: "classify",
+                                allergens: classifying.allergens,
+                              })
+                            }
+                            disabled={busy !== null}
+                            className="btn-primary"
+                          >
+                            Save
+                          </button>
+                          <button
+                            onClick={() => setClassifying(null)}
+                            className="btn-secondary"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <p className="mapping-hint">
+        Choosing a suggestion or adding a new ingredient updates the knowledge
+        base and re-runs every recipe the ingredient occurs in.
+      </p>
+    </div>
+  );
+};
+
+export default TriageQueue;
@@ -2,10 +2,14 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import GuestMenu from './components/GuestMenu';
+
+// "?guest" opens the read-only guest menu instead of the kitchen app
+const guest = new URLSearchParams(window.location.search).has('guest');
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    {guest ? <GuestMenu /> : <App />}
   </React.StrictMode>
 );
\ No newline at end of file
@@ -0,0 +1,129 @@
+/**
+ * Edits of parsed recipes before (and after) processing. Every edit returns
+ * a new recipes array and keeps `ingredient_details` aligned with
+ * `ingredients`, so quantities, barcodes and sheet rows follow their
+ * ingredient.
+ */
+
+// Details aligned with the ingredients (uploads without details get names only)
+const detailsOf = (recipe) =>
+  recipe.ingredients.map(
+    (name, i) => recipe.ingredient_details?.[i] || { name }
+  );
+
+// Replace recipe `index` with `change(recipe, details)`'s result
+const updateRecipe = (recipes, index, change) =>
+  recipes.map((recipe, i) =>
+    i === index ? { ...recipe, ...change(recipe, detailsOf(recipe)) } : recipe
+  );
+
+// "Pizza (2)", "Pizza (3)", ... whichever is free
+const uniqueName = (recipes, name) => {
+  const taken = new Set(recipes.map((r) => r.recipe_name.toLowerCase()));
+  let n = 2;
+  while (taken.has(`${name} (${n})`.toLowerCase())) n++;
+  return `${name} (${n})`;
+};
+
+const renameRecipe = (recipes, index, name) =>
+  updateRecipe(recipes, index, () => ({ recipe_name: name }));
+
+const setIngredient = (recipes, index, position, text) =>
+  updateRecipe(recipes, index, (recipe, details) => ({
+    ingredients: recipe.ingredients.map((ing, i) =>
+      i === position ? text : ing
+    ),
+    ingredient_details: details.map((d, i) =>
+      i === position ? { ...d, name: text } : d
+    ),
+  }));
+
+const addIngredient = (recipes, index, text) =>
+  updateRecipe(recipes, index, (recipe, details) => ({
+    ingredients: [...recipe.ingredients, text],
+    ingredient_details: [...details, { name: text }],
+  }));
+
+const removeIngredient = (recipes, index, position) =>
+  updateRecipe(recipes, index, (recipe, details) => ({
+    ingredients: recipe.ingredients.filter((_, i) => i !== position),
+    ingredient_details: details.filter((_, i) => i !== position),
+  }));
+
+/**
+ * Move an ingredient up (-1) or down (+1) within its recipe
+ */
+const moveIngredient = (recipes, index, position, delta) => {
+  const target = position + delta;
+  if (target < 0 || target >= recipes[index].ingredients.length) {
+    return recipes;
+  }
+  const swap = (list) => {
+    const next = [...list];
+    [next[position], next[target]] = [next[target], next[position]];
+    return next;
+  };
+  return updateRecipe(recipes, index, (recipe, details) => ({
+    ingredients: swap(recipe.ingredients),
+    ingredient_details: swap(details),
+  }));
+};
+
+/**
+ * Move the ingredients from `position` on into a new recipe right after
+ * this one, e.g. when two recipes were read as one
+ */
+const splitRecipe = (recipes, index, position) => {
+  const recipe = recipes[index];
+  const details = detailsOf(recipe);
+  const first = {
+    ...recipe,
+    ingredients: recipe.ingredients.slice(0, position),
+    ingredient_details: details.slice(0, position),
+  };
+  const second = {
+    ...recipe,
+    recipe_name: uniqueName(recipes, recipe.recipe_name),
+    ingredients: recipe.ingredients.slice(position),
+    ingredient_details: details.slice(position),
+    row: details[position]?.row ?? recipe.row,
+  };
+  return [
+    ...recipes.slice(0, index),
+    first,
+    second,
+    ...recipes.slice(index + 1),
+  ];
+};
+
+/**
+ * Append the next recipe's ingredients to this one and drop it, e.g. when
+ * a recipe's rows were read as two recipes
+ */
+const mergeWithNext = (recipes, index) => {
+  const recipe = recipes[index];
+  const next = recipes[index + 1];
+  if (!next) return recipes;
+  const merged = {
+    ...recipe,
+    ingredients: [...recipe.ingredients, ...next.ingredients],
+    ingredient_details: [...detailsOf(recipe), ...detailsOf(next)],
+    equipment: [
+      ...new Set([...(recipe.equipment || []), ...(next.equipment || [])]),
+    ],
+  };
+  return [...recipes.slice(0, index), merged, ...recipes.slice(index + 2)];
+};
+
+const removeRecipe = (recipes, index) => recipes.filter((_, i) => i !== index);
+
+export {
+  renameRecipe,
+  setIngredient,
+  addIngredient,
+  removeIngredient,
+  moveIngredient,
+  splitRecipe,
+  mergeWithNext,
+  removeRecipe,
+};
@@ -0,0 +1,82 @@
+import {
+  renameRecipe,
+  setIngredient,
+  addIngredient,
+  removeIngredient,
+  moveIngredient,
+  splitRecipe,
+  mergeWithNext,
+  removeRecipe,
+} from "./recipeEdits";
+
+const recipes = [
+  {
+    recipe_name: "Pizza",
+    row: 2,
+    equipment: ["Oven"],
+    ingredients: ["Dough", "Tomato", "Mozzarella", "Tiramisu base"],
+    ingredient_details: [
+      { name: "Dough", row: 2, quantity: 250 },
+      { name: "Tomato", row: 3 },
+      { name: "Mozzarella", row: 4, gtin: "4006381333931" },
+      { name: "Tiramisu base", row: 5 },
+    ],
+  },
+  { recipe_name: "Salad", ingredients: ["Lettuce"], equipment: ["Oven"] },
+];
+
+const names = (list) => list.map((r) => [r.recipe_name, r.ingredients]);
+
+test("edits return new recipes and leave the original untouched", () => {
+  const renamed = renameRecipe(recipes, 1, "Green Salad");
+  expect(renamed[1].recipe_name).toBe("Green Salad");
+  expect(renamed[0]).toBe(recipes[0]);
+  expect(recipes[1].recipe_name).toBe("Salad");
+  expect(removeRecipe(recipes, 0).map((r) => r.recipe_name)).toEqual(["Salad"]);
+});
+
+test("details follow their ingredient", () => {
+  const edited = setIngredient(recipes, 0, 1, "Passata");
+  expect(edited[0].ingredient_details[1]).toEqual({ name: "Passata", row: 3 });
+
+  const moved = moveIngredient(recipes, 0, 2, -1);
+  expect(moved[0].ingredients.slice(1, 3)).toEqual(["Mozzarella", "Tomato"]);
+  expect(moved[0].ingredient_details[1].gtin).toBe("4006381333931");
+  expect(moveIngredient(recipes, 0, 0, -1)).toBe(recipes);
+
+  const removed = removeIngredient(recipes, 0, 0);
+  expect(removed[0].ingredient_details.map((d) => d.name)).toEqual([
+    "Tomato",
+    "Mozzarella",
+    "Tiramisu base",
+  ]);
+});
+
+test("recipes without details get names only", () => {
+  const added = addIngredient(recipes, 1, "Feta");
+  expect(added[1].ingredient_details).toEqual([
+    { name: "Lettuce" },
+    { name: "Feta" },
+  ]);
+});
+
+test("a recipe is split at an ingredient and merged back", () => {
+  const split = splitRecipe(recipes, 0, 3);
+  expect(names(split)).toEqual([
+    ["Pizza", ["Dough", "Tomato", "Mozzarella"]],
+    ["Pizza (2)", ["Tiramisu base"]],
+    ["Salad", ["Lettuce"]],
+  ]);
+  expect(split[1].row).toBe(5);
+
+  const merged = mergeWithNext(split, 0);
+  expect(names(merged)).toEqual(names(recipes));
+  expect(merged[0].ingredient_details).toEqual(recipes[0].ingredient_details);
+  expect(mergeWithNext(recipes, 1)).toBe(recipes);
+});
+
+test("merging keeps each piece of equipment once", () => {
+  const merged = mergeWithNext(recipes, 0);
+  expect(merged[0].equipment).toEqual(["Oven"]);
+  expect(merged[0].ingredient_details[4]).toEqual({ name: "Lettuce" });
+});